@@ -1,6 +1,9 @@
 #!/usr/bin/env node
 
-const { DEFAULT_CONFIG_PATH, ensureConfigShape, loadConfig, providerEntries, resolveConfigPath } = require('../src/openclaw-config');
+const { parseArgs } = require('util');
+const { describeConfigSource, discoverConfigPaths, ensureConfigShape, providerEntries, resolveActiveConfig } = require('../src/openclaw-config');
+const ConfigRepository = require('../src/core/config-repository');
+const { describeApiKey } = require('../src/core/secret-ref');
 
 function providerModels(provider) {
   return Array.isArray(provider?.models) ? provider.models : [];
@@ -10,7 +13,19 @@ function formatTokenCount(value) {
   if (value >= 1_000) return `${Math.round(value / 1_000)}k`;
   return String(value);
 }
-const { startOpenClawTUI, testModelDirect } = require('../src/openclaw-tui');
+const { startOpenClawTUI } = require('../src/openclaw-tui');
+const { testModelDirect } = require('../src/model-test');
+const { formatStreamMetrics } = require('../src/stream-test');
+const { runModelCommand, runProviderCommand } = require('../src/cli/crud-commands');
+const { DEFAULT_CONCURRENCY, runBatchTest } = require('../src/cli/batch-test');
+const { runDoctor } = require('../src/cli/doctor');
+const { runMigrate } = require('../src/cli/migrate');
+const { runSecretsCommand } = require('../src/cli/secrets');
+const { runRestore } = require('../src/cli/restore');
+const { runSchema } = require('../src/cli/schema');
+const { runBench } = require('../src/cli/bench');
+const { runConformance } = require('../src/cli/conformance');
+const { OUTPUT_FORMATS, flattenPaths, toCsv, toTable, toYaml, validateFormat } = require('../src/cli/output');
 
 function resolveModelRef(config, ref) {
   if (!ref) return null;
@@ -42,54 +57,226 @@ clawd-models - OpenClaw Model Configuration Tool
 Usage:
   clawd-models              # Run interactive TUI
   clawd-models --tui        # Run interactive TUI
+  clawd-models --tui --staged
+                            # Run the TUI with edits held in memory until written with W
   clawd-models --test       # Test primary model with a sample prompt + tool call
+  clawd-models --test [<provider/model>] [--prompt <text>] [--system <text>] [--max-tokens <n>] [--no-tools] [--stream]
+                            # Test one model (default: primary) with a custom request
+  clawd-models --test --all [--provider <name>] [--defaults-only] [--concurrency <n>] [--format table|json]
+                            # Test every matching model; exits 1 if any fails
+                            # --stream tests in streaming (SSE) mode and reports TTFT and tokens/s
   clawd-models --list-providers   # List configured providers
   clawd-models --list-models      # List configured models
   clawd-models --view-config      # View full configuration
+  clawd-models --which-config     # Show the active config file and known locations
+  clawd-models doctor [--fix] [--format text|json]
+                                  # Check config consistency; --fix repairs dangling references
+  clawd-models migrate [clawdbot|moltbot|<path>] [--to <path>] [--dry-run] [--yes]
+                                  # Merge a legacy config into openclaw.json (shows a diff, backs up the target)
+  clawd-models restore [<n>|<backup-path>] [--dry-run] [--yes] [--format table|json]
+                                  # List the config's rotating backups, or roll back to one (shows a diff)
+  clawd-models secrets list|set|rm|rotate
+                                  # Manage the encrypted API key store (~/.openclaw/secrets.enc)
+  clawd-models schema [--section <name>] [--out <file>]
+                                  # Print the JSON Schema of openclaw.json (for editor completion)
+  clawd-models bench [<provider/model>...] [--runs <n>] [--concurrency <n>] [--prompt <text> | --prompt-file <path>]
+                     [--max-tokens <n>] [--no-save] [--format table|json]
+                                  # Latency p50/p95/p99, TTFT, tokens/s and error rate (default: primary + fallbacks)
+  clawd-models bench --history [<provider/model>...]
+                                  # Saved results (~/.openclaw/model-bench.json)
+  clawd-models conformance [<provider/model>...] [--scenario <id>]... [--stream] [--max-tokens <n>] [--format table|json]
+                                  # Tool-calling capability matrix: typed/nested arguments, tool_choice auto,
+                                  # parallel calls, multi-round loops (default: primary + fallbacks)
+  clawd-models conformance --list-scenarios
+
+  Listing commands accept --format <fmt>:
+    --list-providers, --list-models   text (default), json, yaml, csv, table
+    --view-config                     json (default), yaml, csv, table (csv/table flatten to path,value)
+
+  clawd-models provider add <name> --base-url <url> [--api <type>] [--auth <method>]
+                             [--api-key <key> | --api-key-env <VAR>]
+  clawd-models provider add [<name>] --preset <id> [--skip-models] [--api-key <key> | --api-key-env <VAR>]
+  clawd-models provider presets [--format table|json]
+  clawd-models provider edit <name> [--base-url <url>] [--api <type>] [--auth <method>]
+                             [--api-key <key> | --api-key-env <VAR>]
+  clawd-models provider clone <name> <new-name> [--base-url <url>] [--add-to-defaults]
+                             [--strip-key | --api-key <key> | --api-key-env <VAR>]
+  clawd-models provider rename <name> <new-name>
+  clawd-models provider remove <name> [--force]
+  clawd-models model add <provider> <id> [--name <name>] [--api <type>] [--ctx <n>] [--max <n>]
+                             [--input text,image] [--reasoning true|false]
+                             [--input-cost <n>] [--output-cost <n>]
+                             [--cache-read-cost <n>] [--cache-write-cost <n>]
+  clawd-models model edit <provider> <id> [--id <new-id>] [same options as model add]
+  clawd-models model remove <provider> <id>
+  clawd-models model copy <provider> <id>... --to <provider>   (or --all instead of ids)
+  clawd-models model move <provider> <id>... --to <provider>   (rewrites agents.defaults/agents.list refs)
+  clawd-models model discover <provider> [--add <id>]... [--all] [--format table|json]
+                             # List (or import) models the provider serves at /models
+  clawd-models model refresh-metadata [<provider> [<id>]] [--dry-run] [--yes]
+                             # Update limits, costs, input and reasoning from the model catalog
+
+  clawd-models secrets list [--format table|json]
+  clawd-models secrets set <name> [--value <v> | --from-env <VAR>] [--provider <name>]
+                             # Store a key (prompted, or piped on stdin); --provider points it at the secret
+  clawd-models secrets rm <name> [--force]
+  clawd-models secrets rotate [--key-file <path>] [--yes]
+                             # Re-encrypt under a new passphrase or key file
 
 Options:
   -t, --test           Test API connection
   -p, --list-providers List providers
   -m, --list-models    List models
   -v, --view-config    View configuration
+  -f, --format         Output format for listing commands
   -h, --help           Show this help
+  --config <path>      Use this config file (any command; overrides OPENCLAW_CONFIG_PATH)
+
+Config lookup: --config, then OPENCLAW_CONFIG_PATH, then the first existing of
+~/.openclaw/openclaw.json, ~/.clawdbot/clawdbot.json, ~/.moltbot/moltbot.json.
 
 Note: Interactive TUI requires a real terminal.
 `);
 }
 
+let activeConfig = null;
+
+/**
+ * Pull the global --config <path> option out of the argument list
+ * @param {Array} argv - Raw CLI arguments
+ * @returns {Object} { args, configPath }
+ */
+function extractGlobalOptions(argv) {
+  const args = [];
+  let configPath;
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--config') {
+      configPath = argv[i + 1];
+      if (!configPath || configPath.startsWith('-')) throw new Error('--config requires a path');
+      i += 1;
+    } else if (arg.startsWith('--config=')) {
+      configPath = arg.slice('--config='.length);
+    } else {
+      args.push(arg);
+    }
+  }
+  return { args, configPath };
+}
+
+function getActiveConfig() {
+  activeConfig ??= resolveActiveConfig({ envPath: process.env.OPENCLAW_CONFIG_PATH });
+  return activeConfig;
+}
+
 function getConfigPath() {
-  return resolveConfigPath(process.env.OPENCLAW_CONFIG_PATH || DEFAULT_CONFIG_PATH);
+  return getActiveConfig().path;
+}
+
+async function runWhichConfig() {
+  const { path: configPath, source } = getActiveConfig();
+  console.log(`Active config: ${configPath} (${describeConfigSource(source)})`);
+  console.log('\nKnown locations:');
+  for (const candidate of discoverConfigPaths()) {
+    const mark = candidate.path === configPath ? '*' : ' ';
+    console.log(`  ${mark} ${candidate.path}  ${candidate.exists ? 'exists' : 'missing'}`);
+  }
+}
+
+let repository = null;
+
+/**
+ * The config repository every command of this run reads and writes through
+ * @returns {ConfigRepository} Repository of the active config
+ */
+function getRepository() {
+  repository ??= new ConfigRepository(getConfigPath());
+  return repository;
 }
 
 function loadOpenClaw() {
-  return ensureConfigShape(loadConfig(getConfigPath()));
+  return ensureConfigShape(getRepository().load());
+}
+
+function parseTestArgs(args) {
+  const { values, positionals } = parseArgs({
+    args,
+    options: {
+      all: { type: 'boolean' },
+      provider: { type: 'string' },
+      'defaults-only': { type: 'boolean' },
+      concurrency: { type: 'string' },
+      format: { type: 'string', short: 'f' },
+      prompt: { type: 'string' },
+      system: { type: 'string' },
+      'max-tokens': { type: 'string' },
+      'no-tools': { type: 'boolean' },
+      stream: { type: 'boolean' },
+    },
+    allowPositionals: true,
+    strict: true,
+  });
+  const concurrency = values.concurrency !== undefined ? Number(values.concurrency) : DEFAULT_CONCURRENCY;
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error('--concurrency must be a positive integer');
+  }
+  const maxTokens = values['max-tokens'] !== undefined ? Number(values['max-tokens']) : undefined;
+  if (maxTokens !== undefined && (!Number.isInteger(maxTokens) || maxTokens < 1)) {
+    throw new Error('--max-tokens must be a positive integer');
+  }
+  const batch = Boolean(values.all || values.provider || values['defaults-only']);
+  if (positionals.length > 1 || (batch && positionals.length > 0)) {
+    throw new Error('Pass either one <provider/model> or --all/--provider/--defaults-only');
+  }
+  return {
+    batch,
+    modelRef: positionals[0],
+    provider: values.provider,
+    defaultsOnly: Boolean(values['defaults-only']),
+    concurrency,
+    format: validateFormat(values.format || 'table', ['table', 'json']),
+    prompt: values.prompt || 'say hi',
+    request: {
+      system: values.system,
+      maxTokens,
+      tools: !values['no-tools'],
+      stream: Boolean(values.stream),
+    },
+  };
 }
 
-async function runTest() {
+async function runTest(args = []) {
+  const options = parseTestArgs(args);
   const config = loadOpenClaw();
-  const primary = config.agents?.defaults?.model?.primary;
-  if (!primary) {
+  if (options.batch) {
+    const ok = await runBatchTest(config, options);
+    if (!ok) process.exit(1);
+    return;
+  }
+
+  const ref = options.modelRef || config.agents?.defaults?.model?.primary;
+  const label = options.modelRef ? 'model' : 'primary model';
+  if (!ref) {
     console.error('Error: No primary model configured.');
     process.exit(1);
   }
 
-  const resolved = resolveModelRef(config, primary);
+  const resolved = resolveModelRef(config, ref);
   if (!resolved) {
-    console.error(`Error: Model "${primary}" not found in any provider.`);
+    console.error(`Error: Model "${ref}" not found in any provider.`);
     process.exit(1);
   }
   if (resolved.ambiguous) {
-    const options = resolved.matches.map((m) => `${m.providerName}/${m.modelId}`).join(', ');
-    console.error(`Error: Model "${primary}" is ambiguous across providers. Use one of: ${options}`);
+    const choices = resolved.matches.map((m) => `${m.providerName}/${m.modelId}`).join(', ');
+    console.error(`Error: Model "${ref}" is ambiguous across providers. Use one of: ${choices}`);
     process.exit(1);
   }
   const { providerName, modelId, fullId } = resolved;
 
-  console.log(`Testing primary model: ${fullId}\n`);
+  console.log(`Testing ${label}: ${fullId}\n`);
 
   try {
-    const result = await testModelDirect(config, providerName, modelId, 'say hi');
+    const result = await testModelDirect(config, providerName, modelId, options.prompt, options.request);
     console.log('✅ Test complete');
     console.log(`Model: ${result.modelId}`);
     console.log(`Provider: ${result.providerName}`);
@@ -98,6 +285,10 @@ async function runTest() {
     console.log(`First status: ${result.firstStatus}`);
     console.log(`Final status: ${result.finalStatus}`);
     console.log(`Tool calls: ${Array.isArray(result.toolCalls) ? result.toolCalls.length : 0}`);
+    if (result.stream) {
+      console.log(`Stream: ${formatStreamMetrics(result.stream.first)}`);
+      if (result.stream.final !== result.stream.first) console.log(`Stream (after tool result): ${formatStreamMetrics(result.stream.final)}`);
+    }
     if (result.finalResponse) {
       console.log('\nResponse:');
       console.log(JSON.stringify(result.finalResponse, null, 2));
@@ -108,11 +299,110 @@ async function runTest() {
   }
 }
 
-async function runListProviders() {
+/**
+ * Provider listing records (the stable JSON/YAML/CSV shape)
+ * @param {Object} config - OpenClaw config
+ * @returns {Array} { name, baseUrl, api, auth, hasApiKey, apiKeyRef, apiKeyResolves, apiKeyError, modelCount }
+ */
+function providerRecords(config) {
+  return providerEntries(config).map(([name, provider]) => {
+    const key = describeApiKey(provider.apiKey);
+    return {
+      name,
+      baseUrl: provider.baseUrl || '',
+      api: provider.api || '',
+      auth: provider.auth || '',
+      hasApiKey: Boolean(provider.apiKey),
+      apiKeyRef: key.ref || '',
+      apiKeyResolves: key.resolves,
+      apiKeyError: key.error || '',
+      modelCount: providerModels(provider).length,
+    };
+  });
+}
+
+function formatCost(cost) {
+  // Show cost values if any is non-zero (use '-' for undefined)
+  const hasNonZero = (cost?.input && cost.input !== 0) || (cost?.output && cost.output !== 0) || (cost?.cacheRead && cost.cacheRead !== 0) || (cost?.cacheWrite && cost.cacheWrite !== 0);
+  if (!hasNonZero) return null;
+  return ['input', 'output', 'cacheRead', 'cacheWrite'].map((key) => (cost[key] !== undefined ? cost[key] : '-')).join('/');
+}
+
+/**
+ * Model listing records (the stable JSON/YAML/CSV shape)
+ * @param {Object} config - OpenClaw config
+ * @returns {Array} One record per provider model, with derived tags and labels
+ */
+function modelRecords(config) {
+  const primary = config.agents?.defaults?.model?.primary;
+  const fallbacks = config.agents?.defaults?.model?.fallbacks;
+  const fallbackSet = new Set(Array.isArray(fallbacks) ? fallbacks : fallbacks ? [fallbacks] : []);
+  const records = [];
+  for (const [providerName, provider] of providerEntries(config)) {
+    for (const model of providerModels(provider)) {
+      const fullId = `${providerName}/${model.id}`;
+      const tags = [];
+      if (fullId === primary) tags.push('primary');
+      if (fallbackSet.has(fullId)) tags.push('fallback');
+      records.push({
+        fullId,
+        provider: providerName,
+        id: model.id,
+        name: model.name || '',
+        api: model.api || '',
+        contextWindow: model.contextWindow ?? null,
+        maxTokens: model.maxTokens ?? null,
+        contextLabel: model.contextWindow !== undefined ? formatTokenCount(model.contextWindow) : null,
+        maxTokensLabel: model.maxTokens !== undefined ? formatTokenCount(model.maxTokens) : null,
+        reasoning: model.reasoning ?? null,
+        input: Array.isArray(model.input) ? model.input : [],
+        cost: {
+          input: model.cost?.input ?? null,
+          output: model.cost?.output ?? null,
+          cacheRead: model.cost?.cacheRead ?? null,
+          cacheWrite: model.cost?.cacheWrite ?? null,
+        },
+        costLabel: formatCost(model.cost),
+        tags,
+        primary: tags.includes('primary'),
+        fallback: tags.includes('fallback'),
+      });
+    }
+  }
+  return records;
+}
+
+const PROVIDER_COLUMNS = ['name', 'baseUrl', 'api', 'auth', 'hasApiKey', 'apiKeyRef', 'apiKeyResolves', 'modelCount'];
+const MODEL_COLUMNS = ['fullId', 'provider', 'id', 'name', 'api', 'contextWindow', 'maxTokens', 'reasoning', 'input', 'costInput', 'costOutput', 'costCacheRead', 'costCacheWrite', 'tags'];
+const MODEL_TABLE_COLUMNS = ['fullId', 'contextLabel', 'maxTokensLabel', 'input', 'costLabel', 'tags', 'name'];
+
+function flatModelRecord(record) {
+  return {
+    ...record,
+    costInput: record.cost.input,
+    costOutput: record.cost.output,
+    costCacheRead: record.cost.cacheRead,
+    costCacheWrite: record.cost.cacheWrite,
+  };
+}
+
+function printRecords(format, records, columns) {
+  if (format === 'json') console.log(JSON.stringify(records, null, 2));
+  else if (format === 'yaml') process.stdout.write(toYaml(records));
+  else if (format === 'csv') process.stdout.write(toCsv(columns, records));
+  else if (format === 'table') console.log(toTable(columns, records));
+}
+
+async function runListProviders(format = 'text') {
   const config = loadOpenClaw();
-  const entries = providerEntries(config);
+  const records = providerRecords(config);
 
-  if (entries.length === 0) {
+  if (format !== 'text') {
+    printRecords(format, records, PROVIDER_COLUMNS);
+    return;
+  }
+
+  if (records.length === 0) {
     console.log('No providers configured.');
     return;
   }
@@ -124,35 +414,34 @@ async function runListProviders() {
   const reset = '\x1b[0m';
 
   console.log('Configured Providers:\n');
-  for (const [name, provider] of entries) {
-    console.log(`- ${bold}${white}${name}${reset}`);
-    console.log(`  ${dim}Base URL:${reset} ${white}${provider.baseUrl || ''}${reset}`);
-    console.log(`  ${dim}API Schema:${reset} ${white}${provider.api || ''}${reset}`);
-    console.log(`  ${dim}API Key:${reset} ${white}${provider.apiKey ? 'set' : 'empty'}${reset}`);
-    console.log(`  ${dim}Models:${reset} ${white}${providerModels(provider).length}${reset}`);
+  for (const provider of records) {
+    console.log(`- ${bold}${white}${provider.name}${reset}`);
+    console.log(`  ${dim}Base URL:${reset} ${white}${provider.baseUrl}${reset}`);
+    console.log(`  ${dim}API Schema:${reset} ${white}${provider.api}${reset}`);
+    const keyLabel = provider.apiKeyRef
+      ? `${provider.apiKeyRef} (${provider.apiKeyResolves ? 'resolves' : provider.apiKeyError})`
+      : provider.hasApiKey ? 'set (plaintext)' : 'empty';
+    console.log(`  ${dim}API Key:${reset} ${white}${keyLabel}${reset}`);
+    console.log(`  ${dim}Models:${reset} ${white}${provider.modelCount}${reset}`);
     console.log();
   }
 }
 
-async function runListModels() {
+async function runListModels(format = 'text') {
   const config = loadOpenClaw();
-  const entries = providerEntries(config);
-  const models = [];
-  for (const [providerName, provider] of entries) {
-    for (const model of providerModels(provider)) {
-      models.push({ providerName, model });
-    }
+  const records = modelRecords(config);
+
+  if (format !== 'text') {
+    if (format === 'csv') printRecords(format, records.map(flatModelRecord), MODEL_COLUMNS);
+    else printRecords(format, records, MODEL_TABLE_COLUMNS);
+    return;
   }
 
-  if (models.length === 0) {
+  if (records.length === 0) {
     console.log('No models configured.');
     return;
   }
 
-  const primary = config.agents?.defaults?.model?.primary;
-  const fallbacks = config.agents?.defaults?.model?.fallbacks;
-  const fallbackSet = new Set(Array.isArray(fallbacks) ? fallbacks : fallbacks ? [fallbacks] : []);
-
   // ANSI color codes
   const bold = '\x1b[1m';
   const white = '\x1b[37m';
@@ -160,59 +449,114 @@ async function runListModels() {
   const reset = '\x1b[0m';
 
   console.log('Configured Models:\n');
-  for (const { providerName, model } of models) {
-    const modelName = `${providerName}/${model.id}`;
-    const displayName = model.name || '';
-    const ctx = model.contextWindow !== undefined ? `${dim}ctx ${formatTokenCount(model.contextWindow)}${reset}` : '';
-    const max = model.maxTokens !== undefined ? `${dim}max ${formatTokenCount(model.maxTokens)}${reset}` : '';
-    const tags = [];
-    if (modelName === primary) tags.push(`${dim}primary${reset}`);
-    if (fallbackSet.has(modelName)) tags.push(`${dim}fallback${reset}`);
-    const tagStr = tags.length > 0 ? ` [${tags.join(', ')}]` : '';
-    // Show cost values if any is non-zero (use '-' for undefined)
-    const cost = model.cost;
-    const inputCost = cost?.input !== undefined ? cost.input : '-';
-    const outputCost = cost?.output !== undefined ? cost.output : '-';
-    const cacheReadCost = cost?.cacheRead !== undefined ? cost.cacheRead : '-';
-    const cacheWriteCost = cost?.cacheWrite !== undefined ? cost.cacheWrite : '-';
-    const hasNonZero = (cost?.input && cost.input !== 0) || (cost?.output && cost.output !== 0) || (cost?.cacheRead && cost.cacheRead !== 0) || (cost?.cacheWrite && cost.cacheWrite !== 0);
-    const costStr = hasNonZero ? ` ${dim}[${inputCost}/${outputCost}/${cacheReadCost}/${cacheWriteCost}]${reset}` : '';
+  for (const model of records) {
+    const ctx = model.contextLabel !== null ? `${dim}ctx ${model.contextLabel}${reset}` : '';
+    const max = model.maxTokensLabel !== null ? `${dim}max ${model.maxTokensLabel}${reset}` : '';
+    const tagStr = model.tags.length > 0 ? ` [${model.tags.map((tag) => `${dim}${tag}${reset}`).join(', ')}]` : '';
+    const costStr = model.costLabel ? ` ${dim}[${model.costLabel}]${reset}` : '';
     // Name as last item
-    const nameStr = displayName ? `  ${dim}${displayName}${reset}` : '';
-    console.log(`- ${bold}${white}${modelName}${reset}  ${[ctx, max].filter(Boolean).join('  ')}${costStr}${tagStr}${nameStr}`);
+    const nameStr = model.name ? `  ${dim}${model.name}${reset}` : '';
+    console.log(`- ${bold}${white}${model.fullId}${reset}  ${[ctx, max].filter(Boolean).join('  ')}${costStr}${tagStr}${nameStr}`);
   }
 }
 
-async function runViewConfig() {
+async function runViewConfig(format = 'json') {
   const config = loadOpenClaw();
-  console.log(JSON.stringify(config, null, 2));
+  if (format === 'json') console.log(JSON.stringify(config, null, 2));
+  else if (format === 'yaml') process.stdout.write(toYaml(config));
+  else printRecords(format, flattenPaths(config), ['path', 'value']);
+}
+
+/**
+ * Parse the --format option of a listing command
+ * @param {Array} args - Arguments after the command flag
+ * @param {string} defaultFormat - Format used when --format is absent
+ * @param {Array} allowed - Formats the command supports
+ * @returns {string} Output format
+ */
+function parseFormatArgs(args, defaultFormat, allowed) {
+  const { values } = parseArgs({ args, options: { format: { type: 'string', short: 'f' } }, strict: true });
+  return validateFormat(values.format || defaultFormat, allowed);
+}
+
+async function runCommand(fn) {
+  try {
+    await fn();
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
 }
 
 async function main() {
-  const args = process.argv.slice(2);
+  let args;
+  try {
+    const parsed = extractGlobalOptions(process.argv.slice(2));
+    args = parsed.args;
+    activeConfig = resolveActiveConfig({ flagPath: parsed.configPath, envPath: process.env.OPENCLAW_CONFIG_PATH });
+  } catch (error) {
+    console.error('Error:', error.message);
+    process.exit(1);
+  }
   const command = args[0];
 
-  if (!command || command === '--tui') {
-    await startOpenClawTUI({ configPath: process.env.OPENCLAW_CONFIG_PATH });
+  if (!command || command === '--tui' || command === '--staged') {
+    await startOpenClawTUI({ repository: getRepository(), configSource: activeConfig.source, staged: args.includes('--staged') });
     return;
   }
 
   switch (command) {
     case '--test':
     case '-t':
-      await runTest();
+      await runCommand(() => runTest(args.slice(1)));
       break;
     case '--list-providers':
     case '-p':
-      await runListProviders();
+      await runCommand(() => runListProviders(parseFormatArgs(args.slice(1), 'text', OUTPUT_FORMATS)));
       break;
     case '--list-models':
     case '-m':
-      await runListModels();
+      await runCommand(() => runListModels(parseFormatArgs(args.slice(1), 'text', OUTPUT_FORMATS)));
       break;
     case '--view-config':
     case '-v':
-      await runViewConfig();
+      await runCommand(() => runViewConfig(parseFormatArgs(args.slice(1), 'json', OUTPUT_FORMATS.filter((format) => format !== 'text'))));
+      break;
+    case 'provider':
+      await runCommand(() => runProviderCommand(args.slice(1), getRepository()));
+      break;
+    case 'model':
+      await runCommand(() => runModelCommand(args.slice(1), getRepository()));
+      break;
+    case 'doctor':
+      await runCommand(async () => {
+        const ok = await runDoctor(args.slice(1), getRepository());
+        if (!ok) process.exit(1);
+      });
+      break;
+    case 'migrate':
+      await runCommand(() => runMigrate(args.slice(1), getActiveConfig()));
+      break;
+    case 'restore':
+      await runCommand(() => runRestore(args.slice(1), getConfigPath()));
+      break;
+    case 'secrets':
+      await runCommand(() => runSecretsCommand(args.slice(1), getRepository()));
+      break;
+    case 'schema':
+      await runCommand(() => runSchema(args.slice(1)));
+      break;
+    case 'bench':
+      await runCommand(() => runBench(args.slice(1), getRepository()));
+      break;
+    case 'conformance':
+      await runCommand(async () => {
+        const ok = await runConformance(args.slice(1), getRepository());
+        if (!ok) process.exit(1);
+      });
+      break;
+    case '--which-config':
+      await runWhichConfig();
       break;
     case '--help':
     case '-h':
@@ -0,0 +1,143 @@
+const { ApiTester } = require('../core');
+const { providerEntries } = require('../openclaw-config');
+const { testModelDirect } = require('../model-test');
+const { toTable } = require('./output');
+
+const DEFAULT_CONCURRENCY = 4;
+const RESULT_COLUMNS = ['model', 'result', 'status', 'latency', 'toolCalls', 'error'];
+const STREAM_COLUMNS = ['model', 'result', 'status', 'latency', 'ttft', 'tokensPerSecond', 'toolCalls', 'error'];
+
+function isOk(status) {
+  return typeof status === 'number' && status >= 200 && status < 300;
+}
+
+function defaultModelRefs(config) {
+  const defaults = config.agents?.defaults || {};
+  const fallbacks = defaults.model?.fallbacks;
+  return new Set([
+    ...Object.keys(defaults.models || {}),
+    ...(defaults.model?.primary ? [defaults.model.primary] : []),
+    ...(Array.isArray(fallbacks) ? fallbacks : fallbacks ? [fallbacks] : []),
+  ]);
+}
+
+/**
+ * Pick the models a batch test should cover
+ * @param {Object} config - OpenClaw config
+ * @param {Object} filters - { provider, defaultsOnly }
+ * @returns {Array} { providerName, modelId, fullId, model }
+ */
+function selectModels(config, filters = {}) {
+  const defaults = filters.defaultsOnly ? defaultModelRefs(config) : null;
+  const selected = [];
+  for (const [providerName, provider] of providerEntries(config)) {
+    if (filters.provider && providerName !== filters.provider) continue;
+    for (const model of provider.models || []) {
+      const fullId = `${providerName}/${model.id}`;
+      if (defaults && !defaults.has(fullId)) continue;
+      selected.push({ providerName, modelId: model.id, fullId, model });
+    }
+  }
+  return selected;
+}
+
+/**
+ * Test one model and reduce the result to a report entry
+ * @param {Object} config - OpenClaw config
+ * @param {Object} entry - Entry from selectModels
+ * @param {string} prompt - Prompt to send
+ * @param {Object} [request] - testModelDirect options (system, maxTokens, tools, stream)
+ * @returns {Object} { model, result, firstStatus, finalStatus, latencyMs, toolCalls, error }, plus
+ *   ttftMs and tokensPerSecond of the first round when streaming
+ */
+async function testOne(config, entry, prompt, request) {
+  const report = { model: entry.fullId, result: 'FAIL', firstStatus: null, finalStatus: null, latencyMs: null, toolCalls: null, error: null };
+  if (!Array.isArray(entry.model.input) || !entry.model.input.includes('text')) {
+    return { ...report, result: 'SKIP', error: "no 'text' input type" };
+  }
+
+  const started = Date.now();
+  try {
+    const result = await testModelDirect(config, entry.providerName, entry.modelId, prompt, request);
+    // A gateway that answers a streaming request without SSE, or garbles the chunks, fails too
+    const streamError = result.stream ? [result.stream.first, result.stream.final].map((metrics) => metrics.error).find(Boolean) : null;
+    const passed = isOk(result.firstStatus) && isOk(result.finalStatus) && !streamError;
+    return {
+      ...report,
+      result: passed ? 'PASS' : 'FAIL',
+      firstStatus: result.firstStatus,
+      finalStatus: result.finalStatus,
+      latencyMs: Date.now() - started,
+      toolCalls: Array.isArray(result.toolCalls) ? result.toolCalls.length : 0,
+      ...(result.stream ? { ttftMs: result.stream.first.ttftMs, tokensPerSecond: result.stream.first.tokensPerSecond } : {}),
+      error: passed ? null : streamError || responseError(result.finalResponse),
+    };
+  } catch (error) {
+    return { ...report, latencyMs: Date.now() - started, error: error.message };
+  }
+}
+
+function tableRow(report) {
+  const status = report.firstStatus === report.finalStatus ? report.finalStatus : `${report.firstStatus}/${report.finalStatus}`;
+  return {
+    model: report.model,
+    result: report.result,
+    status: status ?? '',
+    latency: report.latencyMs !== null ? `${report.latencyMs}ms` : '',
+    ttft: report.ttftMs !== null && report.ttftMs !== undefined ? `${report.ttftMs}ms` : '',
+    tokensPerSecond: report.tokensPerSecond ?? '',
+    toolCalls: report.toolCalls === null ? '' : report.toolCalls > 0 ? `ok (${report.toolCalls})` : 'none',
+    error: report.error || '',
+  };
+}
+
+function responseError(body) {
+  const message = body?.error?.message || body?.error || body?.message || body?.raw;
+  if (!message) return null;
+  const text = typeof message === 'string' ? message : JSON.stringify(message);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+}
+
+/**
+ * Test every selected model with bounded concurrency and print a summary table
+ * @param {Object} config - OpenClaw config
+ * @param {Object} options - { provider, defaultsOnly, concurrency, prompt, request, format }
+ * @returns {boolean} True when no model failed
+ */
+async function runBatchTest(config, options = {}) {
+  const entries = selectModels(config, options);
+  if (entries.length === 0) {
+    throw new Error(options.provider ? `No models configured for provider "${options.provider}"` : 'No models to test');
+  }
+
+  const concurrency = options.concurrency || DEFAULT_CONCURRENCY;
+  const prompt = options.prompt || 'say hi';
+  const progress = process.stderr.isTTY && options.format !== 'json';
+  let done = 0;
+  if (progress) process.stderr.write(`Testing ${entries.length} model${entries.length === 1 ? '' : 's'} (concurrency ${concurrency})\n`);
+
+  const reports = await ApiTester.mapWithConcurrency(entries, concurrency, async (entry) => {
+    const report = await testOne(config, entry, prompt, options.request);
+    done += 1;
+    if (progress) process.stderr.write(`  [${done}/${entries.length}] ${report.result} ${report.model}\n`);
+    return report;
+  });
+
+  const failed = reports.filter((report) => report.result === 'FAIL').length;
+  const passed = reports.filter((report) => report.result === 'PASS').length;
+  const skipped = reports.length - failed - passed;
+
+  if (options.format === 'json') {
+    console.log(JSON.stringify({ passed, failed, skipped, results: reports }, null, 2));
+  } else {
+    console.log(toTable(options.request?.stream ? STREAM_COLUMNS : RESULT_COLUMNS, reports.map(tableRow)));
+    console.log(`${passed} passed, ${failed} failed, ${skipped} skipped`);
+  }
+  return failed === 0;
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  selectModels,
+  runBatchTest,
+};
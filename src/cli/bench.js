@@ -0,0 +1,156 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { qualifyModelId } = require('../openclaw-config');
+const {
+  DEFAULT_CONCURRENCY,
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_RUNS,
+  benchmarkModels,
+  benchResultsPath,
+  latencyChange,
+  loadBenchHistory,
+  previousResult,
+  saveBenchRun,
+} = require('../model-bench');
+const { toTable, validateFormat } = require('./output');
+
+const USAGE = 'clawd-models bench [<provider/model>...] [--runs <n>] [--concurrency <n>] [--prompt <text> | --prompt-file <path>] [--max-tokens <n>] [--no-save] [--history] [--format table|json]';
+const RESULT_COLUMNS = ['model', 'runs', 'errors', 'p50', 'p95', 'p99', 'ttftP50', 'tokPerSecP50', 'vsLastP50'];
+const HISTORY_COLUMNS = ['at', 'model', 'runs', 'errors', 'p50', 'p95', 'ttftP50', 'tokPerSecP50'];
+
+function positiveInteger(value, flag, fallback) {
+  if (value === undefined) return fallback;
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 1) throw new Error(`${flag} must be a positive integer`);
+  return number;
+}
+
+function ms(value) {
+  return value === null || value === undefined ? '' : `${value}ms`;
+}
+
+/**
+ * Resolve model refs (bare ids must be unique); with none given, the primary and fallback models
+ * @param {Object} config - OpenClaw config
+ * @param {Array} refs - provider/model-id refs or bare ids
+ * @returns {Array} { providerName, modelId }
+ */
+function resolveModels(config, refs) {
+  const model = config.agents?.defaults?.model || {};
+  const fallbacks = Array.isArray(model.fallbacks) ? model.fallbacks : model.fallbacks ? [model.fallbacks] : [];
+  const wanted = refs.length > 0 ? refs : [...new Set([model.primary, ...fallbacks].filter(Boolean))];
+  if (wanted.length === 0) throw new Error('No models given and no primary model configured');
+  return wanted.map((ref) => {
+    const [providerName, ...parts] = qualifyModelId(config, ref).split('/');
+    const modelId = parts.join('/');
+    const provider = config.models?.providers?.[providerName];
+    if (!modelId || !Array.isArray(provider?.models) || !provider.models.some((candidate) => candidate?.id === modelId)) {
+      throw new Error(`Model "${ref}" not found (or ambiguous); use provider/model-id`);
+    }
+    return { providerName, modelId };
+  });
+}
+
+function resultRow(result, previous) {
+  return {
+    model: result.model,
+    runs: result.runs,
+    errors: result.errors ? `${result.errors} (${Math.round(result.errorRate * 100)}%)` : 0,
+    p50: ms(result.latencyMs.p50),
+    p95: ms(result.latencyMs.p95),
+    p99: ms(result.latencyMs.p99),
+    ttftP50: ms(result.ttftMs.p50),
+    tokPerSecP50: result.tokensPerSecond.p50 ?? '',
+    vsLastP50: latencyChange(result, previous),
+  };
+}
+
+function printHistory(history, models, format) {
+  const rows = history.flatMap((run) => (run.results || [])
+    .filter((result) => models.length === 0 || models.includes(result.model))
+    .map((result) => ({ at: run.at, ...result })));
+  if (format === 'json') {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  if (rows.length === 0) {
+    console.log(`No saved benchmark results in ${benchResultsPath()}`);
+    return;
+  }
+  console.log(toTable(HISTORY_COLUMNS, rows.map((row) => ({ ...resultRow(row, null), at: row.at }))));
+}
+
+/**
+ * Run `clawd-models bench`: time streamed requests to each model and report latency
+ * percentiles, time to first token, output tokens per second and error rate
+ * @param {Array} args - Arguments after "bench"
+ * @param {ConfigRepository} repository - Config repository of the active config
+ */
+async function runBench(args, repository) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: {
+        runs: { type: 'string', short: 'n' },
+        concurrency: { type: 'string', short: 'c' },
+        prompt: { type: 'string' },
+        'prompt-file': { type: 'string' },
+        'max-tokens': { type: 'string' },
+        'no-save': { type: 'boolean' },
+        history: { type: 'boolean' },
+        format: { type: 'string', short: 'f' },
+      },
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    throw new Error(`${error.message}\nUsage: ${USAGE}`);
+  }
+  const { values, positionals } = parsed;
+  const format = validateFormat(values.format || 'table', ['table', 'json']);
+  if (values.history) {
+    printHistory(loadBenchHistory(), positionals, format);
+    return;
+  }
+  if (values.prompt !== undefined && values['prompt-file'] !== undefined) {
+    throw new Error('Use either --prompt or --prompt-file, not both');
+  }
+  const runs = positiveInteger(values.runs, '--runs', DEFAULT_RUNS);
+  const concurrency = positiveInteger(values.concurrency, '--concurrency', DEFAULT_CONCURRENCY);
+  const maxTokens = positiveInteger(values['max-tokens'], '--max-tokens', DEFAULT_MAX_TOKENS);
+  const prompt = values['prompt-file'] !== undefined ? fs.readFileSync(values['prompt-file'], 'utf8').trim() : values.prompt;
+  if (prompt !== undefined && !prompt) throw new Error('The prompt is empty');
+
+  const config = repository.load();
+  const models = resolveModels(config, positionals);
+  const history = loadBenchHistory();
+  const progress = process.stderr.isTTY && format !== 'json';
+  if (progress) process.stderr.write(`Benchmarking ${models.length} model${models.length === 1 ? '' : 's'}: ${runs} run${runs === 1 ? '' : 's'} each, concurrency ${concurrency}\n`);
+
+  const results = await benchmarkModels(config, models, {
+    runs,
+    concurrency,
+    prompt,
+    maxTokens,
+    onProgress: (model, done, total) => {
+      if (progress) process.stderr.write(`\r  ${model} ${done}/${total}${done === total ? '\n' : ''}`);
+    },
+  });
+
+  const savedTo = values['no-save'] ? null : saveBenchRun({ prompt: prompt || null, runs, concurrency, maxTokens, results });
+  if (format === 'json') {
+    console.log(JSON.stringify({ runs, concurrency, maxTokens, savedTo, results }, null, 2));
+    return;
+  }
+  console.log(toTable(RESULT_COLUMNS, results.map((result) => resultRow(result, previousResult(history, result.model)))));
+  for (const result of results.filter((candidate) => candidate.error)) {
+    console.log(`${result.model}: ${result.error}`);
+  }
+  if (savedTo) console.log(`Saved to ${savedTo}; compare with: clawd-models bench --history`);
+}
+
+module.exports = {
+  resolveModels,
+  runBench,
+};
@@ -0,0 +1,83 @@
+const { parseArgs } = require('util');
+const { TOOL_SCENARIOS, runToolConformance, selectScenarios } = require('../tool-conformance');
+const { resolveModels } = require('./bench');
+const { toTable, validateFormat } = require('./output');
+
+const USAGE = 'clawd-models conformance [<provider/model>...] [--scenario <id>]... [--stream] [--max-tokens <n>] [--format table|json] | --list-scenarios';
+
+/**
+ * Run `clawd-models conformance`: the tool-calling scenarios against each model, printed as
+ * a capability matrix (one row per model, one column per scenario)
+ * @param {Array} args - Arguments after "conformance"
+ * @param {ConfigRepository} repository - Config repository of the active config
+ * @returns {boolean} True when no scenario failed or errored
+ */
+async function runConformance(args, repository) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: {
+        scenario: { type: 'string', short: 's', multiple: true },
+        stream: { type: 'boolean' },
+        'max-tokens': { type: 'string' },
+        'list-scenarios': { type: 'boolean' },
+        format: { type: 'string', short: 'f' },
+      },
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    throw new Error(`${error.message}\nUsage: ${USAGE}`);
+  }
+  const { values, positionals } = parsed;
+  const format = validateFormat(values.format || 'table', ['table', 'json']);
+  if (values['list-scenarios']) {
+    const rows = TOOL_SCENARIOS.map((scenario) => ({ id: scenario.id, title: scenario.title, tools: scenario.tools.join(', ') }));
+    console.log(format === 'json' ? JSON.stringify(rows, null, 2) : toTable(['id', 'title', 'tools'], rows));
+    return true;
+  }
+  const scenarios = selectScenarios(values.scenario || []);
+  let maxTokens;
+  if (values['max-tokens'] !== undefined) {
+    maxTokens = Number(values['max-tokens']);
+    if (!Number.isInteger(maxTokens) || maxTokens < 1) throw new Error('--max-tokens must be a positive integer');
+  }
+
+  const config = repository.load();
+  const models = resolveModels(config, positionals);
+  const progress = process.stderr.isTTY && format !== 'json';
+  const reports = [];
+  for (const { providerName, modelId } of models) {
+    reports.push(await runToolConformance(config, providerName, modelId, {
+      scenarios: scenarios.map((scenario) => scenario.id),
+      stream: values.stream,
+      maxTokens,
+      onProgress: (scenario, done, total) => {
+        if (progress) process.stderr.write(`  [${done + 1}/${total}] ${providerName}/${modelId} ${scenario.id}\n`);
+      },
+    }));
+  }
+
+  const ok = reports.every((report) => report.results.every((result) => result.result === 'PASS' || result.result === 'SKIP'));
+  if (format === 'json') {
+    console.log(JSON.stringify({ scenarios: scenarios.map(({ id, title }) => ({ id, title })), models: reports }, null, 2));
+    return ok;
+  }
+  const columns = ['model', ...scenarios.map((scenario) => scenario.id), 'passed'];
+  console.log(toTable(columns, reports.map((report) => ({
+    model: report.model,
+    ...Object.fromEntries(report.results.map((result) => [result.id, result.result])),
+    passed: `${report.passed}/${report.total}`,
+  }))));
+  for (const report of reports) {
+    for (const result of report.results.filter((candidate) => candidate.result === 'FAIL' || candidate.result === 'ERROR')) {
+      for (const problem of result.error ? [result.error] : result.problems) console.log(`${report.model} ${result.id}: ${problem}`);
+    }
+  }
+  return ok;
+}
+
+module.exports = {
+  runConformance,
+};
@@ -0,0 +1,470 @@
+const { parseArgs } = require('util');
+const { ConfigManager, ProviderManager, ModelManager, ModelCatalog, SecretStore, constants } = require('../core');
+const { formatConfig } = require('../openclaw-config');
+const { discoverModels } = require('../model-discovery');
+const { unifiedDiff, colorizeDiff } = require('../text-diff');
+const { confirmWrite, saveUnchangedSince } = require('./prompt');
+const { unlockSecretStore } = require('./secrets');
+const { PROVIDER_PRESETS, getPreset, providerFromPreset } = require('../provider-presets');
+const { toTable, validateFormat } = require('./output');
+const { looksLikeSecretRef, parseSecretRef } = require('../core/secret-ref');
+
+const API_KEY_OPTIONS = {
+  'api-key': { type: 'string' },
+  'api-key-env': { type: 'string' },
+};
+
+const PROVIDER_OPTIONS = {
+  'base-url': { type: 'string' },
+  api: { type: 'string' },
+  auth: { type: 'string' },
+  ...API_KEY_OPTIONS,
+};
+
+const MODEL_OPTIONS = {
+  name: { type: 'string' },
+  api: { type: 'string' },
+  ctx: { type: 'string' },
+  max: { type: 'string' },
+  input: { type: 'string' },
+  reasoning: { type: 'string' },
+  'input-cost': { type: 'string' },
+  'output-cost': { type: 'string' },
+  'cache-read-cost': { type: 'string' },
+  'cache-write-cost': { type: 'string' },
+};
+
+function createManagers(repository) {
+  const configManager = new ConfigManager(repository);
+  return {
+    configManager,
+    providerManager: new ProviderManager(configManager),
+    modelManager: new ModelManager(configManager),
+  };
+}
+
+function parseCommandArgs(args, options, usage) {
+  try {
+    return parseArgs({ args, options, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new Error(`${error.message}\nUsage: ${usage}`);
+  }
+}
+
+function requirePositionals(positionals, count, usage) {
+  if (positionals.length !== count) {
+    throw new Error(`Usage: ${usage}`);
+  }
+  return positionals;
+}
+
+/**
+ * Read the API key from --api-key, or store a ${env:VAR} reference for --api-key-env
+ * so the key itself never lands in the config file
+ * @param {Object} values - Parsed option values
+ * @returns {string|undefined} API key or reference
+ */
+function readApiKey(values) {
+  if (values['api-key'] !== undefined && values['api-key-env'] !== undefined) {
+    throw new Error('Use either --api-key or --api-key-env, not both');
+  }
+  if (values['api-key-env'] !== undefined) {
+    const variable = values['api-key-env'];
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(variable)) {
+      throw new Error(`"${variable}" is not a valid environment variable name`);
+    }
+    if (!process.env[variable]) {
+      console.warn(`Warning: ${variable} is not set; the key will not resolve until it is`);
+    }
+    return `\${env:${variable}}`;
+  }
+  const apiKey = values['api-key'];
+  if (looksLikeSecretRef(apiKey) && !parseSecretRef(apiKey)) {
+    throw new Error(`Invalid apiKey reference "${apiKey}"; use \${env:VAR}, \${file:path} or \${secret:name}`);
+  }
+  return apiKey;
+}
+
+function parseBoolean(value, flag) {
+  if (value === undefined) return undefined;
+  if (value === 'true') return true;
+  if (value === 'false') return false;
+  throw new Error(`${flag} must be "true" or "false"`);
+}
+
+function defaultModelName(id) {
+  return id.replace(/\s+/g, '').replace(/^./, (c) => c.toUpperCase());
+}
+
+/**
+ * Map CLI model flags onto the field names ModelManager expects
+ * @param {Object} values - Parsed option values
+ * @returns {Object} Model data (only flags that were given)
+ */
+function modelDataFromOptions(values) {
+  const data = {};
+  if (values.name !== undefined) data.name = values.name;
+  if (values.api !== undefined) data.api = values.api;
+  if (values.ctx !== undefined) data.contextWindow = values.ctx;
+  if (values.max !== undefined) data.maxTokens = values.max;
+  if (values.input !== undefined) data.input = values.input;
+  if (values.reasoning !== undefined) data.reasoning = parseBoolean(values.reasoning, '--reasoning');
+  if (values['input-cost'] !== undefined) data.inputCost = values['input-cost'];
+  if (values['output-cost'] !== undefined) data.outputCost = values['output-cost'];
+  if (values['cache-read-cost'] !== undefined) data.cacheRead = values['cache-read-cost'];
+  if (values['cache-write-cost'] !== undefined) data.cacheWrite = values['cache-write-cost'];
+  return data;
+}
+
+/**
+ * Plaintext keys are written into the secret store once it exists; unlock it up front
+ * (asking for the passphrase if needed) so ProviderManager can store the key
+ * @param {string} apiKey - Key or reference from the options
+ * @returns {Promise<boolean>} True when the key will be stored as a secret
+ */
+async function prepareSecretStore(apiKey) {
+  const store = SecretStore.shared();
+  if (!apiKey || looksLikeSecretRef(apiKey) || !store.exists()) return false;
+  await unlockSecretStore(store);
+  return true;
+}
+
+async function providerAdd(args, repository) {
+  const usage = 'clawd-models provider add [<name>] [--preset <id>] [--skip-models] [--base-url <url>] [--api <type>] [--auth <method>] [--api-key <key> | --api-key-env <VAR>]';
+  const options = { ...PROVIDER_OPTIONS, preset: { type: 'string' }, 'skip-models': { type: 'boolean' } };
+  const { values, positionals } = parseCommandArgs(args, options, usage);
+  const preset = values.preset ? getPreset(values.preset) : null;
+  // With a preset the name defaults to the preset id
+  const [name] = preset && positionals.length === 0 ? [preset.id] : requirePositionals(positionals, 1, usage);
+  const { providerManager } = createManagers(repository);
+
+  const explicitKey = readApiKey(values);
+  const envKey = preset?.apiKeyEnv && process.env[preset.apiKeyEnv] ? `\${env:${preset.apiKeyEnv}}` : undefined;
+  const storesSecret = await prepareSecretStore(explicitKey);
+  const provider = providerManager.createProvider({
+    name,
+    baseUrl: values['base-url'] ?? preset?.baseUrl,
+    api: values.api || preset?.api || constants.API_TYPES.OPENAI_COMPLETIONS,
+    auth: values.auth || preset?.auth || constants.AUTH_METHODS.API_KEY,
+    apiKey: explicitKey ?? envKey,
+  });
+  if (preset) provider.models = providerFromPreset(preset, { withModels: !values['skip-models'] }).provider.models;
+  // The provider and its preset models go in with one write (and one backup)
+  repository.update((config) => {
+    config.models ??= {};
+    config.models.providers ??= {};
+    if (config.models.providers[name]) throw new Error(`Provider "${name}" already exists`);
+    config.models.providers[name] = provider;
+  });
+
+  if (storesSecret) console.log(`API key saved in the secret store as ${SecretStore.handle(name)}`);
+  if (!preset) {
+    console.log(`Added provider "${name}"`);
+    return;
+  }
+  const count = provider.models.length;
+  console.log(`Added provider "${name}" from preset ${preset.label} with ${count} model${count === 1 ? '' : 's'}`);
+  if (explicitKey === undefined && preset.apiKeyEnv) {
+    console.log(envKey
+      ? `API key stored as the reference ${envKey}`
+      : `No API key set: export ${preset.apiKeyEnv} and re-run, or use "clawd-models provider edit ${name} --api-key-env ${preset.apiKeyEnv}"`);
+  }
+}
+
+function providerPresets(args) {
+  const usage = 'clawd-models provider presets [--format table|json]';
+  const { values } = parseCommandArgs(args, { format: { type: 'string', short: 'f' } }, usage);
+  const format = validateFormat(values.format || 'table', ['table', 'json']);
+  if (format === 'json') {
+    console.log(JSON.stringify(PROVIDER_PRESETS, null, 2));
+    return;
+  }
+  const rows = PROVIDER_PRESETS.map((preset) => ({
+    preset: preset.id,
+    name: preset.label,
+    baseUrl: preset.baseUrl,
+    api: preset.api,
+    keyEnv: preset.apiKeyEnv || '(none)',
+    models: preset.models.length,
+  }));
+  console.log(toTable(['preset', 'name', 'baseUrl', 'api', 'keyEnv', 'models'], rows));
+}
+
+async function providerEdit(args, repository) {
+  const usage = 'clawd-models provider edit <name> [--base-url <url>] [--api <type>] [--auth <method>] [--api-key <key> | --api-key-env <VAR>]';
+  const { values, positionals } = parseCommandArgs(args, PROVIDER_OPTIONS, usage);
+  const [name] = requirePositionals(positionals, 1, usage);
+  const { providerManager } = createManagers(repository);
+  const existing = providerManager.getProviderDetails(name);
+  const apiKey = readApiKey(values);
+  const storesSecret = await prepareSecretStore(apiKey);
+
+  providerManager.updateProvider(name, {
+    baseUrl: values['base-url'] ?? existing.baseUrl,
+    api: values.api ?? existing.api,
+    auth: values.auth ?? existing.auth ?? constants.AUTH_METHODS.API_KEY,
+    apiKey,
+  });
+  console.log(`Updated provider "${name}"`);
+  if (storesSecret) console.log(`API key saved in the secret store as ${SecretStore.handle(name)}`);
+}
+
+function providerRemove(args, repository) {
+  const usage = 'clawd-models provider remove <name> [--force]';
+  const { values, positionals } = parseCommandArgs(args, { force: { type: 'boolean' } }, usage);
+  const [name] = requirePositionals(positionals, 1, usage);
+  const { configManager, providerManager } = createManagers(repository);
+
+  if (!values.force) {
+    providerManager.removeProvider(name);
+    console.log(`Removed provider "${name}"`);
+    return;
+  }
+
+  // --force also drops the provider's models and every reference to them
+  const config = configManager.loadConfig();
+  const provider = configManager.getProvider(config, name);
+  if (!provider) {
+    throw new Error(`Provider "${name}" not found`);
+  }
+  const models = provider.models || [];
+  configManager.removeProvider(config, name);
+  configManager.saveConfig(config);
+  console.log(`Removed provider "${name}" and ${models.length} model${models.length === 1 ? '' : 's'}`);
+}
+
+async function providerClone(args, repository) {
+  const usage = 'clawd-models provider clone <name> <new-name> [--base-url <url>] [--strip-key | --api-key <key> | --api-key-env <VAR>] [--add-to-defaults]';
+  const options = {
+    'base-url': { type: 'string' },
+    ...API_KEY_OPTIONS,
+    'strip-key': { type: 'boolean' },
+    'add-to-defaults': { type: 'boolean' },
+  };
+  const { values, positionals } = parseCommandArgs(args, options, usage);
+  const [name, newName] = requirePositionals(positionals, 2, usage);
+  const apiKey = readApiKey(values);
+  if (values['strip-key'] && apiKey !== undefined) {
+    throw new Error('Use either --strip-key or a new key, not both');
+  }
+  const { providerManager } = createManagers(repository);
+  const storesSecret = await prepareSecretStore(apiKey);
+
+  const refs = providerManager.cloneProvider(name, newName, {
+    baseUrl: values['base-url'],
+    apiKey,
+    // A new key replaces the copied one
+    stripKey: values['strip-key'] || apiKey !== undefined,
+    addToDefaults: values['add-to-defaults'],
+  });
+  console.log(`Cloned provider "${name}" as "${newName}" with ${refs.length} model${refs.length === 1 ? '' : 's'}${values['add-to-defaults'] && refs.length > 0 ? ' (added to agents.defaults.models)' : ''}`);
+  if (storesSecret) console.log(`API key saved in the secret store as ${SecretStore.handle(newName)}`);
+}
+
+function providerRename(args, repository) {
+  const usage = 'clawd-models provider rename <name> <new-name>';
+  const { positionals } = parseCommandArgs(args, {}, usage);
+  const [name, newName] = requirePositionals(positionals, 2, usage);
+  const { providerManager } = createManagers(repository);
+
+  providerManager.renameProvider(name, newName);
+  console.log(`Renamed provider "${name}" to "${newName}" and updated every reference to it`);
+}
+
+function modelAdd(args, repository) {
+  const usage = 'clawd-models model add <provider> <id> [--name <name>] [--api <type>] [--ctx <n>] [--max <n>] [--input text,image] [--reasoning true|false] [--input-cost <n>] [--output-cost <n>] [--cache-read-cost <n>] [--cache-write-cost <n>]';
+  const { values, positionals } = parseCommandArgs(args, MODEL_OPTIONS, usage);
+  const [providerName, id] = requirePositionals(positionals, 2, usage);
+  const { providerManager, modelManager } = createManagers(repository);
+  const provider = providerManager.getProviderDetails(providerName);
+
+  modelManager.addModel(providerName, {
+    id,
+    name: defaultModelName(id),
+    api: provider.api || constants.API_TYPES.OPENAI_COMPLETIONS,
+    ...modelDataFromOptions(values),
+  });
+  console.log(`Added model "${providerName}/${id}"`);
+}
+
+function modelEdit(args, repository) {
+  const usage = 'clawd-models model edit <provider> <id> [--id <new-id>] [--name <name>] [--api <type>] [--ctx <n>] [--max <n>] [--input text,image] [--reasoning true|false] [--input-cost <n>] [--output-cost <n>] [--cache-read-cost <n>] [--cache-write-cost <n>]';
+  const { values, positionals } = parseCommandArgs(args, { ...MODEL_OPTIONS, id: { type: 'string' } }, usage);
+  const [providerName, modelId] = requirePositionals(positionals, 2, usage);
+  const { modelManager } = createManagers(repository);
+  const data = modelDataFromOptions(values);
+  if (values.id !== undefined) data.id = values.id;
+
+  modelManager.updateModel(providerName, modelId, data);
+  if (data.id && data.id !== modelId) {
+    console.log(`Updated model "${providerName}/${modelId}" (renamed to "${providerName}/${data.id}")`);
+    return;
+  }
+  console.log(`Updated model "${providerName}/${modelId}"`);
+}
+
+function modelRemove(args, repository) {
+  const usage = 'clawd-models model remove <provider> <id>';
+  const { positionals } = parseCommandArgs(args, {}, usage);
+  const [providerName, modelId] = requirePositionals(positionals, 2, usage);
+  const { modelManager } = createManagers(repository);
+
+  modelManager.removeModel(providerName, modelId);
+  console.log(`Removed model "${providerName}/${modelId}"`);
+}
+
+function modelTransfer(args, repository, move) {
+  const usage = `clawd-models model ${move ? 'move' : 'copy'} <provider> <id>... --to <provider> | <provider> --all --to <provider>`;
+  const options = { to: { type: 'string' }, all: { type: 'boolean' } };
+  const { values, positionals } = parseCommandArgs(args, options, usage);
+  const [providerName, ...ids] = positionals;
+  // Either ids or --all, not both
+  if (!providerName || !values.to || (ids.length > 0) === Boolean(values.all)) throw new Error(`Usage: ${usage}`);
+  const { configManager, modelManager } = createManagers(repository);
+  const modelIds = values.all ? configManager.getModels(configManager.loadConfig(), providerName).map((model) => model.id) : ids;
+
+  const refs = move ? modelManager.moveModels(providerName, modelIds, values.to) : modelManager.copyModels(providerName, modelIds, values.to);
+  console.log(`${move ? 'Moved' : 'Copied'} ${refs.length} model${refs.length === 1 ? '' : 's'} from "${providerName}" to "${values.to}": ${refs.join(', ')}`);
+}
+
+function discoveredRow(model) {
+  const cost = model.cost.input || model.cost.output ? `${model.cost.input}/${model.cost.output}` : '';
+  return {
+    id: model.id,
+    name: model.name,
+    contextWindow: model.contextWindow ?? '',
+    maxTokens: model.maxTokens ?? '',
+    input: model.input,
+    reasoning: model.reasoning ? 'yes' : '',
+    cost,
+  };
+}
+
+async function modelDiscover(args, repository) {
+  const usage = 'clawd-models model discover <provider> [--add <id>]... [--all] [--format table|json]';
+  const options = { add: { type: 'string', multiple: true }, all: { type: 'boolean' }, format: { type: 'string', short: 'f' } };
+  const { values, positionals } = parseCommandArgs(args, options, usage);
+  const [providerName] = requirePositionals(positionals, 1, usage);
+  const format = validateFormat(values.format || 'table', ['table', 'json']);
+  const { configManager } = createManagers(repository);
+  const config = configManager.loadConfig();
+  // The listing can take a while: the save below must not overwrite what changed meanwhile
+  const loadedHash = repository.baseHash ?? '';
+  const { endpoint, total, models } = await discoverModels(config, providerName);
+
+  if (!values.add && !values.all) {
+    if (format === 'json') {
+      console.log(JSON.stringify({ endpoint, total, models }, null, 2));
+      return;
+    }
+    console.log(`${endpoint}: ${total} listed, ${models.length} not configured yet`);
+    if (models.length > 0) {
+      console.log(toTable(['id', 'name', 'contextWindow', 'maxTokens', 'input', 'reasoning', 'cost'], models.map(discoveredRow)));
+      console.log(`Import with: clawd-models model discover ${providerName} --add <id> (repeatable) or --all`);
+    }
+    return;
+  }
+
+  let selected = models;
+  if (!values.all) {
+    const byId = new Map(models.map((model) => [model.id, model]));
+    const missing = values.add.filter((id) => !byId.has(id));
+    if (missing.length > 0) {
+      throw new Error(`Not offered by "${providerName}" or already configured: ${missing.join(', ')}`);
+    }
+    selected = [...new Set(values.add)].map((id) => byId.get(id));
+  }
+  for (const model of selected) {
+    configManager.setModel(config, providerName, model);
+  }
+  if (selected.length > 0) saveUnchangedSince(configManager, config, loadedHash);
+  console.log(`Imported ${selected.length} model${selected.length === 1 ? '' : 's'} into "${providerName}"`);
+}
+
+/**
+ * Re-apply catalog metadata (context window, output limit, costs, reasoning, input)
+ * to configured models, showing a diff before writing
+ * @param {Array} args - [provider] [model id] and options
+ * @param {ConfigRepository} repository - Config repository of the active config
+ */
+async function modelRefreshMetadata(args, repository) {
+  const usage = 'clawd-models model refresh-metadata [<provider> [<id>]] [--dry-run] [--yes]';
+  const options = { 'dry-run': { type: 'boolean' }, yes: { type: 'boolean', short: 'y' } };
+  const { values, positionals } = parseCommandArgs(args, options, usage);
+  if (positionals.length > 2) throw new Error(`Usage: ${usage}`);
+  const [providerName, modelId] = positionals;
+  const { configManager } = createManagers(repository);
+  const config = configManager.loadConfig();
+  const loadedHash = repository.baseHash ?? '';
+  const { config: refreshed, changes } = new ModelCatalog().refresh(config, { providerName, modelId });
+
+  if (changes.length === 0) {
+    console.log('All matching models already agree with the catalog.');
+    return;
+  }
+  for (const change of changes) {
+    console.log(`  ${change.ref}: ${change.fields.join(', ')} (${change.source} catalog: ${change.pattern})`);
+  }
+  console.log();
+  const fileText = repository.baseText;
+  const diff = unifiedDiff(formatConfig(config, fileText), formatConfig(refreshed, fileText), {
+    fromLabel: `${repository.configPath} (current)`,
+    toLabel: `${repository.configPath} (catalog)`,
+  });
+  console.log(process.stdout.isTTY ? colorizeDiff(diff) : diff);
+
+  if (values['dry-run']) {
+    console.log('Dry run: nothing written.');
+    return;
+  }
+  if (!(await confirmWrite(`Update ${changes.length} model${changes.length === 1 ? '' : 's'}? [y/N] `, values.yes))) {
+    console.log('Aborted; nothing written.');
+    return;
+  }
+  // The diff was confirmed against the file as loaded
+  saveUnchangedSince(configManager, refreshed, loadedHash);
+  console.log(`✅ Refreshed metadata of ${changes.length} model${changes.length === 1 ? '' : 's'}`);
+}
+
+const PROVIDER_ACTIONS = { add: providerAdd, edit: providerEdit, clone: providerClone, rename: providerRename, remove: providerRemove, presets: providerPresets };
+const MODEL_ACTIONS = {
+  add: modelAdd,
+  edit: modelEdit,
+  remove: modelRemove,
+  copy: (args, repository) => modelTransfer(args, repository, false),
+  move: (args, repository) => modelTransfer(args, repository, true),
+  discover: modelDiscover,
+  'refresh-metadata': modelRefreshMetadata,
+};
+
+function dispatch(group, actions, args, repository) {
+  const [action, ...rest] = args;
+  const handler = actions[action];
+  if (!handler) {
+    throw new Error(`Unknown ${group} action: ${action || '(none)'}. Expected one of: ${Object.keys(actions).join(', ')}`);
+  }
+  return handler(rest, repository);
+}
+
+/**
+ * Run a `provider <add|edit|clone|rename|remove|presets>` subcommand
+ * @param {Array} args - Arguments after "provider"
+ * @param {ConfigRepository} repository - Config repository of the active config
+ */
+async function runProviderCommand(args, repository) {
+  await dispatch('provider', PROVIDER_ACTIONS, args, repository);
+}
+
+/**
+ * Run a `model <add|edit|remove|copy|move|discover|refresh-metadata>` subcommand
+ * @param {Array} args - Arguments after "model"
+ * @param {ConfigRepository} repository - Config repository of the active config
+ */
+async function runModelCommand(args, repository) {
+  await dispatch('model', MODEL_ACTIONS, args, repository);
+}
+
+module.exports = {
+  runProviderCommand,
+  runModelCommand,
+};
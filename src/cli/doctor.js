@@ -0,0 +1,323 @@
+const { parseArgs } = require('util');
+const { AUTH_METHODS } = require('../core/constants');
+const { jsonPath, setSchemaIssueReporter, validateConfig } = require('../core/config-schema');
+const { describeApiKey } = require('../core/secret-ref');
+const {
+  ensureConfigShape,
+  getDefaultModelIds,
+  providerEntries,
+  removeModelReferences,
+  renameModelReferences,
+} = require('../openclaw-config');
+const { validateFormat } = require('./output');
+
+const VALID_AUTH = Object.values(AUTH_METHODS);
+
+function listValue(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string' && value) return [value];
+  return [];
+}
+
+function modelExists(config, ref) {
+  const [providerName, ...parts] = String(ref).split('/');
+  const modelId = parts.join('/');
+  if (!providerName || !modelId) return false;
+  const provider = config.models?.providers?.[providerName];
+  return Array.isArray(provider?.models) && provider.models.some((model) => model?.id === modelId);
+}
+
+/**
+ * Classify a model reference: ok, bare (uniquely qualifiable), or dangling
+ * @param {Object} config - OpenClaw config
+ * @param {string} ref - Model reference
+ * @returns {Object} { state, qualified }
+ */
+function checkModelRef(config, ref) {
+  if (modelExists(config, ref)) return { state: 'ok' };
+  // Bare ids (which may themselves contain "/") resolve when exactly one provider has them
+  const matches = [];
+  for (const [providerName, provider] of providerEntries(config)) {
+    for (const model of Array.isArray(provider?.models) ? provider.models : []) {
+      if (model?.id === ref) matches.push(`${providerName}/${model.id}`);
+    }
+  }
+  if (matches.length === 1) return { state: 'bare', qualified: matches[0] };
+  return { state: 'dangling' };
+}
+
+function refIssue(issues, config, ref, path, what) {
+  const result = checkModelRef(config, ref);
+  if (result.state === 'bare') {
+    issues.push({ level: 'warning', path, message: `${what} "${ref}" is a bare model id; use "${result.qualified}"`, fixable: true });
+  } else if (result.state === 'dangling') {
+    issues.push({ level: 'error', path, message: `${what} "${ref}" does not match any configured provider/model`, fixable: true });
+  }
+  return result.state;
+}
+
+function checkProviders(config, issues) {
+  for (const [providerName, provider] of providerEntries(config)) {
+    const base = ['models', 'providers', providerName];
+    // Shape, baseUrl, api and model fields are covered by the schema
+    if (!provider || typeof provider !== 'object') continue;
+    if (provider.auth !== undefined && !VALID_AUTH.includes(provider.auth)) {
+      issues.push({ level: 'warning', path: jsonPath(...base, 'auth'), message: `auth "${provider.auth}" is not one of: ${VALID_AUTH.join(', ')}`, fixable: false });
+    }
+    const key = describeApiKey(provider.apiKey);
+    if (key.kind === 'invalid') {
+      issues.push({ level: 'error', path: jsonPath(...base, 'apiKey'), message: `apiKey reference "${key.ref}" is ${key.error}`, fixable: false });
+    } else if (key.ref && !key.resolves) {
+      issues.push({ level: 'warning', path: jsonPath(...base, 'apiKey'), message: `apiKey reference ${key.ref} does not resolve: ${key.error}`, fixable: false });
+    }
+
+    const seen = new Set();
+    (Array.isArray(provider.models) ? provider.models : []).forEach((model, index) => {
+      if (!model?.id) return;
+      if (seen.has(model.id)) {
+        issues.push({ level: 'error', path: jsonPath(...base, 'models', index, 'id'), message: `duplicate model id "${model.id}" in provider "${providerName}"`, fixable: false });
+      }
+      seen.add(model.id);
+    });
+  }
+}
+
+function checkDefaults(config, issues) {
+  const defaults = config.agents?.defaults || {};
+  const defaultIds = getDefaultModelIds(config);
+  const active = new Set(defaultIds);
+
+  for (const ref of defaultIds) {
+    refIssue(issues, config, ref, jsonPath('agents', 'defaults', 'models', ref), 'model');
+  }
+
+  const primary = defaults.model?.primary;
+  if (primary) {
+    const state = refIssue(issues, config, primary, jsonPath('agents', 'defaults', 'model', 'primary'), 'primary');
+    if (state === 'ok' && active.size > 0 && !active.has(primary)) {
+      issues.push({ level: 'warning', path: jsonPath('agents', 'defaults', 'model', 'primary'), message: `primary "${primary}" is not in agents.defaults.models`, fixable: true });
+    }
+  } else {
+    issues.push({ level: 'warning', path: jsonPath('agents', 'defaults', 'model', 'primary'), message: 'no primary model is set', fixable: false });
+  }
+
+  if (defaults.fallbacks !== undefined) {
+    issues.push({ level: 'warning', path: jsonPath('agents', 'defaults', 'fallbacks'), message: 'OpenClaw ignores agents.defaults.fallbacks; fallbacks belong in agents.defaults.model.fallbacks', fixable: true });
+  }
+
+  const fallbacks = listValue(defaults.model?.fallbacks);
+  const seen = new Set();
+  fallbacks.forEach((ref, index) => {
+    const path = Array.isArray(defaults.model.fallbacks) ? jsonPath('agents', 'defaults', 'model', 'fallbacks', index) : jsonPath('agents', 'defaults', 'model', 'fallbacks');
+    if (seen.has(ref)) {
+      issues.push({ level: 'warning', path, message: `fallback "${ref}" is listed more than once`, fixable: true });
+      return;
+    }
+    seen.add(ref);
+    if (ref === primary) {
+      issues.push({ level: 'warning', path, message: `fallback "${ref}" is also the primary model`, fixable: true });
+      return;
+    }
+    const state = refIssue(issues, config, ref, path, 'fallback');
+    if (state === 'ok' && active.size > 0 && !active.has(ref)) {
+      issues.push({ level: 'warning', path, message: `fallback "${ref}" is not in agents.defaults.models`, fixable: true });
+    }
+  });
+}
+
+function agentModelRefs(agent) {
+  if (typeof agent?.model === 'string') return [{ ref: agent.model, key: null }];
+  if (agent?.model && typeof agent.model === 'object') {
+    const refs = agent.model.primary ? [{ ref: agent.model.primary, key: 'primary' }] : [];
+    listValue(agent.model.fallbacks).forEach((ref, index) => refs.push({ ref, key: 'fallbacks', index }));
+    return refs;
+  }
+  return [];
+}
+
+function checkAgents(config, issues) {
+  const list = Array.isArray(config.agents?.list) ? config.agents.list : [];
+  list.forEach((agent, index) => {
+    for (const { ref, key, index: fallbackIndex } of agentModelRefs(agent)) {
+      const segments = ['agents', 'list', index, 'model'];
+      if (key) segments.push(key);
+      if (fallbackIndex !== undefined && Array.isArray(agent.model.fallbacks)) segments.push(fallbackIndex);
+      refIssue(issues, config, ref, jsonPath(...segments), `agent "${agent.id || index}" model`);
+    }
+  });
+}
+
+/**
+ * Lint an openclaw config: schema problems, then cross-checks of its model references
+ * @param {Object} config - OpenClaw config
+ * @returns {Array} Issues: { level: 'error'|'warning', path, message, fixable }
+ */
+function diagnoseConfig(config) {
+  const issues = validateConfig(config).map((issue) => ({ level: 'error', ...issue, fixable: false }));
+  checkProviders(config, issues);
+  checkDefaults(config, issues);
+  checkAgents(config, issues);
+  return issues;
+}
+
+function fixRef(config, ref) {
+  const result = checkModelRef(config, ref);
+  return result.state === 'bare' ? result.qualified : result.state === 'ok' ? ref : null;
+}
+
+/**
+ * Repair what diagnoseConfig marks as fixable: qualify bare ids, drop dangling
+ * references, de-duplicate fallbacks and add the primary and fallbacks to
+ * agents.defaults.models when they are missing from it
+ * @param {Object} config - OpenClaw config (modified in place)
+ * @returns {Array} Human-readable list of changes
+ */
+function fixConfig(config) {
+  const changes = [];
+  const defaults = config.agents?.defaults;
+
+  if (defaults?.fallbacks !== undefined) {
+    // Written by older versions of the inquirer TUI: move it where OpenClaw reads it
+    const legacy = listValue(defaults.fallbacks);
+    delete defaults.fallbacks;
+    defaults.model ??= {};
+    const current = listValue(defaults.model.fallbacks);
+    defaults.model.fallbacks = [...current, ...legacy.filter((ref) => !current.includes(ref))];
+    changes.push('moved agents.defaults.fallbacks to agents.defaults.model.fallbacks');
+  }
+
+  if (defaults) {
+    const refs = new Set([...getDefaultModelIds(config), ...(defaults.model?.primary ? [defaults.model.primary] : []), ...listValue(defaults.model?.fallbacks)]);
+    for (const ref of refs) {
+      const fixed = fixRef(config, ref);
+      if (fixed === ref) continue;
+      if (fixed) {
+        renameModelReferences(config, ref, fixed);
+        changes.push(`qualified "${ref}" as "${fixed}"`);
+      } else {
+        removeModelReferences(config, ref);
+        if (defaults.model?.fallbacks === ref) delete defaults.model.fallbacks;
+        changes.push(`removed dangling reference "${ref}"`);
+      }
+    }
+
+    if (Array.isArray(defaults.model?.fallbacks)) {
+      const unique = [...new Set(defaults.model.fallbacks)].filter((ref) => ref !== defaults.model.primary);
+      if (unique.length !== defaults.model.fallbacks.length) {
+        defaults.model.fallbacks = unique;
+        changes.push('removed duplicate fallbacks');
+      }
+    }
+
+    // Only dangling references are dropped above; valid ones join the allowlist instead
+    if (getDefaultModelIds(config).length > 0) {
+      const chosen = [...(defaults.model?.primary ? [defaults.model.primary] : []), ...listValue(defaults.model?.fallbacks)];
+      for (const ref of chosen) {
+        if (defaults.models[ref] !== undefined) continue;
+        defaults.models[ref] = {};
+        changes.push(`added "${ref}" to agents.defaults.models`);
+      }
+    }
+  }
+
+  const list = Array.isArray(config.agents?.list) ? config.agents.list : [];
+  for (const agent of list) {
+    const label = agent.id || '(unnamed)';
+    if (typeof agent.model === 'string') {
+      const fixed = fixRef(config, agent.model);
+      if (fixed === agent.model) continue;
+      if (fixed) {
+        changes.push(`agent "${label}": qualified "${agent.model}" as "${fixed}"`);
+        agent.model = fixed;
+      } else {
+        changes.push(`agent "${label}": removed dangling model "${agent.model}"`);
+        delete agent.model;
+      }
+    } else if (agent.model && typeof agent.model === 'object') {
+      if (agent.model.primary) {
+        const fixed = fixRef(config, agent.model.primary);
+        if (fixed !== agent.model.primary) {
+          changes.push(`agent "${label}": ${fixed ? `qualified "${agent.model.primary}" as "${fixed}"` : `removed dangling primary "${agent.model.primary}"`}`);
+          if (fixed) agent.model.primary = fixed;
+          else delete agent.model.primary;
+        }
+      }
+      if (Array.isArray(agent.model.fallbacks)) {
+        const next = agent.model.fallbacks.map((ref) => fixRef(config, ref)).filter(Boolean);
+        if (JSON.stringify(next) !== JSON.stringify(agent.model.fallbacks)) {
+          changes.push(`agent "${label}": repaired fallbacks`);
+          agent.model.fallbacks = next;
+        }
+      }
+    }
+  }
+
+  return changes;
+}
+
+function printIssues(issues) {
+  // Plain text when piped or logged, as the diffs of migrate and restore
+  const color = (code) => (process.stdout.isTTY ? code : '');
+  const red = color('\x1b[31m');
+  const yellow = color('\x1b[33m');
+  const dim = color('\x1b[2m');
+  const reset = color('\x1b[0m');
+  for (const issue of issues) {
+    const level = issue.level === 'error' ? `${red}error${reset}  ` : `${yellow}warning${reset}`;
+    const hint = issue.fixable ? ` ${dim}(fixable with --fix)${reset}` : '';
+    console.log(`${level} ${issue.path}: ${issue.message}${hint}`);
+  }
+}
+
+/**
+ * Run `clawd-models doctor [--fix] [--format text|json]`
+ * @param {Array} args - Arguments after "doctor"
+ * @param {ConfigRepository} repository - Config repository of the active config
+ * @returns {boolean} True when no errors remain
+ */
+async function runDoctor(args, repository) {
+  const { values } = parseArgs({ args, options: { fix: { type: 'boolean' }, format: { type: 'string', short: 'f' } }, strict: true });
+  const format = validateFormat(values.format || 'text', ['text', 'json']);
+  // Schema problems are part of the report below, not a load-time warning
+  setSchemaIssueReporter(() => {});
+  const { configPath } = repository;
+  const config = ensureConfigShape(repository.load());
+
+  let changes = [];
+  if (values.fix) {
+    changes = fixConfig(config);
+    if (changes.length > 0) repository.save(config);
+  }
+  const issues = diagnoseConfig(config);
+  const errors = issues.filter((issue) => issue.level === 'error').length;
+  const warnings = issues.length - errors;
+
+  if (format === 'json') {
+    console.log(JSON.stringify({ configPath, errors, warnings, fixed: changes, issues }, null, 2));
+    return errors === 0;
+  }
+
+  console.log(`Checking ${configPath}\n`);
+  if (changes.length > 0) {
+    console.log('Fixed:');
+    for (const change of changes) console.log(`  - ${change}`);
+    console.log();
+  }
+  if (issues.length === 0) {
+    console.log('✅ No problems found');
+    return true;
+  }
+  printIssues(issues);
+  console.log(`\n${errors} error${errors === 1 ? '' : 's'}, ${warnings} warning${warnings === 1 ? '' : 's'}`);
+  if (!values.fix && issues.some((issue) => issue.fixable)) {
+    console.log('Run "clawd-models doctor --fix" to repair fixable issues.');
+  }
+  return errors === 0;
+}
+
+module.exports = {
+  jsonPath,
+  diagnoseConfig,
+  fixConfig,
+  runDoctor,
+};
@@ -0,0 +1,99 @@
+const path = require('path');
+const { parseArgs } = require('util');
+const { DEFAULT_CONFIG_PATH, discoverConfigPaths, saveConfig } = require('../openclaw-config');
+const { findLegacyConfigs, planMigration } = require('../openclaw-migrate');
+const { colorizeDiff } = require('../text-diff');
+const { confirmWrite } = require('./prompt');
+
+const USAGE = 'clawd-models migrate [clawdbot|moltbot|<path>] [--to <path>] [--dry-run] [--yes]';
+
+/**
+ * Resolve the legacy file to read: a known name, an explicit path, or the first one found
+ * @param {string} [input] - Positional argument
+ * @returns {string} Legacy config path
+ */
+function resolveSourcePath(input) {
+  if (input) {
+    const known = discoverConfigPaths().find((candidate) => candidate.name === input && candidate.name !== 'openclaw');
+    return known ? known.path : path.resolve(input);
+  }
+  const [found] = findLegacyConfigs();
+  if (!found) {
+    throw new Error('No legacy clawdbot/moltbot config found; pass the file path explicitly');
+  }
+  return found.path;
+}
+
+/**
+ * Write into the explicitly chosen config (--config / OPENCLAW_CONFIG_PATH) when it is
+ * not the legacy file itself; otherwise into the default openclaw.json
+ * @param {Object} values - Parsed options
+ * @param {Object} activeConfig - { path, source } from resolveActiveConfig
+ * @param {string} sourcePath - Legacy config path
+ * @returns {string} Target path
+ */
+function resolveTargetPath(values, activeConfig, sourcePath) {
+  if (values.to) return path.resolve(values.to);
+  const explicit = activeConfig && (activeConfig.source === 'flag' || activeConfig.source === 'env');
+  if (explicit && path.resolve(activeConfig.path) !== path.resolve(sourcePath)) return activeConfig.path;
+  return DEFAULT_CONFIG_PATH;
+}
+
+/**
+ * Run `clawd-models migrate`: preview the merged config as a diff, then write it
+ * after backing up the target
+ * @param {Array} args - Arguments after "migrate"
+ * @param {Object} activeConfig - { path, source } from resolveActiveConfig
+ */
+async function runMigrate(args, activeConfig) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: { to: { type: 'string' }, 'dry-run': { type: 'boolean' }, yes: { type: 'boolean', short: 'y' } },
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    throw new Error(`${error.message}\nUsage: ${USAGE}`);
+  }
+  const { values, positionals } = parsed;
+  if (positionals.length > 1) throw new Error(`Usage: ${USAGE}`);
+
+  const sourcePath = resolveSourcePath(positionals[0]);
+  const targetPath = resolveTargetPath(values, activeConfig, sourcePath);
+  const plan = planMigration(sourcePath, targetPath);
+
+  console.log(`Migrating ${sourcePath} -> ${targetPath}\n`);
+  for (const note of plan.notes) console.log(`  - ${note}`);
+  console.log();
+
+  if (!plan.diff) {
+    console.log('Nothing to change; the target already contains everything from the legacy config.');
+    return;
+  }
+  console.log(process.stdout.isTTY ? colorizeDiff(plan.diff) : plan.diff);
+
+  if (values['dry-run']) {
+    console.log('Dry run: nothing written.');
+    return;
+  }
+  if (!(await confirmWrite(`Write ${targetPath}? [y/N] `, values.yes))) {
+    console.log('Aborted; nothing written.');
+    return;
+  }
+
+  let backupPath;
+  try {
+    backupPath = saveConfig(targetPath, plan.config, { expectedHash: plan.hash });
+  } catch (error) {
+    if (error.code !== 'ECONFLICT') throw error;
+    throw new Error(`${targetPath} changed on disk after the diff was shown; nothing was written. Re-run the migration.`);
+  }
+  if (backupPath) console.log(`Backed up previous config to ${backupPath}`);
+  console.log(`✅ Wrote ${targetPath}`);
+}
+
+module.exports = {
+  runMigrate,
+};
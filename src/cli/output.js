@@ -0,0 +1,137 @@
+const Table = require('cli-table3');
+
+const OUTPUT_FORMATS = ['text', 'json', 'yaml', 'csv', 'table'];
+
+/**
+ * Validate a --format value
+ * @param {string} format - Requested format
+ * @param {Array} allowed - Formats supported by the command
+ * @returns {string} The format
+ */
+function validateFormat(format, allowed = OUTPUT_FORMATS) {
+  if (!allowed.includes(format)) {
+    throw new Error(`Format must be one of: ${allowed.join(', ')}`);
+  }
+  return format;
+}
+
+function yamlScalar(value) {
+  if (value === null || value === undefined) return 'null';
+  if (typeof value === 'number' || typeof value === 'boolean') return String(value);
+  const text = String(value);
+  // Quote anything a YAML parser could read as a non-string or as syntax
+  if (text === '' || /^[\s\-?:,[\]{}#&*!|>'"%@`]|[:#]\s|\s$|\n/.test(text) || /^(true|false|null|~|yes|no|on|off)$/i.test(text) || /^\d{4}-\d{2}-\d{2}/.test(text) || !Number.isNaN(Number(text))) {
+    return JSON.stringify(text);
+  }
+  return text;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function yamlLines(value, indent) {
+  const prefix = ' '.repeat(indent);
+  if (Array.isArray(value)) {
+    if (value.length === 0) return [`${prefix}[]`];
+    const lines = [];
+    for (const item of value) {
+      if ((isPlainObject(item) && Object.keys(item).length > 0) || (Array.isArray(item) && item.length > 0)) {
+        const nested = yamlLines(item, indent + 2);
+        lines.push(`${prefix}- ${nested[0].trimStart()}`, ...nested.slice(1));
+      } else {
+        lines.push(`${prefix}- ${yamlLines(item, 0)[0]}`);
+      }
+    }
+    return lines;
+  }
+  if (isPlainObject(value)) {
+    const entries = Object.entries(value).filter(([, item]) => item !== undefined);
+    if (entries.length === 0) return [`${prefix}{}`];
+    const lines = [];
+    for (const [key, item] of entries) {
+      const label = `${prefix}${yamlScalar(key)}:`;
+      if ((isPlainObject(item) && Object.keys(item).length > 0) || (Array.isArray(item) && item.length > 0)) {
+        lines.push(label, ...yamlLines(item, indent + 2));
+      } else {
+        lines.push(`${label} ${yamlLines(item, 0)[0]}`);
+      }
+    }
+    return lines;
+  }
+  return [`${prefix}${yamlScalar(value)}`];
+}
+
+/**
+ * Serialize a JSON-compatible value as YAML (block style)
+ * @param {*} value - Value to serialize
+ * @returns {string} YAML document
+ */
+function toYaml(value) {
+  return `${yamlLines(value, 0).join('\n')}\n`;
+}
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const text = Array.isArray(value) ? value.join(';') : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows as RFC 4180 CSV with a header line
+ * @param {Array} columns - Column names (keys of each row)
+ * @param {Array} rows - Flat row objects
+ * @returns {string} CSV text
+ */
+function toCsv(columns, rows) {
+  const lines = [columns.map(csvCell).join(',')];
+  for (const row of rows) {
+    lines.push(columns.map((column) => csvCell(row[column])).join(','));
+  }
+  return `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Render rows as a boxed table
+ * @param {Array} columns - Column names (keys of each row)
+ * @param {Array} rows - Flat row objects
+ * @returns {string} Table text
+ */
+function toTable(columns, rows) {
+  const table = new Table({ head: columns, style: { head: ['cyan'], border: ['gray'] } });
+  for (const row of rows) {
+    table.push(columns.map((column) => {
+      const value = row[column];
+      if (value === null || value === undefined) return '';
+      return Array.isArray(value) ? value.join(', ') : String(value);
+    }));
+  }
+  return table.toString();
+}
+
+/**
+ * Flatten a nested object into { path, value } rows (e.g. "models.providers.x.baseUrl")
+ * @param {*} value - Value to flatten
+ * @param {string} [prefix] - Path prefix
+ * @returns {Array} Rows with path and JSON-encoded leaf values
+ */
+function flattenPaths(value, prefix = '') {
+  if ((isPlainObject(value) && Object.keys(value).length > 0) || (Array.isArray(value) && value.length > 0)) {
+    const rows = [];
+    for (const [key, item] of Object.entries(value)) {
+      const path = Array.isArray(value) ? `${prefix}[${key}]` : prefix ? `${prefix}.${key}` : key;
+      rows.push(...flattenPaths(item, path));
+    }
+    return rows;
+  }
+  return [{ path: prefix, value: typeof value === 'string' ? value : JSON.stringify(value) }];
+}
+
+module.exports = {
+  OUTPUT_FORMATS,
+  validateFormat,
+  toYaml,
+  toCsv,
+  toTable,
+  flattenPaths,
+};
@@ -0,0 +1,101 @@
+const readline = require('readline');
+
+function ask(question) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  return new Promise((resolve) => {
+    rl.question(question, (answer) => {
+      rl.close();
+      resolve(/^y(es)?$/i.test(answer.trim()));
+    });
+  });
+}
+
+/**
+ * Ask before writing a file. --yes skips the question; without a TTY it is required.
+ * @param {string} question - Prompt, e.g. "Write ~/.openclaw/openclaw.json? [y/N] "
+ * @param {boolean} assumeYes - Value of --yes
+ * @returns {Promise<boolean>} True when the write may go ahead
+ */
+async function confirmWrite(question, assumeYes) {
+  if (assumeYes) return true;
+  if (!process.stdin.isTTY) {
+    throw new Error('Refusing to write without confirmation; re-run with --yes');
+  }
+  return ask(question);
+}
+
+/**
+ * Read a line from the terminal without echoing it (passphrases, API keys)
+ * @param {string} question - Prompt text
+ * @returns {Promise<string>} Entered text
+ */
+function askHidden(question) {
+  if (!process.stdin.isTTY) {
+    return Promise.reject(new Error(`Cannot prompt for "${question.trim()}" without a terminal`));
+  }
+  return new Promise((resolve, reject) => {
+    const { stdin } = process;
+    let value = '';
+    const finish = (error) => {
+      stdin.removeListener('data', onData);
+      stdin.setRawMode(false);
+      stdin.pause();
+      process.stdout.write('\n');
+      if (error) reject(error);
+      else resolve(value);
+    };
+    const onData = (chunk) => {
+      for (const char of chunk) {
+        if (char === '\r' || char === '\n') {
+          finish();
+          return;
+        }
+        if (char === '\u0003') {
+          finish(new Error('Cancelled'));
+          return;
+        }
+        if (char === '\u007f' || char === '\b') value = value.slice(0, -1);
+        else if (char >= ' ') value += char;
+      }
+    };
+    process.stdout.write(question);
+    stdin.setRawMode(true);
+    stdin.setEncoding('utf8');
+    stdin.resume();
+    stdin.on('data', onData);
+  });
+}
+
+/**
+ * Save a config that was loaded before a network request or a prompt, refusing to
+ * overwrite changes another program made to the file in the meantime
+ * @param {ConfigManager} configManager - Manager the config was loaded with
+ * @param {Object} config - Config to save
+ * @param {string} loadedHash - Repository hash taken right after loading
+ */
+function saveUnchangedSince(configManager, config, loadedHash) {
+  try {
+    configManager.saveConfig(config, { expectedHash: loadedHash });
+  } catch (error) {
+    if (error.code !== 'ECONFLICT') throw error;
+    throw new Error(`${configManager.configPath} changed on disk while this command ran; nothing was written. Re-run it.`);
+  }
+}
+
+/**
+ * Read all of stdin (for piped values such as `pass show x | clawd-models secrets set x`)
+ * @returns {Promise<string>} Input without the trailing newline
+ */
+async function readStdin() {
+  let data = '';
+  process.stdin.setEncoding('utf8');
+  for await (const chunk of process.stdin) data += chunk;
+  return data.replace(/\r?\n$/, '');
+}
+
+module.exports = {
+  confirmWrite,
+  askHidden,
+  readStdin,
+  saveUnchangedSince,
+};
@@ -0,0 +1,101 @@
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const { backupCount, hashConfigText, listBackups, restoreBackup } = require('../core/config-file');
+const { unifiedDiff, colorizeDiff } = require('../text-diff');
+const { confirmWrite } = require('./prompt');
+const { toTable, validateFormat } = require('./output');
+
+const USAGE = 'clawd-models restore [<n>|<backup-path>] [--dry-run] [--yes] [--format table|json]';
+
+/**
+ * Pick a backup by its 1-based number in the listing, or by path
+ * @param {Array} backups - listBackups() result
+ * @param {string} input - Positional argument
+ * @returns {Object} Backup
+ */
+function resolveBackup(backups, input) {
+  if (/^\d+$/.test(input)) {
+    const backup = backups[Number(input) - 1];
+    if (!backup) throw new Error(`No backup #${input}; there ${backups.length === 1 ? 'is' : 'are'} ${backups.length}`);
+    return backup;
+  }
+  const backupPath = path.resolve(input);
+  const backup = backups.find((candidate) => candidate.path === backupPath);
+  if (!backup) throw new Error(`${input} is not a backup of this config`);
+  return backup;
+}
+
+/**
+ * Run `clawd-models restore`: list the rotating backups of the active config, or roll
+ * back to one after showing a diff
+ * @param {Array} args - Arguments after "restore"
+ * @param {string} configPath - Config file path
+ */
+async function runRestore(args, configPath) {
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args,
+      options: { 'dry-run': { type: 'boolean' }, yes: { type: 'boolean', short: 'y' }, format: { type: 'string', short: 'f' } },
+      allowPositionals: true,
+      strict: true,
+    });
+  } catch (error) {
+    throw new Error(`${error.message}\nUsage: ${USAGE}`);
+  }
+  const { values, positionals } = parsed;
+  if (positionals.length > 1) throw new Error(`Usage: ${USAGE}`);
+  const backups = listBackups(configPath);
+
+  if (positionals.length === 0) {
+    const format = validateFormat(values.format || 'table', ['table', 'json']);
+    if (format === 'json') {
+      console.log(JSON.stringify(backups, null, 2));
+      return;
+    }
+    if (backups.length === 0) {
+      console.log(`No backups of ${configPath} yet; one is made before every write (keeping ${backupCount()}).`);
+      return;
+    }
+    const rows = backups.map((backup, index) => ({ '#': index + 1, createdAt: backup.createdAt, size: backup.size, file: path.basename(backup.path) }));
+    console.log(toTable(['#', 'createdAt', 'size', 'file'], rows));
+    console.log(`Restore with: clawd-models restore <#>`);
+    return;
+  }
+
+  const backup = resolveBackup(backups, positionals[0]);
+  const current = fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : null;
+  const diff = unifiedDiff(current ?? '', fs.readFileSync(backup.path, 'utf8'), {
+    fromLabel: `${configPath} (current)`,
+    toLabel: `${path.basename(backup.path)} (${backup.createdAt})`,
+  });
+  if (!diff) {
+    console.log(`${configPath} already matches the backup from ${backup.createdAt}.`);
+    return;
+  }
+  console.log(process.stdout.isTTY ? colorizeDiff(diff) : diff);
+
+  if (values['dry-run']) {
+    console.log('Dry run: nothing written.');
+    return;
+  }
+  if (!(await confirmWrite(`Restore ${configPath} from ${backup.createdAt}? [y/N] `, values.yes))) {
+    console.log('Aborted; nothing written.');
+    return;
+  }
+  let previous;
+  try {
+    // Only replace the content the diff above was made against
+    previous = restoreBackup(configPath, backup.path, { expectedHash: hashConfigText(current) });
+  } catch (error) {
+    if (error.code !== 'ECONFLICT') throw error;
+    throw new Error(`${configPath} changed on disk while this command ran; nothing was written. Re-run it.`);
+  }
+  console.log(`✅ Restored ${configPath} from ${backup.createdAt}`);
+  if (previous) console.log(`The replaced content was backed up to ${previous}`);
+}
+
+module.exports = {
+  runRestore,
+};
@@ -0,0 +1,31 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { SCHEMA_SECTIONS, getConfigSchema } = require('../core/config-schema');
+
+const USAGE = `clawd-models schema [--section ${SCHEMA_SECTIONS.join('|')}] [--out <file>]`;
+
+/**
+ * Run `clawd-models schema`: print the JSON Schema of openclaw.json (or one section of
+ * it) for editors and other tools, or write it to a file
+ * @param {Array} args - Arguments after "schema"
+ */
+async function runSchema(args) {
+  let parsed;
+  try {
+    parsed = parseArgs({ args, options: { section: { type: 'string', short: 's' }, out: { type: 'string', short: 'o' } }, strict: true });
+  } catch (error) {
+    throw new Error(`${error.message}\nUsage: ${USAGE}`);
+  }
+  const { values } = parsed;
+  const content = `${JSON.stringify(getConfigSchema(values.section), null, 2)}\n`;
+  if (!values.out) {
+    process.stdout.write(content);
+    return;
+  }
+  fs.writeFileSync(values.out, content);
+  console.log(`Wrote ${values.out}`);
+}
+
+module.exports = {
+  runSchema,
+};
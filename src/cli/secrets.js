@@ -0,0 +1,183 @@
+const fs = require('fs');
+const { parseArgs } = require('util');
+const { ConfigManager, SecretStore } = require('../core');
+const { askHidden, confirmWrite, readStdin, saveUnchangedSince } = require('./prompt');
+const { toTable, validateFormat } = require('./output');
+
+const USAGE = `clawd-models secrets list [--format table|json]
+  clawd-models secrets set <name> [--value <v> | --from-env <VAR>] [--provider <name>]
+  clawd-models secrets rm <name> [--force]
+  clawd-models secrets rotate [--key-file <path>] [--yes]`;
+
+function parseCommandArgs(args, options) {
+  try {
+    return parseArgs({ args, options, allowPositionals: true, strict: true });
+  } catch (error) {
+    throw new Error(`${error.message}\nUsage: ${USAGE}`);
+  }
+}
+
+async function askNewPassphrase(storePath) {
+  const passphrase = await askHidden(`New passphrase for ${storePath}: `);
+  if (!passphrase) throw new Error('The passphrase cannot be empty');
+  if (passphrase !== await askHidden('Repeat passphrase: ')) throw new Error('Passphrases do not match');
+  return passphrase;
+}
+
+/**
+ * Unlock the secret store from $CLAWD_MODELS_PASSPHRASE / the key file, or by asking
+ * for the passphrase on a terminal
+ * @param {SecretStore} store - Secret store
+ * @param {Object} [options] - { create } — ask for a new passphrase when the store does not exist yet
+ * @returns {Promise<SecretStore>} The store, unlocked unless it does not exist and create is false
+ */
+async function unlockSecretStore(store, options = {}) {
+  if (store.unlockFromEnvironment()) return store;
+  if (!store.exists()) {
+    if (options.create) store.unlock(await askNewPassphrase(store.storePath));
+    return store;
+  }
+  store.unlock(await askHidden(`Passphrase for ${store.storePath}: `));
+  return store;
+}
+
+/**
+ * Providers whose apiKey is the handle of a secret
+ * @param {Object} config - OpenClaw config
+ * @param {string} name - Secret name
+ * @returns {Array} Provider names
+ */
+function providersUsing(config, name) {
+  const handle = SecretStore.handle(name);
+  return Object.entries(config.models?.providers || {})
+    .filter(([, provider]) => provider?.apiKey === handle)
+    .map(([providerName]) => providerName);
+}
+
+async function secretsList(args, repository) {
+  const { values, positionals } = parseCommandArgs(args, { format: { type: 'string', short: 'f' } });
+  if (positionals.length > 0) throw new Error(`Usage: ${USAGE}`);
+  const format = validateFormat(values.format || 'table', ['table', 'json']);
+  const store = SecretStore.shared();
+  if (!store.exists()) {
+    console.log(`No secret store at ${store.storePath}; create it with "clawd-models secrets set <name>"`);
+    return;
+  }
+  await unlockSecretStore(store);
+  const config = new ConfigManager(repository).loadConfig();
+  const rows = store.list().map((secret) => ({ ...secret, usedBy: providersUsing(config, secret.name).join(', ') }));
+  if (format === 'json') {
+    console.log(JSON.stringify(rows, null, 2));
+    return;
+  }
+  if (rows.length === 0) {
+    console.log('The secret store is empty.');
+    return;
+  }
+  console.log(toTable(['name', 'updatedAt', 'usedBy'], rows));
+}
+
+async function secretsSet(args, repository) {
+  const options = { value: { type: 'string' }, 'from-env': { type: 'string' }, provider: { type: 'string' } };
+  const { values, positionals } = parseCommandArgs(args, options);
+  if (positionals.length !== 1) throw new Error(`Usage: ${USAGE}`);
+  const [name] = positionals;
+  SecretStore.validateName(name);
+  if (values.value !== undefined && values['from-env'] !== undefined) {
+    throw new Error('Use either --value or --from-env, not both');
+  }
+
+  const configManager = new ConfigManager(repository);
+  const config = configManager.loadConfig();
+  // The prompts below can take a while: the save must not overwrite what changed meanwhile
+  const loadedHash = repository.baseHash ?? '';
+  if (values.provider && !configManager.getProvider(config, values.provider)) {
+    throw new Error(`Provider "${values.provider}" not found`);
+  }
+
+  let value = values.value;
+  if (values['from-env'] !== undefined) {
+    value = process.env[values['from-env']];
+    if (!value) throw new Error(`Environment variable "${values['from-env']}" is not set`);
+  }
+  if (value === undefined) {
+    value = process.stdin.isTTY ? await askHidden(`Value for ${name}: `) : await readStdin();
+  }
+  if (!value) throw new Error(`Secret "${name}" needs a value`);
+
+  const store = SecretStore.shared();
+  const created = !store.exists();
+  await unlockSecretStore(store, { create: true });
+  const handle = SecretStore.handle(name);
+  // Point the provider at the handle first, so a refused save leaves the store untouched too
+  if (values.provider) {
+    config.models.providers[values.provider].apiKey = handle;
+    saveUnchangedSince(configManager, config, loadedHash);
+  }
+  store.set(name, value);
+  console.log(`${created ? `Created ${store.storePath} and stored` : 'Stored'} secret "${name}" (${handle})`);
+  if (values.provider) console.log(`Provider "${values.provider}" now uses ${handle}`);
+}
+
+async function secretsRemove(args, repository) {
+  const { values, positionals } = parseCommandArgs(args, { force: { type: 'boolean' } });
+  if (positionals.length !== 1) throw new Error(`Usage: ${USAGE}`);
+  const [name] = positionals;
+  const store = SecretStore.shared();
+  if (!store.exists()) throw new Error(`No secret store at ${store.storePath}`);
+  await unlockSecretStore(store);
+
+  const users = providersUsing(new ConfigManager(repository).loadConfig(), name);
+  if (users.length > 0 && !values.force) {
+    throw new Error(`Secret "${name}" is used by provider${users.length === 1 ? '' : 's'} ${users.join(', ')}; re-run with --force to remove it anyway`);
+  }
+  store.remove(name);
+  console.log(`Removed secret "${name}"`);
+  if (users.length > 0) console.log(`Warning: ${users.join(', ')} still reference${users.length === 1 ? 's' : ''} ${SecretStore.handle(name)}`);
+}
+
+async function secretsRotate(args) {
+  const { values, positionals } = parseCommandArgs(args, { 'key-file': { type: 'string' }, yes: { type: 'boolean', short: 'y' } });
+  if (positionals.length > 0) throw new Error(`Usage: ${USAGE}`);
+  const store = SecretStore.shared();
+  if (!store.exists()) throw new Error(`No secret store at ${store.storePath}`);
+  await unlockSecretStore(store);
+
+  let newSecret;
+  if (values['key-file']) {
+    newSecret = fs.readFileSync(values['key-file']);
+  } else if (process.env.CLAWD_MODELS_NEW_PASSPHRASE) {
+    newSecret = process.env.CLAWD_MODELS_NEW_PASSPHRASE;
+  } else {
+    newSecret = await askNewPassphrase(store.storePath);
+  }
+  if (!(await confirmWrite(`Re-encrypt ${store.storePath} with the new ${values['key-file'] ? 'key file' : 'passphrase'}? [y/N] `, values.yes))) {
+    console.log('Aborted; nothing written.');
+    return;
+  }
+  const count = store.rotate(newSecret);
+  console.log(`Re-encrypted ${count} secret${count === 1 ? '' : 's'} in ${store.storePath}`);
+  if (values['key-file']) console.log(`Unlock with CLAWD_MODELS_KEYFILE=${values['key-file']} from now on`);
+  else if (process.env.CLAWD_MODELS_PASSPHRASE || process.env.CLAWD_MODELS_KEYFILE) console.log('Update CLAWD_MODELS_PASSPHRASE / CLAWD_MODELS_KEYFILE to the new passphrase');
+}
+
+const SECRETS_ACTIONS = { list: secretsList, set: secretsSet, rm: secretsRemove, rotate: secretsRotate };
+
+/**
+ * Run a `secrets <list|set|rm|rotate>` subcommand
+ * @param {Array} args - Arguments after "secrets"
+ * @param {ConfigRepository} repository - Config repository of the active config
+ */
+async function runSecretsCommand(args, repository) {
+  const [action, ...rest] = args;
+  const handler = SECRETS_ACTIONS[action];
+  if (!handler) {
+    throw new Error(`Unknown secrets action: ${action || '(none)'}. Expected one of: ${Object.keys(SECRETS_ACTIONS).join(', ')}`);
+  }
+  await handler(rest, repository);
+}
+
+module.exports = {
+  runSecretsCommand,
+  unlockSecretStore,
+};
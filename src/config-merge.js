@@ -0,0 +1,131 @@
+/**
+ * Three-way merge of config objects, used when the file changed on disk while the TUI
+ * had unsaved edits. Objects merge key by key and arrays of { id } entries (provider
+ * model lists) merge by id; any other value is taken whole from the side that changed it.
+ */
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function isIdList(value) {
+  return Array.isArray(value) && value.every((entry) => isPlainObject(entry) && typeof entry.id === 'string');
+}
+
+function isEqual(left, right) {
+  return JSON.stringify(left) === JSON.stringify(right);
+}
+
+function clone(value) {
+  return value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+}
+
+function formatPath(keys) {
+  return keys.map((key, index) => (index > 0 && !key.startsWith('[') ? `.${key}` : key)).join('');
+}
+
+function mergeValue(base, ours, theirs, path, conflicts) {
+  if (isEqual(ours, theirs)) return clone(ours);
+  if (isEqual(base, ours)) return clone(theirs);
+  if (isEqual(base, theirs)) return clone(ours);
+
+  if (isPlainObject(ours) && isPlainObject(theirs)) {
+    const baseObject = isPlainObject(base) ? base : {};
+    const merged = {};
+    const keys = [...new Set([...Object.keys(theirs), ...Object.keys(ours)])];
+    for (const key of keys) {
+      const value = mergeValue(baseObject[key], ours[key], theirs[key], [...path, key], conflicts);
+      if (value !== undefined) merged[key] = value;
+    }
+    return merged;
+  }
+
+  if (isIdList(ours) && isIdList(theirs)) {
+    const byId = (list) => new Map((isIdList(list) ? list : []).map((entry) => [entry.id, entry]));
+    const baseEntries = byId(base);
+    const ourEntries = byId(ours);
+    const theirEntries = byId(theirs);
+    const ids = [...new Set([...theirEntries.keys(), ...ourEntries.keys()])];
+    return ids
+      .map((id) => mergeValue(baseEntries.get(id), ourEntries.get(id), theirEntries.get(id), [...path, `[id=${id}]`], conflicts))
+      .filter((entry) => entry !== undefined);
+  }
+
+  conflicts.push({ path: formatPath(path), keys: path, base: clone(base), ours: clone(ours), theirs: clone(theirs) });
+  return clone(ours);
+}
+
+/**
+ * Merge two edited copies of a config against their common ancestor
+ * @param {Object} base - Config as last read from disk
+ * @param {Object} ours - In-memory config with local edits
+ * @param {Object} theirs - Config now on disk
+ * @param {Object} [options] - { prefer: 'ours'|'theirs' } — which side wins a conflict (default ours)
+ * @returns {Object} { config, conflicts } where conflicts are { path, keys, base, ours, theirs }
+ */
+function mergeConfigs(base, ours, theirs, options = {}) {
+  const conflicts = [];
+  const config = mergeValue(base, ours, theirs, [], conflicts) || {};
+  if (options.prefer === 'theirs') {
+    for (const conflict of conflicts) setPath(config, conflict.keys, conflict.theirs);
+  }
+  return { config, conflicts };
+}
+
+function collectChanges(before, after, path, paths) {
+  if (isEqual(before, after)) return;
+  const count = paths.length;
+  if (isPlainObject(before) && isPlainObject(after)) {
+    for (const key of new Set([...Object.keys(before), ...Object.keys(after)])) {
+      collectChanges(before[key], after[key], [...path, key], paths);
+    }
+  } else if (isIdList(before) && isIdList(after)) {
+    const beforeEntries = new Map(before.map((entry) => [entry.id, entry]));
+    const afterEntries = new Map(after.map((entry) => [entry.id, entry]));
+    for (const id of new Set([...beforeEntries.keys(), ...afterEntries.keys()])) {
+      collectChanges(beforeEntries.get(id), afterEntries.get(id), [...path, `[id=${id}]`], paths);
+    }
+  }
+  // A changed scalar, a replaced value, or entries that were only reordered
+  if (paths.length === count) paths.push(formatPath(path));
+}
+
+/**
+ * List where two configs differ, in the path notation of merge conflicts
+ * @param {Object} before - Config before a change
+ * @param {Object} after - Config after it
+ * @returns {Array} Paths such as models.providers.p1.models[id=m1].maxTokens
+ */
+function changedPaths(before, after) {
+  const paths = [];
+  collectChanges(before, after, [], paths);
+  return paths;
+}
+
+function setPath(config, keys, value) {
+  let target = config;
+  for (const key of keys.slice(0, -1)) {
+    target = Array.isArray(target) ? target.find((entry) => `[id=${entry.id}]` === key) : target[key];
+    if (target === undefined) return;
+  }
+  const last = keys[keys.length - 1];
+  if (Array.isArray(target)) {
+    const index = target.findIndex((entry) => `[id=${entry.id}]` === last);
+    if (value === undefined) {
+      if (index >= 0) target.splice(index, 1);
+    } else if (index >= 0) {
+      target[index] = clone(value);
+    } else {
+      target.push(clone(value));
+    }
+  } else if (value === undefined) {
+    delete target[last];
+  } else {
+    target[last] = clone(value);
+  }
+}
+
+module.exports = {
+  mergeConfigs,
+  changedPaths,
+};
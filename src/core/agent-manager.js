@@ -259,6 +259,8 @@ class AgentManager {
 
     if (agentId === 'main') {
       // For main agent, update defaults
+      config.agents = config.agents || { defaults: {}, list: [] };
+      config.agents.defaults = config.agents.defaults || {};
       config.agents.defaults.workspace = workspacePath;
     } else {
       // For other agents, update agent-specific workspace
@@ -287,6 +289,8 @@ class AgentManager {
 
     if (agentId === 'main') {
       // For main agent, update defaults
+      config.agents = config.agents || { defaults: {}, list: [] };
+      config.agents.defaults = config.agents.defaults || {};
       config.agents.defaults.maxConcurrent = maxConcurrent;
       if (subagentsConcurrent !== null) {
         config.agents.defaults.subagents = config.agents.defaults.subagents || {};
@@ -354,11 +358,9 @@ class AgentManager {
     this.validateFallbackModels(fallbackModels, primaryModel);
 
     const config = this.configManager.loadConfig();
+    const updatedConfig = this.configManager.setAgentFallbackModels(config, fallbackModels);
+    this.configManager.saveConfig(updatedConfig);
 
-    // Store fallback models in a separate field
-    config.agents.defaults.fallbacks = fallbackModels;
-
-    this.configManager.saveConfig(config);
     return true;
   }
 
@@ -368,7 +370,7 @@ class AgentManager {
    */
   getFallbackModels() {
     const config = this.configManager.loadConfig();
-    return config.agents?.defaults?.fallbacks || [];
+    return this.configManager.getAgentFallbackModels(config);
   }
 
   /**
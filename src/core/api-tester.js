@@ -1,4 +1,5 @@
 const fs = require('fs');
+const { resolveApiKey } = require('./secret-ref');
 
 const DEBUG_LOG_PATH = '/tmp/clawd-models.log';
 
@@ -78,13 +79,13 @@ class ApiTester {
   }
 
   /**
-   * Prepare request body and headers
+   * Prepare request body and headers (apiKey references are resolved here)
    * @param {Object} provider - Provider configuration
    * @param {Object} model - Model configuration
    * @returns {Object} Request body and headers
    */
   prepareRequest(provider, model) {
-    const apiKey = provider.apiKey;
+    const apiKey = resolveApiKey(provider.apiKey);
     const headers = {};
 
     // Add authentication headers
@@ -216,16 +217,33 @@ class ApiTester {
   /**
    * Test multiple models
    * @param {Array} modelIds - Array of model IDs
-   * @returns {Array} Test results for each model
+   * @param {number} [concurrency] - Maximum number of requests in flight
+   * @returns {Array} Test results for each model (in input order)
    */
-  async testModels(modelIds) {
-    const results = [];
+  async testModels(modelIds, concurrency = 1) {
+    return ApiTester.mapWithConcurrency(modelIds, concurrency, (modelId) => this.testModel(modelId));
+  }
 
-    for (const modelId of modelIds) {
-      const result = await this.testModel(modelId);
-      results.push(result);
-    }
+  /**
+   * Run an async worker over items with at most `limit` calls in flight
+   * @param {Array} items - Items to process
+   * @param {number} limit - Concurrency limit
+   * @param {Function} worker - async (item, index) => result
+   * @returns {Array} Results in input order
+   */
+  static async mapWithConcurrency(items, limit, worker) {
+    const results = new Array(items.length);
+    let next = 0;
+    const size = Math.max(1, Math.min(Number(limit) || 1, items.length));
+
+    const runners = Array.from({ length: size }, async () => {
+      while (next < items.length) {
+        const index = next++;
+        results[index] = await worker(items[index], index);
+      }
+    });
 
+    await Promise.all(runners);
     return results;
   }
 
@@ -273,11 +291,13 @@ class ApiTester {
    * @param {string} providerName - Provider name
    * @param {string} baseUrl - Base URL
    * @param {string} apiType - API type
-   * @param {string} apiKey - API key (optional)
+   * @param {string} apiKey - API key or reference (optional)
    * @returns {Object} Validation results
    */
   async validateApiConfig(providerName, baseUrl, apiType, apiKey = null) {
     try {
+      const resolvedKey = resolveApiKey(apiKey);
+
       // Basic URL validation
       if (!baseUrl.startsWith('http://') && !baseUrl.startsWith('https://')) {
         return {
@@ -301,8 +321,8 @@ class ApiTester {
 
       // Try to connect to the endpoint
       const headers = {};
-      if (apiKey) {
-        headers['Authorization'] = `Bearer ${apiKey}`;
+      if (resolvedKey) {
+        headers['Authorization'] = `Bearer ${resolvedKey}`;
       }
 
       const response = await fetch(endpoint, {
@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { parseConfigText } = require('./config-text');
+
+/**
+ * Safe config file writes shared by every clawd-models entry point:
+ * an advisory <file>.lock, a timestamped <file>.<stamp>.bak of the previous content
+ * (the newest N are kept), and a temp file renamed over the original.
+ */
+
+const DEFAULT_BACKUP_COUNT = 10;
+const LOCK_TIMEOUT_MS = 5000;
+const LOCK_STALE_MS = 30000;
+const LOCK_RETRY_MS = 50;
+const BACKUP_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})-(\d{3})Z(?:-(\d+))?\.bak$/;
+
+function sleepSync(ms) {
+  Atomics.wait(new Int32Array(new SharedArrayBuffer(4)), 0, 0, ms);
+}
+
+/**
+ * How many backups to keep ($CLAWD_MODELS_BACKUPS, default 10; 0 turns backups off)
+ * @returns {number} Backup count
+ */
+function backupCount() {
+  const value = Number(process.env.CLAWD_MODELS_BACKUPS);
+  return process.env.CLAWD_MODELS_BACKUPS !== undefined && Number.isInteger(value) && value >= 0 ? value : DEFAULT_BACKUP_COUNT;
+}
+
+function lockPathFor(configPath) {
+  return `${configPath}.lock`;
+}
+
+function readLockOwner(lockPath) {
+  try {
+    const owner = JSON.parse(fs.readFileSync(lockPath, 'utf8'));
+    return Number.isInteger(owner?.pid) && Number.isFinite(owner?.createdAt) ? owner : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+function isStaleLock(lockPath) {
+  const owner = readLockOwner(lockPath);
+  if (!owner) {
+    // Empty or unreadable: its owner may still be writing it, so only its age can tell
+    try {
+      return Date.now() - fs.statSync(lockPath).mtimeMs > LOCK_STALE_MS;
+    } catch (error) {
+      return false;
+    }
+  }
+  if (Date.now() - owner.createdAt > LOCK_STALE_MS) return true;
+  try {
+    process.kill(owner.pid, 0);
+    return false;
+  } catch (error) {
+    // Only a missing process means the owner is gone; EPERM and the rest mean it may be alive
+    return error.code === 'ESRCH';
+  }
+}
+
+/**
+ * Where writes to a config file go: the target of a symlinked config (as dotfile setups
+ * use), so renaming a temp file over it replaces the real file instead of the link
+ * @param {string} configPath - Config file path
+ * @returns {string} Resolved path, or configPath when it does not exist yet
+ */
+function resolveConfigTarget(configPath) {
+  try {
+    return fs.realpathSync(configPath);
+  } catch (error) {
+    return configPath;
+  }
+}
+
+/**
+ * Content hash used to notice that a config changed since it was read
+ * @param {string|null} text - File content (null for a missing file)
+ * @returns {string} sha256 hex digest ('' for a missing file)
+ */
+function hashConfigText(text) {
+  return text === null || text === undefined ? '' : crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Hash of the config file as it is on disk now
+ * @param {string} configPath - Config file path
+ * @returns {string} hashConfigText() of the current content
+ */
+function hashConfigFile(configPath) {
+  return hashConfigText(fs.existsSync(configPath) ? fs.readFileSync(configPath, 'utf8') : null);
+}
+
+/**
+ * Take the advisory lock for a config file, waiting for other clawd-models processes.
+ * Locks left behind by dead processes (or older than 30s, or empty for 30s) are broken.
+ * @param {string} configPath - Config file path
+ * @returns {Function} Release function
+ */
+function acquireConfigLock(configPath) {
+  const lockPath = lockPathFor(configPath);
+  fs.ensureDirSync(path.dirname(configPath));
+  const deadline = Date.now() + LOCK_TIMEOUT_MS;
+  for (;;) {
+    try {
+      const fd = fs.openSync(lockPath, 'wx');
+      const owner = { pid: process.pid, createdAt: Date.now() };
+      fs.writeSync(fd, JSON.stringify(owner));
+      fs.closeSync(fd);
+      return () => {
+        // A lock broken as stale may have been taken by another process since: leave that one
+        const current = readLockOwner(lockPath);
+        if (current && current.pid === owner.pid && current.createdAt === owner.createdAt) fs.rmSync(lockPath, { force: true });
+      };
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+    }
+    if (isStaleLock(lockPath)) {
+      fs.rmSync(lockPath, { force: true });
+      continue;
+    }
+    if (Date.now() > deadline) {
+      throw new Error(`${configPath} is locked by another clawd-models process (${lockPath}); try again or remove the lock file`);
+    }
+    sleepSync(LOCK_RETRY_MS);
+  }
+}
+
+/**
+ * Run a function while holding the config lock
+ * @param {string} configPath - Config file path
+ * @param {Function} fn - Synchronous work
+ * @returns {*} Whatever fn returns
+ */
+function withConfigLock(configPath, fn) {
+  const release = acquireConfigLock(configPath);
+  try {
+    return fn();
+  } finally {
+    release();
+  }
+}
+
+/**
+ * Backups of a config file (kept next to the file a symlinked config points to), newest first
+ * @param {string} configPath - Config file path
+ * @returns {Array} { path, createdAt, size }
+ */
+function listBackups(configPath) {
+  const targetPath = resolveConfigTarget(configPath);
+  const dir = path.dirname(targetPath);
+  const prefix = `${path.basename(targetPath)}.`;
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir)
+    .filter((name) => name.startsWith(prefix) && BACKUP_PATTERN.test(name.slice(prefix.length)))
+    .map((name) => {
+      const [, day, hours, minutes, seconds, millis, counter] = name.slice(prefix.length).match(BACKUP_PATTERN);
+      const backupPath = path.join(dir, name);
+      return {
+        path: backupPath,
+        createdAt: new Date(`${day}T${hours}:${minutes}:${seconds}.${millis}Z`).toISOString(),
+        sequence: Number(counter || 0),
+        size: fs.statSync(backupPath).size,
+      };
+    })
+    .sort((left, right) => right.createdAt.localeCompare(left.createdAt) || right.sequence - left.sequence)
+    .map(({ sequence, ...backup }) => backup);
+}
+
+/**
+ * Delete all but the newest backups
+ * @param {string} configPath - Config file path
+ * @param {number} [keep] - Backups to keep
+ * @returns {Array} Deleted backup paths
+ */
+function pruneBackups(configPath, keep = backupCount()) {
+  const stale = listBackups(configPath).slice(Math.max(keep, 0));
+  for (const backup of stale) fs.rmSync(backup.path, { force: true });
+  return stale.map((backup) => backup.path);
+}
+
+/**
+ * Copy the current config next to itself as <file>.<timestamp>.bak, skipping the copy
+ * when the newest backup already has the same content, then prune old backups
+ * @param {string} configPath - Config file path
+ * @returns {string|null} Backup path, or null when there was nothing to back up
+ */
+function backupConfigFile(configPath) {
+  if (!fs.existsSync(configPath)) return null;
+  const current = fs.readFileSync(configPath);
+  const [newest] = listBackups(configPath);
+  if (newest && current.equals(fs.readFileSync(newest.path))) return newest.path;
+
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+  let backupPath = `${configPath}.${stamp}.bak`;
+  for (let counter = 1; fs.existsSync(backupPath); counter += 1) {
+    backupPath = `${configPath}.${stamp}-${counter}.bak`;
+  }
+  fs.writeFileSync(backupPath, current, { mode: fs.statSync(configPath).mode & 0o777 });
+  pruneBackups(configPath, Math.max(backupCount(), 1));
+  return backupPath;
+}
+
+/**
+ * Write a config file safely: lock, back up the previous content, write a temp file
+ * in the same directory, fsync it and rename it over the original. A symlinked config is
+ * written through to its target; the lock stays on the path given.
+ * @param {string} configPath - Config file path
+ * @param {string|Function} content - New file content, or a function from the current content (null when missing) to it
+ * @param {Object} [options] - { expectedHash } — refuse to write unless the file still has this hash
+ * @returns {string|null} Backup path of the previous content, if one was made
+ * @throws {Error} With code ECONFLICT when the file changed since expectedHash was taken
+ */
+function writeConfigFile(configPath, content, options = {}) {
+  return withConfigLock(configPath, () => {
+    if (options.expectedHash !== undefined && hashConfigFile(configPath) !== options.expectedHash) {
+      const error = new Error(`${configPath} was changed by another program since it was loaded`);
+      error.code = 'ECONFLICT';
+      throw error;
+    }
+    const targetPath = resolveConfigTarget(configPath);
+    const existing = fs.existsSync(targetPath) ? fs.statSync(targetPath) : null;
+    const text = typeof content === 'function' ? content(existing ? fs.readFileSync(targetPath, 'utf8') : null) : content;
+    const backupPath = existing && backupCount() > 0 ? backupConfigFile(targetPath) : null;
+    const tempPath = `${targetPath}.${process.pid}.${Date.now()}.tmp`;
+    try {
+      const fd = fs.openSync(tempPath, 'w', existing ? existing.mode & 0o777 : 0o600);
+      try {
+        fs.writeFileSync(fd, text, 'utf8');
+        fs.fsyncSync(fd);
+      } finally {
+        fs.closeSync(fd);
+      }
+      fs.renameSync(tempPath, targetPath);
+    } catch (error) {
+      fs.rmSync(tempPath, { force: true });
+      throw error;
+    }
+    return backupPath;
+  });
+}
+
+/**
+ * Roll a config file back to one of its backups. The current content is backed up
+ * first, so a restore can itself be undone.
+ * @param {string} configPath - Config file path
+ * @param {string} backupPath - Backup to restore
+ * @param {Object} [options] - writeConfigFile options ({ expectedHash })
+ * @returns {string|null} Backup path of the content that was replaced
+ */
+function restoreBackup(configPath, backupPath, options = {}) {
+  const content = fs.readFileSync(backupPath, 'utf8');
+  try {
+    parseConfigText(content);
+  } catch (error) {
+    throw new Error(`Backup ${backupPath} is not a valid config: ${error.message}`);
+  }
+  return writeConfigFile(configPath, content, options);
+}
+
+module.exports = {
+  DEFAULT_BACKUP_COUNT,
+  backupCount,
+  hashConfigText,
+  hashConfigFile,
+  resolveConfigTarget,
+  acquireConfigLock,
+  withConfigLock,
+  listBackups,
+  pruneBackups,
+  backupConfigFile,
+  writeConfigFile,
+  restoreBackup,
+};
@@ -1,39 +1,40 @@
-const fs = require('fs-extra');
 const path = require('path');
 const os = require('os');
+const ConfigRepository = require('./config-repository');
+const { cloneProvider, removeModelReferences, removeProviderReferences, renameProvider, transferModels } = require('../openclaw-config');
 
-const OPENCLAW_CONFIG_PATH = path.join(os.homedir(), '.openclaw', 'openclaw.json');
 const CURRENT_VERSION = '2026.2.10';
 
 class ConfigManager {
-  constructor() {
-    this.configPath = OPENCLAW_CONFIG_PATH;
+  /**
+   * @param {ConfigRepository|string} [repository] - Shared config repository, or a config
+   *   file path to open one for (defaults to the active config, see ConfigRepository)
+   */
+  constructor(repository) {
+    this.repository = repository instanceof ConfigRepository ? repository : new ConfigRepository(repository);
+  }
+
+  /**
+   * Config file path of the underlying repository
+   * @returns {string} Path to config file
+   */
+  get configPath() {
+    return this.repository.configPath;
   }
 
   /**
-   * Load configuration from file
+   * Load configuration from file. An existing file is returned as it is: sections it lacks
+   * are added by the setters that need them, never on load, so a save writes only what a
+   * command changed (plus meta). Defaults are only filled in for a config that does not exist yet.
    * @returns {Object} The configuration object
    */
   loadConfig() {
     try {
-      if (!fs.existsSync(this.configPath)) {
+      if (!this.repository.exists()) {
         return this.createDefaultConfig();
       }
 
-      const content = fs.readFileSync(this.configPath, 'utf8');
-      const config = JSON.parse(content);
-
-      // Ensure structure exists
-      config.meta = config.meta || {};
-      config.meta.lastTouchedVersion = CURRENT_VERSION;
-      config.meta.lastTouchedAt = new Date().toISOString();
-
-      config.models = config.models || { mode: 'merge', providers: {} };
-      config.agents = config.agents || { defaults: {}, list: [] };
-      config.auth = config.auth || { profiles: {} };
-      config.gateway = config.gateway || this.getDefaultGatewayConfig();
-
-      return config;
+      return this.repository.load();
     } catch (error) {
       console.error(`Error loading configuration: ${error.message}`);
       throw error;
@@ -43,19 +44,16 @@ class ConfigManager {
   /**
    * Save configuration to file
    * @param {Object} config - Configuration object to save
+   * @param {Object} [options] - { expectedHash } — refuse (code ECONFLICT) unless the file still has this hash
    */
-  saveConfig(config) {
+  saveConfig(config, options = {}) {
     try {
       // Update metadata
       config.meta = config.meta || {};
       config.meta.lastTouchedVersion = CURRENT_VERSION;
       config.meta.lastTouchedAt = new Date().toISOString();
 
-      // Ensure directory exists
-      fs.ensureDirSync(path.dirname(this.configPath));
-
-      // Write to file
-      fs.writeFileSync(this.configPath, JSON.stringify(config, null, 2));
+      this.repository.save(config, options);
       return true;
     } catch (error) {
       console.error(`Error saving configuration: ${error.message}`);
@@ -153,7 +151,7 @@ class ConfigManager {
    * @returns {boolean} True if config file exists
    */
   configExists() {
-    return fs.existsSync(this.configPath);
+    return this.repository.exists();
   }
 
   /**
@@ -184,12 +182,13 @@ class ConfigManager {
    */
   setProvider(config, name, providerData) {
     config.models = config.models || { mode: 'merge', providers: {} };
+    config.models.providers = config.models.providers || {};
     config.models.providers[name] = providerData;
     return config;
   }
 
   /**
-   * Remove a provider
+   * Remove a provider and every reference to its models
    * @param {Object} config - Configuration object
    * @param {string} name - Provider name
    * @returns {Object} Updated configuration
@@ -198,9 +197,34 @@ class ConfigManager {
     if (config.models?.providers?.[name]) {
       delete config.models.providers[name];
     }
+    removeProviderReferences(config, name);
+    return config;
+  }
+
+  /**
+   * Rename a provider and rewrite every reference to it
+   * @param {Object} config - Configuration object
+   * @param {string} name - Current provider name
+   * @param {string} newName - New provider name
+   * @returns {Object} Updated configuration
+   */
+  renameProvider(config, name, newName) {
+    renameProvider(config, name, newName);
     return config;
   }
 
+  /**
+   * Copy a provider with all its models under a new name
+   * @param {Object} config - Configuration object
+   * @param {string} name - Provider to copy
+   * @param {string} newName - Name of the copy
+   * @param {Object} [options] - { stripKey, addToDefaults }
+   * @returns {Array} Refs of the copied models
+   */
+  cloneProvider(config, name, newName, options = {}) {
+    return cloneProvider(config, name, newName, options);
+  }
+
   /**
    * Get all models for a provider
    * @param {Object} config - Configuration object
@@ -252,7 +276,7 @@ class ConfigManager {
   }
 
   /**
-   * Remove a model
+   * Remove a model and every reference to it
    * @param {Object} config - Configuration object
    * @param {string} providerName - Provider name
    * @param {string} modelId - Model ID
@@ -268,10 +292,24 @@ class ConfigManager {
     if (index >= 0) {
       provider.models.splice(index, 1);
     }
+    removeModelReferences(config, `${providerName}/${modelId}`);
 
     return config;
   }
 
+  /**
+   * Copy or move models to another provider; a move rewrites every reference to them
+   * @param {Object} config - Configuration object
+   * @param {string} fromProvider - Source provider name
+   * @param {Array} modelIds - Model IDs
+   * @param {string} toProvider - Target provider name
+   * @param {Object} [options] - { move }
+   * @returns {Array} Refs of the models in the target provider
+   */
+  transferModels(config, fromProvider, modelIds, toProvider, options = {}) {
+    return transferModels(config, fromProvider, modelIds, toProvider, options);
+  }
+
   /**
    * Get agent defaults
    * @param {Object} config - Configuration object
@@ -304,6 +342,33 @@ class ConfigManager {
     return config.agents?.defaults?.model?.primary || null;
   }
 
+  /**
+   * Set agent default fallback models (agents.defaults.model.fallbacks)
+   * @param {Object} config - Configuration object
+   * @param {Array} modelIds - Model IDs in the order they are tried
+   * @returns {Object} Updated configuration
+   */
+  setAgentFallbackModels(config, modelIds) {
+    config.agents = config.agents || { defaults: {}, list: [] };
+    config.agents.defaults = config.agents.defaults || {};
+    config.agents.defaults.model = config.agents.defaults.model || {};
+    config.agents.defaults.model.fallbacks = [...modelIds];
+    // Older versions of this tool wrote agents.defaults.fallbacks, which OpenClaw ignores
+    delete config.agents.defaults.fallbacks;
+    return config;
+  }
+
+  /**
+   * Get agent default fallback models
+   * @param {Object} config - Configuration object
+   * @returns {Array} Model IDs
+   */
+  getAgentFallbackModels(config) {
+    const fallbacks = config.agents?.defaults?.model?.fallbacks ?? config.agents?.defaults?.fallbacks;
+    if (Array.isArray(fallbacks)) return fallbacks;
+    return typeof fallbacks === 'string' && fallbacks ? [fallbacks] : [];
+  }
+
   /**
    * Get all agents
    * @param {Object} config - Configuration object
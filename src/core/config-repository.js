@@ -0,0 +1,386 @@
+const EventEmitter = require('events');
+const fs = require('fs-extra');
+const path = require('path');
+const { hashConfigFile, hashConfigText, writeConfigFile } = require('./config-file');
+const { formatConfigText, parseConfigText } = require('./config-text');
+const { assertValidForSave, reportConfigIssues } = require('./config-schema');
+const {
+  cloneProvider,
+  removeModelReferences,
+  removeProviderReferences,
+  renameModelReferences,
+  renameProvider,
+  resolveActiveConfig,
+  setDefaultModels,
+  transferModels,
+} = require('../openclaw-config');
+
+const WATCH_DEBOUNCE_MS = 150;
+
+function providersOf(config) {
+  config.models ??= {};
+  config.models.providers ??= {};
+  return config.models.providers;
+}
+
+function modelDefaultsOf(config) {
+  config.agents ??= {};
+  config.agents.defaults ??= {};
+  config.agents.defaults.model ??= {};
+  return config.agents.defaults;
+}
+
+/**
+ * The one place openclaw.json is read and written. The CLI, the pi-tui editor and the
+ * inquirer TUI share it, so they resolve the same file, store fields in the same place
+ * and clean up references to removed or renamed models the same way.
+ *
+ * Emits 'change' with { source, configPath, hash }:
+ * - source 'save': this repository wrote the file (also has backupPath)
+ * - source 'external': another program changed the file (only while watch() is active)
+ * - source 'switch': setConfigPath() pointed the repository at another file
+ */
+class ConfigRepository extends EventEmitter {
+  /**
+   * @param {string} [configPath] - Config file path (defaults to OPENCLAW_CONFIG_PATH, then the first existing known location)
+   */
+  constructor(configPath) {
+    super();
+    this.configPath = configPath || resolveActiveConfig({ envPath: process.env.OPENCLAW_CONFIG_PATH }).path;
+    // Content last read or written here: saves can require that the file still has it
+    this.baseText = null;
+    this.baseHash = undefined;
+    this.watcher = null;
+    this.watchTimer = null;
+  }
+
+  /**
+   * Get configuration file path
+   * @returns {string} Path to config file
+   */
+  getConfigPath() {
+    return this.configPath;
+  }
+
+  /**
+   * Check if the config file exists
+   * @returns {boolean} True if it exists
+   */
+  exists() {
+    return fs.existsSync(this.configPath);
+  }
+
+  /**
+   * Point the repository at another config file
+   * @param {string} configPath - Config file path
+   */
+  setConfigPath(configPath) {
+    if (configPath === this.configPath) return;
+    const watching = Boolean(this.watcher);
+    this.unwatch();
+    this.configPath = configPath;
+    this.baseText = null;
+    this.baseHash = undefined;
+    if (watching) this.watch();
+    this.emit('change', { source: 'switch', configPath, hash: undefined });
+  }
+
+  /**
+   * Record the content last seen on disk; save({ expectedHash }) and the watcher compare against it
+   * @param {string|null} text - File content (null for a missing file)
+   */
+  setBaseText(text) {
+    this.baseText = text;
+    this.baseHash = hashConfigText(text);
+  }
+
+  /**
+   * Read and parse the config file, reporting schema problems
+   * @returns {Object} { config, text, hash } — config is {} when the file is missing
+   */
+  read() {
+    const text = this.exists() ? fs.readFileSync(this.configPath, 'utf8') : null;
+    const config = text === null ? {} : parseConfigText(text);
+    reportConfigIssues(this.configPath, config);
+    this.setBaseText(text);
+    return { config, text, hash: this.baseHash };
+  }
+
+  /**
+   * Load the config
+   * @returns {Object} Config ({} when the file is missing)
+   */
+  load() {
+    return this.read().config;
+  }
+
+  /**
+   * Write the config under the shared lock, patching only changed values of the current
+   * file and keeping a backup. Saves that would add schema problems are refused.
+   * @param {Object} config - Config to write
+   * @param {Object} [options] - { expectedHash } — refuse (code ECONFLICT) unless the file still has this hash
+   * @returns {string|null} Backup path of the previous content, if one was made
+   */
+  save(config, options = {}) {
+    let text = null;
+    const backupPath = writeConfigFile(this.configPath, (current) => {
+      assertValidForSave(this.configPath, config, current);
+      text = formatConfigText(config, current);
+      return text;
+    }, options);
+    this.setBaseText(text);
+    this.emit('change', { source: 'save', configPath: this.configPath, hash: this.baseHash, backupPath });
+    return backupPath;
+  }
+
+  /**
+   * Load, change and save the config in one step. The save is refused (code ECONFLICT)
+   * if another program wrote the file in between.
+   * @param {Function} mutate - (config) => result, changing config in place
+   * @returns {*} Whatever mutate returns
+   */
+  update(mutate) {
+    const { config, hash } = this.read();
+    const result = mutate(config);
+    this.save(config, { expectedHash: hash });
+    return result;
+  }
+
+  /**
+   * Start watching the config file for changes made by other programs
+   */
+  watch() {
+    if (this.watcher) return;
+    // Watch the directory: saves rename a temp file over the config, which ends a watch on the file itself
+    try {
+      this.watcher = fs.watch(path.dirname(this.configPath), (eventType, fileName) => {
+        if (fileName && fileName !== path.basename(this.configPath)) return;
+        clearTimeout(this.watchTimer);
+        this.watchTimer = setTimeout(() => this.checkForExternalChange(), WATCH_DEBOUNCE_MS);
+      });
+      this.watcher.on('error', () => this.unwatch());
+    } catch (error) {
+      // No directory yet or no watch support: the hash check before each save still applies
+      this.watcher = null;
+    }
+  }
+
+  /**
+   * Stop watching the config file
+   */
+  unwatch() {
+    clearTimeout(this.watchTimer);
+    this.watchTimer = null;
+    this.watcher?.close();
+    this.watcher = null;
+  }
+
+  /**
+   * Emit an 'external' change when the file no longer has the content last read or written
+   * @returns {boolean} True if it changed
+   */
+  checkForExternalChange() {
+    let hash;
+    try {
+      hash = hashConfigFile(this.configPath);
+    } catch (error) {
+      return false;
+    }
+    // Our own save, or a write that left the content as it was
+    if (hash === this.baseHash) return false;
+    this.emit('change', { source: 'external', configPath: this.configPath, hash });
+    return true;
+  }
+
+  /**
+   * Get all providers
+   * @returns {Object} Providers by name
+   */
+  getProviders() {
+    return this.load().models?.providers || {};
+  }
+
+  /**
+   * Get provider by name
+   * @param {string} providerName - Provider name
+   * @returns {Object|null} Provider or null if not found
+   */
+  getProvider(providerName) {
+    return this.getProviders()[providerName] || null;
+  }
+
+  /**
+   * Add or replace a provider
+   * @param {string} providerName - Provider name
+   * @param {Object} providerData - Provider data
+   */
+  setProvider(providerName, providerData) {
+    this.update((config) => {
+      providersOf(config)[providerName] = providerData;
+    });
+  }
+
+  /**
+   * Remove a provider with its models and every reference to them
+   * @param {string} providerName - Provider name
+   * @returns {number} Number of models removed with it
+   */
+  removeProvider(providerName) {
+    return this.update((config) => {
+      const providers = providersOf(config);
+      const provider = providers[providerName];
+      if (!provider) throw new Error(`Provider "${providerName}" not found`);
+      delete providers[providerName];
+      removeProviderReferences(config, providerName);
+      return Array.isArray(provider.models) ? provider.models.length : 0;
+    });
+  }
+
+  /**
+   * Rename a provider and rewrite every reference to it (model refs, agent models, auth profiles)
+   * @param {string} providerName - Current provider name
+   * @param {string} newName - New provider name
+   */
+  renameProvider(providerName, newName) {
+    this.update((config) => renameProvider(config, providerName, newName));
+  }
+
+  /**
+   * Copy a provider with all its models under a new name
+   * @param {string} providerName - Provider to copy
+   * @param {string} newName - Name of the copy
+   * @param {Object} [options] - { stripKey, addToDefaults }
+   * @returns {Array} Refs of the copied models
+   */
+  cloneProvider(providerName, newName, options = {}) {
+    return this.update((config) => cloneProvider(config, providerName, newName, options));
+  }
+
+  /**
+   * Add a model, or replace the one with the same id
+   * @param {string} providerName - Provider name
+   * @param {Object} model - Model data (with id)
+   */
+  setModel(providerName, model) {
+    this.update((config) => {
+      const provider = providersOf(config)[providerName];
+      if (!provider) throw new Error(`Provider "${providerName}" not found`);
+      provider.models = Array.isArray(provider.models) ? provider.models : [];
+      const index = provider.models.findIndex((candidate) => candidate.id === model.id);
+      if (index >= 0) provider.models[index] = model;
+      else provider.models.push(model);
+    });
+  }
+
+  /**
+   * Change a model's id and every reference to it
+   * @param {string} providerName - Provider name
+   * @param {string} modelId - Current model id
+   * @param {string} newId - New model id
+   */
+  renameModel(providerName, modelId, newId) {
+    this.update((config) => {
+      const models = providersOf(config)[providerName]?.models || [];
+      const model = models.find((candidate) => candidate.id === modelId);
+      if (!model) throw new Error(`Model "${modelId}" not found in provider "${providerName}"`);
+      if (newId === modelId) return;
+      if (models.some((candidate) => candidate.id === newId)) {
+        throw new Error(`Model "${newId}" already exists in provider "${providerName}"`);
+      }
+      model.id = newId;
+      renameModelReferences(config, `${providerName}/${modelId}`, `${providerName}/${newId}`);
+    });
+  }
+
+  /**
+   * Remove a model and every reference to it
+   * @param {string} providerName - Provider name
+   * @param {string} modelId - Model id
+   */
+  removeModel(providerName, modelId) {
+    this.update((config) => {
+      const provider = providersOf(config)[providerName];
+      const models = Array.isArray(provider?.models) ? provider.models : [];
+      if (!models.some((model) => model.id === modelId)) {
+        throw new Error(`Model "${modelId}" not found in provider "${providerName}"`);
+      }
+      provider.models = models.filter((model) => model.id !== modelId);
+      removeModelReferences(config, `${providerName}/${modelId}`);
+    });
+  }
+
+  /**
+   * Copy models, with their costs and capabilities, to another provider
+   * @param {string} fromProvider - Source provider name
+   * @param {Array} modelIds - Model ids
+   * @param {string} toProvider - Target provider name
+   * @returns {Array} Refs of the copies
+   */
+  copyModels(fromProvider, modelIds, toProvider) {
+    return this.update((config) => transferModels(config, fromProvider, modelIds, toProvider));
+  }
+
+  /**
+   * Move models to another provider and rewrite every reference to them
+   * @param {string} fromProvider - Source provider name
+   * @param {Array} modelIds - Model ids
+   * @param {string} toProvider - Target provider name
+   * @returns {Array} New refs of the models
+   */
+  moveModels(fromProvider, modelIds, toProvider) {
+    return this.update((config) => transferModels(config, fromProvider, modelIds, toProvider, { move: true }));
+  }
+
+  /**
+   * Get the agent defaults OpenClaw picks models from
+   * @returns {Object} { primary, fallbacks, models } — refs are provider/model-id
+   */
+  getModelDefaults() {
+    const defaults = this.load().agents?.defaults || {};
+    const fallbacks = defaults.model?.fallbacks;
+    return {
+      primary: defaults.model?.primary || null,
+      fallbacks: Array.isArray(fallbacks) ? fallbacks : typeof fallbacks === 'string' && fallbacks ? [fallbacks] : [],
+      models: Object.keys(defaults.models || {}),
+    };
+  }
+
+  /**
+   * Set agents.defaults.model.primary
+   * @param {string|null} modelRef - Model ref, or null to clear it
+   */
+  setPrimaryModel(modelRef) {
+    this.update((config) => {
+      const defaults = modelDefaultsOf(config);
+      if (modelRef) defaults.model.primary = modelRef;
+      else delete defaults.model.primary;
+    });
+  }
+
+  /**
+   * Set agents.defaults.model.fallbacks
+   * @param {Array} modelRefs - Model refs in the order they are tried
+   */
+  setFallbackModels(modelRefs) {
+    this.update((config) => {
+      modelDefaultsOf(config).model.fallbacks = [...modelRefs];
+    });
+  }
+
+  /**
+   * Set agents.defaults.models, the models agents may pick from
+   * @param {Array} modelRefs - Model refs
+   */
+  setDefaultModels(modelRefs) {
+    this.update((config) => {
+      const previous = config.agents?.defaults?.models || {};
+      setDefaultModels(config, modelRefs);
+      // Keep the per-model params of refs that stay
+      for (const ref of modelRefs) {
+        if (previous[ref] && typeof previous[ref] === 'object') config.agents.defaults.models[ref] = previous[ref];
+      }
+    });
+  }
+}
+
+module.exports = ConfigRepository;
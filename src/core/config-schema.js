@@ -0,0 +1,386 @@
+const { API_TYPES, AUTH_METHODS, INPUT_TYPES, GATEWAY_MODES, GATEWAY_BIND_OPTIONS, GATEWAY_AUTH_MODES, TAILSCALE_MODES, VALIDATION_PATTERNS } = require('./constants');
+const { parseConfigText } = require('./config-text');
+
+/**
+ * JSON Schema for the openclaw.json sections clawd-models manages (models, agents, auth,
+ * gateway, messages, commands), built from the same constants the managers use, plus
+ * the small validator that checks configs against it on every load and save.
+ * Unknown keys are allowed everywhere: openclaw understands more than this tool edits.
+ */
+
+const SCHEMA_SECTIONS = ['models', 'agents', 'auth', 'gateway', 'messages', 'commands'];
+
+const modelRef = { type: 'string', minLength: 1, description: 'Model reference, "provider/model-id"' };
+const autoOrBoolean = { anyOf: [{ type: 'boolean' }, { enum: ['auto'] }], description: 'true, false or "auto"' };
+const positiveInteger = { type: 'integer', exclusiveMinimum: 0 };
+const cost = { type: 'number', minimum: 0, description: 'USD per million tokens' };
+
+const CONFIG_SCHEMA = {
+  $schema: 'https://json-schema.org/draft/2020-12/schema',
+  title: 'OpenClaw config (openclaw.json)',
+  type: 'object',
+  $defs: {
+    modelRef,
+    modelSelection: {
+      description: 'A model reference, or { primary, fallbacks }',
+      anyOf: [
+        { $ref: '#/$defs/modelRef' },
+        {
+          type: 'object',
+          properties: {
+            primary: { anyOf: [{ $ref: '#/$defs/modelRef' }, { type: 'null' }] },
+            fallbacks: { anyOf: [{ $ref: '#/$defs/modelRef' }, { type: 'array', items: { $ref: '#/$defs/modelRef' } }] },
+          },
+        },
+      ],
+    },
+    model: {
+      type: 'object',
+      required: ['id'],
+      properties: {
+        id: { type: 'string', minLength: 1, description: 'Model id as sent to the provider' },
+        name: { type: 'string', description: 'Display name' },
+        api: { enum: Object.values(API_TYPES), description: 'Overrides the provider api' },
+        reasoning: { type: 'boolean' },
+        input: { type: 'array', items: { enum: Object.values(INPUT_TYPES) }, uniqueItems: true },
+        cost: {
+          type: 'object',
+          properties: { input: cost, output: cost, cacheRead: cost, cacheWrite: cost },
+        },
+        contextWindow: { ...positiveInteger, description: 'Context window in tokens' },
+        maxTokens: { ...positiveInteger, description: 'Maximum output tokens' },
+      },
+    },
+    provider: {
+      type: 'object',
+      required: ['baseUrl', 'api'],
+      properties: {
+        baseUrl: { type: 'string', pattern: VALIDATION_PATTERNS.URL.source, description: 'http(s) URL of the API' },
+        api: { enum: Object.values(API_TYPES) },
+        auth: { type: 'string', examples: Object.values(AUTH_METHODS) },
+        apiKey: { type: 'string', description: 'Plaintext key, ${env:VAR}, ${file:path} or ${secret:name}' },
+        headers: { type: 'object', additionalProperties: { type: 'string' } },
+        models: { type: 'array', items: { $ref: '#/$defs/model' } },
+      },
+    },
+  },
+  properties: {
+    $schema: { type: 'string' },
+    meta: { type: 'object' },
+    models: {
+      type: 'object',
+      properties: {
+        mode: { enum: ['merge', 'replace'] },
+        providers: {
+          type: 'object',
+          propertyNames: { pattern: VALIDATION_PATTERNS.PROVIDER_NAME.source },
+          additionalProperties: { $ref: '#/$defs/provider' },
+        },
+      },
+    },
+    agents: {
+      type: 'object',
+      properties: {
+        defaults: {
+          type: 'object',
+          properties: {
+            model: { $ref: '#/$defs/modelSelection' },
+            models: {
+              type: 'object',
+              description: 'Models agents may use, keyed by "provider/model-id"',
+              additionalProperties: { type: 'object', properties: { alias: { type: 'string' } } },
+            },
+            workspace: { type: 'string' },
+            maxConcurrent: positiveInteger,
+            subagents: { type: 'object', properties: { maxConcurrent: positiveInteger } },
+          },
+        },
+        list: {
+          type: 'array',
+          items: {
+            type: 'object',
+            required: ['id'],
+            properties: {
+              id: { type: 'string', pattern: VALIDATION_PATTERNS.AGENT_ID.source },
+              name: { type: 'string' },
+              default: { type: 'boolean' },
+              model: { $ref: '#/$defs/modelSelection' },
+              workspace: { type: 'string' },
+              agentDir: { type: 'string' },
+            },
+          },
+        },
+      },
+    },
+    auth: {
+      type: 'object',
+      properties: {
+        profiles: {
+          type: 'object',
+          description: 'Auth profiles keyed by "provider:name"',
+          additionalProperties: {
+            type: 'object',
+            required: ['provider', 'mode'],
+            properties: {
+              provider: { type: 'string', minLength: 1 },
+              mode: { type: 'string', examples: ['api_key', 'oauth', 'token'] },
+              email: { type: 'string' },
+            },
+          },
+        },
+        order: { type: 'object', additionalProperties: { type: 'array', items: { type: 'string' } } },
+      },
+    },
+    gateway: {
+      type: 'object',
+      properties: {
+        port: { type: 'integer', minimum: 1, maximum: 65535 },
+        mode: { enum: Object.values(GATEWAY_MODES) },
+        bind: { type: 'string', examples: [...Object.values(GATEWAY_BIND_OPTIONS), 'loopback', 'tailnet', 'auto'] },
+        auth: {
+          type: 'object',
+          properties: {
+            mode: { type: 'string', examples: [...Object.values(GATEWAY_AUTH_MODES), 'password'] },
+            token: { type: 'string' },
+            password: { type: 'string' },
+          },
+        },
+        tailscale: {
+          type: 'object',
+          properties: {
+            mode: { type: 'string', examples: [...Object.values(TAILSCALE_MODES), 'serve', 'funnel'] },
+            resetOnExit: { type: 'boolean' },
+          },
+        },
+        remote: { type: 'object', properties: { url: { type: 'string' }, token: { type: 'string' } } },
+      },
+    },
+    messages: {
+      type: 'object',
+      properties: {
+        ackReactionScope: { type: 'string', examples: ['group-mentions', 'group-all', 'direct', 'all'] },
+        responsePrefix: { type: 'string' },
+      },
+    },
+    commands: {
+      type: 'object',
+      properties: {
+        native: autoOrBoolean,
+        nativeSkills: autoOrBoolean,
+        text: { type: 'boolean' },
+        config: { type: 'boolean' },
+        restart: { type: 'boolean' },
+      },
+    },
+  },
+};
+
+/**
+ * Build a JSON path such as models.providers["my.provider"].models[0].id
+ * @param {...(string|number)} segments - Path segments
+ * @returns {string} JSON path
+ */
+function jsonPath(...segments) {
+  return segments.reduce((out, segment) => {
+    if (typeof segment === 'number') return `${out}[${segment}]`;
+    if (/^[A-Za-z_$][\w$]*$/.test(segment)) return out ? `${out}.${segment}` : segment;
+    return `${out}[${JSON.stringify(segment)}]`;
+  }, '');
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+function resolveRef(ref) {
+  const name = ref.replace(/^#\/\$defs\//, '');
+  const target = CONFIG_SCHEMA.$defs[name];
+  if (!target) throw new Error(`Unknown schema reference ${ref}`);
+  return target;
+}
+
+function describeSchema(schema) {
+  const target = schema.$ref ? resolveRef(schema.$ref) : schema;
+  if (target.enum) return `one of ${target.enum.map((value) => JSON.stringify(value)).join(', ')}`;
+  if (target.anyOf) return target.anyOf.map(describeSchema).join(' or ');
+  if (target.type === 'null') return 'null';
+  return target.type ? `a${/^[aeiou]/.test(target.type) ? 'n' : ''} ${target.type}` : 'valid';
+}
+
+function check(schema, value, segments, issues) {
+  if (schema.$ref) {
+    check(resolveRef(schema.$ref), value, segments, issues);
+    return;
+  }
+  const add = (message, extra = []) => issues.push({ path: jsonPath(...segments, ...extra), message });
+
+  if (schema.anyOf) {
+    const attempts = schema.anyOf.map((branch) => {
+      const branchIssues = [];
+      check(branch, value, segments, branchIssues);
+      return branchIssues;
+    });
+    if (attempts.some((branchIssues) => branchIssues.length === 0)) return;
+    // Report inside the branch of the right type, when there is one
+    const sameType = schema.anyOf.findIndex((branch) => {
+      const target = branch.$ref ? resolveRef(branch.$ref) : branch;
+      return target.type && matchesType(value, target.type);
+    });
+    if (sameType >= 0) issues.push(...attempts[sameType]);
+    else add(`must be ${describeSchema(schema)}`);
+    return;
+  }
+  if (schema.enum) {
+    if (!schema.enum.includes(value)) add(`${JSON.stringify(value)} must be one of: ${schema.enum.join(', ')}`);
+    return;
+  }
+  if (schema.type && !matchesType(value, schema.type)) {
+    add(`must be ${describeSchema(schema)}, got ${typeOf(value) === 'integer' ? 'number' : typeOf(value)}`);
+    return;
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) add(schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) add(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern && !new RegExp(schema.pattern).test(value)) add(`"${value}" does not match ${schema.pattern.replace(/\\\//g, '/')}`);
+  }
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) add(`must be >= ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) add(`must be <= ${schema.maximum}`);
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) add(`must be > ${schema.exclusiveMinimum}`);
+  }
+  if (Array.isArray(value)) {
+    if (schema.uniqueItems && new Set(value.map((item) => JSON.stringify(item))).size !== value.length) add('must not contain duplicates');
+    if (schema.minItems !== undefined && value.length < schema.minItems) add(`must have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) add(`must have at most ${schema.maxItems} item${schema.maxItems === 1 ? '' : 's'}`);
+    if (schema.items) value.forEach((item, index) => check(schema.items, item, [...segments, index], issues));
+  }
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) add('is required', [key]);
+    }
+    for (const [key, item] of Object.entries(value)) {
+      if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+        add(`name "${key}" does not match ${schema.propertyNames.pattern.replace(/\\\//g, '/')}`, [key]);
+      }
+      if (schema.properties?.[key]) check(schema.properties[key], item, [...segments, key], issues);
+      else if (schema.additionalProperties && typeof schema.additionalProperties === 'object') check(schema.additionalProperties, item, [...segments, key], issues);
+      else if (schema.additionalProperties === false) add('is not allowed', [key]);
+    }
+  }
+}
+
+/**
+ * Validate a config against the schema
+ * @param {Object} config - OpenClaw config
+ * @returns {Array} Issues: { path, message }
+ */
+function validateConfig(config) {
+  const issues = [];
+  check(CONFIG_SCHEMA, config, [], issues);
+  return issues;
+}
+
+/**
+ * Validate any value, such as tool-call arguments, against a JSON Schema. The subset the
+ * config schema uses is supported: type, enum, anyOf, required, properties,
+ * additionalProperties, items, string, number and array bounds, pattern.
+ * @param {Object} schema - JSON Schema
+ * @param {*} value - Value to check
+ * @returns {Array} Issues: { path, message } — path is relative to the value ('' for the value itself)
+ */
+function validateJsonValue(schema, value) {
+  const issues = [];
+  check(schema, value, [], issues);
+  return issues;
+}
+
+/**
+ * The schema, or the part of it for one top-level section
+ * @param {string} [section] - One of SCHEMA_SECTIONS
+ * @returns {Object} JSON Schema
+ */
+function getConfigSchema(section) {
+  if (!section) return CONFIG_SCHEMA;
+  if (!SCHEMA_SECTIONS.includes(section)) {
+    throw new Error(`Unknown schema section "${section}". Expected one of: ${SCHEMA_SECTIONS.join(', ')}`);
+  }
+  return { $schema: CONFIG_SCHEMA.$schema, title: `OpenClaw config: ${section}`, $defs: CONFIG_SCHEMA.$defs, ...CONFIG_SCHEMA.properties[section] };
+}
+
+function formatIssues(issues) {
+  return issues.map((issue) => `  ${issue.path || '(root)'}: ${issue.message}`).join('\n');
+}
+
+const reported = new Set();
+let issueReporter = (configPath, issues) => {
+  console.error(`Warning: ${configPath} does not match the config schema:\n${formatIssues(issues)}`);
+};
+
+/**
+ * Route load-time schema warnings somewhere other than stderr (the TUI shows them in its
+ * status line)
+ * @param {Function} reporter - (configPath, issues) => void
+ */
+function setSchemaIssueReporter(reporter) {
+  issueReporter = reporter;
+}
+
+/**
+ * Validate a freshly loaded config and report problems once per file and content
+ * @param {string} configPath - Config file path
+ * @param {Object} config - Parsed config
+ * @returns {Array} Issues
+ */
+function reportConfigIssues(configPath, config) {
+  const issues = validateConfig(config);
+  const key = `${configPath}\n${JSON.stringify(issues)}`;
+  if (issues.length > 0 && !reported.has(key)) {
+    reported.add(key);
+    issueReporter(configPath, issues);
+  }
+  return issues;
+}
+
+/**
+ * Refuse a save that would add schema problems. Problems the file already has are
+ * tolerated, so an imperfect hand-edited config can still be edited.
+ * @param {string} configPath - Config file path
+ * @param {Object} config - Config about to be written
+ * @param {string|null} currentText - File content it replaces
+ * @throws {Error} Listing the new problems with their paths
+ */
+function assertValidForSave(configPath, config, currentText) {
+  const issues = validateConfig(JSON.parse(JSON.stringify(config)));
+  if (issues.length === 0) return;
+  let existing = [];
+  try {
+    existing = currentText ? validateConfig(parseConfigText(currentText)) : [];
+  } catch (error) {
+    // An unreadable file has nothing to compare with
+  }
+  const known = new Set(existing.map((issue) => `${issue.path}\n${issue.message}`));
+  const added = issues.filter((issue) => !known.has(`${issue.path}\n${issue.message}`));
+  if (added.length > 0) {
+    throw new Error(`Not saving ${configPath}: the change does not match the config schema:\n${formatIssues(added)}`);
+  }
+}
+
+module.exports = {
+  SCHEMA_SECTIONS,
+  jsonPath,
+  validateConfig,
+  validateJsonValue,
+  getConfigSchema,
+  setSchemaIssueReporter,
+  reportConfigIssues,
+  assertValidForSave,
+};
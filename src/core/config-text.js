@@ -0,0 +1,370 @@
+/**
+ * Config text that survives round-trips. openclaw.json may be hand-edited JSON5
+ * (comments, trailing commas, unquoted keys, single quotes), so it is parsed into a tree
+ * that remembers where every value sits; saving then rewrites only the values that
+ * changed, keeping comments, key order and formatting of everything else.
+ */
+
+const NUMBER_PATTERN = /[+-]?(?:Infinity|NaN|0[xX][0-9a-fA-F]+|(?:\d+\.?\d*|\.\d+)(?:[eE][+-]?\d+)?)/y;
+const IDENTIFIER_PATTERN = /[A-Za-z_$][\w$]*/y;
+const MAX_INLINE_WIDTH = 100;
+const ESCAPES = { b: '\b', f: '\f', n: '\n', r: '\r', t: '\t', v: '\v', 0: '\0' };
+
+function lineAndColumn(text, position) {
+  const lines = text.slice(0, position).split('\n');
+  return `line ${lines.length}, column ${lines[lines.length - 1].length + 1}`;
+}
+
+/**
+ * Parse config text into a tree of { type, start, end, value } nodes. Objects carry
+ * members ({ key, start, valueNode, comma }) and arrays carry items ({ start, valueNode, comma }),
+ * where comma is the position of the separator after the entry, or -1.
+ * @param {string} text - File content
+ * @returns {Object} Root node
+ * @throws {Error} With the line and column of the first syntax error
+ */
+function parseConfigTree(text) {
+  let pos = 0;
+
+  const fail = (message) => {
+    throw new Error(`Invalid config JSON at ${lineAndColumn(text, pos)}: ${message}`);
+  };
+
+  const skipTrivia = () => {
+    for (;;) {
+      while (pos < text.length && /\s/.test(text[pos])) pos += 1;
+      if (text.startsWith('//', pos)) {
+        while (pos < text.length && text[pos] !== '\n') pos += 1;
+      } else if (text.startsWith('/*', pos)) {
+        const end = text.indexOf('*/', pos + 2);
+        if (end < 0) fail('unterminated comment');
+        pos = end + 2;
+      } else {
+        return;
+      }
+    }
+  };
+
+  const parseString = () => {
+    const quote = text[pos];
+    pos += 1;
+    let value = '';
+    while (pos < text.length && text[pos] !== quote) {
+      const ch = text[pos];
+      if (ch === '\n') fail('unterminated string');
+      if (ch !== '\\') {
+        value += ch;
+        pos += 1;
+        continue;
+      }
+      const next = text[pos + 1];
+      if (next === 'u') {
+        const hex = text.slice(pos + 2, pos + 6);
+        if (!/^[0-9a-fA-F]{4}$/.test(hex)) fail('invalid \\u escape');
+        value += String.fromCharCode(parseInt(hex, 16));
+        pos += 6;
+      } else if (next === '\n') {
+        pos += 2;
+      } else if (next === '\r' && text[pos + 2] === '\n') {
+        pos += 3;
+      } else {
+        value += ESCAPES[next] ?? next;
+        pos += 2;
+      }
+    }
+    if (pos >= text.length) fail('unterminated string');
+    pos += 1;
+    return value;
+  };
+
+  const parseKey = () => {
+    if (text[pos] === '"' || text[pos] === "'") return parseString();
+    IDENTIFIER_PATTERN.lastIndex = pos;
+    const match = IDENTIFIER_PATTERN.exec(text);
+    if (!match) fail('expected a property name');
+    pos += match[0].length;
+    return match[0];
+  };
+
+  // Entries of an object or array up to the closing bracket, with their separators
+  const parseEntries = (close, parseEntry) => {
+    const entries = [];
+    pos += 1;
+    for (;;) {
+      skipTrivia();
+      if (text[pos] === close) {
+        pos += 1;
+        return entries;
+      }
+      const entry = parseEntry();
+      entry.comma = -1;
+      entries.push(entry);
+      skipTrivia();
+      if (text[pos] === ',') {
+        entry.comma = pos;
+        pos += 1;
+      } else if (text[pos] !== close) {
+        fail(`expected "," or "${close}"`);
+      }
+    }
+  };
+
+  const parseValue = () => {
+    skipTrivia();
+    const start = pos;
+    const ch = text[pos];
+    if (ch === '{') {
+      const value = {};
+      const members = parseEntries('}', () => {
+        const memberStart = pos;
+        const key = parseKey();
+        skipTrivia();
+        if (text[pos] !== ':') fail('expected ":"');
+        pos += 1;
+        const valueNode = parseValue();
+        Object.defineProperty(value, key, { value: valueNode.value, enumerable: true, writable: true, configurable: true });
+        return { key, start: memberStart, valueNode };
+      });
+      return { type: 'object', start, end: pos, value, members };
+    }
+    if (ch === '[') {
+      const items = parseEntries(']', () => {
+        const itemStart = pos;
+        return { start: itemStart, valueNode: parseValue() };
+      });
+      return { type: 'array', start, end: pos, value: items.map((item) => item.valueNode.value), items };
+    }
+    if (ch === '"' || ch === "'") {
+      const value = parseString();
+      return { type: 'value', start, end: pos, value };
+    }
+    for (const [literal, value] of [['true', true], ['false', false], ['null', null]]) {
+      if (text.startsWith(literal, pos)) {
+        pos += literal.length;
+        return { type: 'value', start, end: pos, value };
+      }
+    }
+    NUMBER_PATTERN.lastIndex = pos;
+    const match = NUMBER_PATTERN.exec(text);
+    if (!match) fail(pos >= text.length ? 'unexpected end of input' : `unexpected "${ch}"`);
+    pos += match[0].length;
+    const raw = match[0].replace(/^\+/, '');
+    const value = /^-?0[xX]/.test(raw) ? (raw.startsWith('-') ? -1 : 1) * parseInt(raw.replace(/^-/, ''), 16) : Number(raw);
+    return { type: 'value', start, end: pos, value };
+  };
+
+  const root = parseValue();
+  skipTrivia();
+  if (pos < text.length) fail('unexpected content after the config');
+  return root;
+}
+
+/**
+ * Parse config text (JSON, or JSON5 with comments, trailing commas, unquoted keys and single quotes)
+ * @param {string} text - File content
+ * @returns {*} Parsed value
+ */
+function parseConfigText(text) {
+  return parseConfigTree(text).value;
+}
+
+function canonical(value) {
+  if (Array.isArray(value)) return `[${value.map(canonical).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map((key) => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function hasComment(text) {
+  return text.includes('//') || text.includes('/*');
+}
+
+function lineIndent(text, position) {
+  const lineStart = text.lastIndexOf('\n', position - 1) + 1;
+  return text.slice(lineStart).match(/^[ \t]*/)[0];
+}
+
+function detectIndentUnit(text) {
+  const match = text.match(/\n([ \t]+)\S/);
+  return match ? match[1] : '  ';
+}
+
+/**
+ * End of a comment that follows a position on the same line ("trailer"), or the
+ * position itself when the rest of the line holds no comment
+ */
+function trailerEnd(text, from) {
+  let pos = from;
+  let end = from;
+  for (;;) {
+    while (text[pos] === ' ' || text[pos] === '\t') pos += 1;
+    if (text.startsWith('//', pos)) {
+      const newline = text.indexOf('\n', pos);
+      return newline < 0 ? text.length : newline;
+    }
+    if (text.startsWith('/*', pos)) {
+      const close = text.indexOf('*/', pos + 2);
+      if (close < 0 || text.slice(pos, close).includes('\n')) return end;
+      pos = close + 2;
+      end = pos;
+      continue;
+    }
+    return end;
+  }
+}
+
+function inlineJson(value) {
+  if (Array.isArray(value)) return `[${value.map(inlineJson).join(', ')}]`;
+  if (isPlainObject(value)) {
+    const body = Object.entries(value).map(([key, item]) => `${JSON.stringify(key)}: ${inlineJson(item)}`).join(', ');
+    return body ? `{ ${body} }` : '{}';
+  }
+  return JSON.stringify(value);
+}
+
+function createPatcher(text) {
+  const unit = detectIndentUnit(text);
+
+  const serialize = (value, indent, inline) => (inline
+    ? inlineJson(value)
+    : JSON.stringify(value, null, unit).replace(/\n/g, `\n${indent}`));
+
+  // Pair old entries with new values: objects by key; arrays by id for { id } lists,
+  // by position when the length is unchanged, else by equal content
+  const pairEntries = (node, next) => {
+    if (node.type === 'object') {
+      const byKey = new Map(node.members.map((member) => [member.key, member]));
+      if (byKey.size !== node.members.length) return null;
+      const kept = node.members.filter((member) => Object.prototype.hasOwnProperty.call(next, member.key))
+        .map((member) => ({ entry: member, value: next[member.key] }));
+      const added = Object.keys(next).filter((key) => !byKey.has(key)).map((key) => ({ key, value: next[key] }));
+      return [...kept, ...added];
+    }
+    const hasIds = (list) => list.every((value) => isPlainObject(value) && typeof value.id === 'string');
+    const oldValues = node.items.map((item) => item.valueNode.value);
+    if (hasIds(oldValues) && hasIds(next) && new Set(oldValues.map((value) => value.id)).size === oldValues.length) {
+      const byId = new Map(node.items.map((item) => [item.valueNode.value.id, item]));
+      return next.map((value) => ({ entry: byId.get(value.id), value }));
+    }
+    if (oldValues.length === next.length) return next.map((value, index) => ({ entry: node.items[index], value }));
+    const unused = new Set(node.items);
+    return next.map((value) => {
+      const match = [...unused].find((item) => canonical(item.valueNode.value) === canonical(value));
+      if (match) unused.delete(match);
+      return { entry: match, value };
+    });
+  };
+
+  const leadOf = (entries, index, headEnd) => {
+    const leadStart = index === 0 ? headEnd : trailerEnd(text, entries[index - 1].comma + 1);
+    return text.slice(leadStart, entries[index].start);
+  };
+
+  const renderContainer = (node, next, inline) => {
+    const entries = node.type === 'object' ? node.members : node.items;
+    const [open, close] = node.type === 'object' ? ['{', '}'] : ['[', ']'];
+    const inner = text.slice(node.start + 1, node.end - 1);
+    const indent = lineIndent(text, node.start);
+    if (entries.length === 0 && !hasComment(inner)) return serialize(next, indent, inline);
+
+    const pairs = pairEntries(node, next);
+    if (!pairs) return serialize(next, indent, inline);
+
+    const headEnd = trailerEnd(text, node.start + 1);
+    const multiline = inner.includes('\n');
+    const memberIndent = entries.length > 0 && multiline ? lineIndent(text, entries[0].start) : `${indent}${unit}`;
+    // New entries follow their siblings: one per line, and on one line when the siblings are
+    const compactEntries = !multiline
+      || (entries.some((entry) => entry.valueNode.type !== 'value')
+        && entries.every((entry) => !text.slice(entry.valueNode.start, entry.valueNode.end).includes('\n')));
+    const last = entries[entries.length - 1];
+    const tailStart = last ? trailerEnd(text, last.comma >= 0 ? last.comma + 1 : last.valueNode.end) : headEnd;
+
+    // Each old entry keeps the comments and blank lines before it and the comment after it;
+    // on a single line, the spacing stays with the position instead
+    const chunks = pairs.map(({ entry, key, value }, position) => {
+      let lead;
+      if (!multiline && entries.length > 0) lead = position === 0 ? leadOf(entries, 0, headEnd) : (entries.length > 1 ? leadOf(entries, 1, headEnd) : ' ');
+      if (!entry) {
+        const compact = !multiline || (compactEntries && memberIndent.length + inlineJson(value).length <= MAX_INLINE_WIDTH);
+        const body = serialize(value, memberIndent, compact);
+        return {
+          lead: lead ?? `\n${memberIndent}`,
+          body: node.type === 'object' ? `${JSON.stringify(key)}: ${body}` : body,
+          trailer: '',
+        };
+      }
+      const valueNode = entry.valueNode;
+      const gap = entry.comma >= 0 ? text.slice(valueNode.end, entry.comma) : '';
+      const body = `${text.slice(entry.start, valueNode.start)}${render(valueNode, value, !multiline)}${gap.trim() ? gap : ''}`;
+      const trailerStart = entry.comma >= 0 ? entry.comma + 1 : valueNode.end;
+      return {
+        lead: lead ?? leadOf(entries, entries.indexOf(entry), headEnd),
+        body,
+        trailer: text.slice(trailerStart, trailerEnd(text, trailerStart)),
+      };
+    });
+
+    const head = text.slice(node.start + 1, headEnd);
+    let closing = text.slice(tailStart, node.end - 1);
+    if (chunks.length === 0) return hasComment(head + closing) ? `${open}${head}${closing}${close}` : `${open}${close}`;
+    if (entries.length === 0) closing = `${closing.trimEnd()}\n${indent}`;
+    const trailingComma = last ? last.comma >= 0 : false;
+    const body = chunks.map((chunk, index) => `${chunk.lead}${chunk.body}${index < chunks.length - 1 || trailingComma ? ',' : ''}${chunk.trailer}`).join('');
+    return `${open}${head}${body}${closing}${close}`;
+  };
+
+  const render = (node, next, inline = false) => {
+    if (canonical(node.value) === canonical(next)) return text.slice(node.start, node.end);
+    if ((node.type === 'object' && isPlainObject(next)) || (node.type === 'array' && Array.isArray(next))) {
+      return renderContainer(node, next, inline);
+    }
+    // Keep single-quoted strings single-quoted
+    if (typeof next === 'string' && text[node.start] === "'") {
+      return `'${JSON.stringify(next).slice(1, -1).replace(/\\"/g, '"').replace(/'/g, "\\'")}'`;
+    }
+    return serialize(next, lineIndent(text, node.start), inline);
+  };
+
+  return render;
+}
+
+/**
+ * Rewrite config text so it parses to the given config, touching only the values that
+ * changed. Falls back to plain pretty-printed JSON when there is no usable previous text.
+ * @param {Object} config - Config to write
+ * @param {string|null} previousText - Current file content
+ * @returns {string} New file content
+ */
+function formatConfigText(config, previousText) {
+  const fresh = `${JSON.stringify(config, null, 2)}\n`;
+  // What JSON would store: undefined members dropped, as JSON.stringify does
+  const target = JSON.parse(fresh);
+  if (!previousText || !previousText.trim()) return fresh;
+  let root;
+  try {
+    root = parseConfigTree(previousText);
+  } catch (error) {
+    return fresh;
+  }
+  const render = createPatcher(previousText);
+  const patched = `${previousText.slice(0, root.start)}${render(root, target)}${previousText.slice(root.end)}`;
+  // Never write something that reads back differently from what was asked for
+  try {
+    if (canonical(parseConfigText(patched)) === canonical(target)) return patched;
+  } catch (error) {
+    // fall through to the plain rendering
+  }
+  return fresh;
+}
+
+module.exports = {
+  parseConfigTree,
+  parseConfigText,
+  formatConfigText,
+};
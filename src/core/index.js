@@ -1,15 +1,21 @@
+const ConfigRepository = require('./config-repository');
 const ConfigManager = require('./config-manager');
 const ProviderManager = require('./provider-manager');
 const ModelManager = require('./model-manager');
 const AgentManager = require('./agent-manager');
 const ApiTester = require('./api-tester');
+const ModelCatalog = require('./model-catalog');
+const SecretStore = require('./secret-store');
 const constants = require('./constants');
 
 module.exports = {
+  ConfigRepository,
   ConfigManager,
   ProviderManager,
   ModelManager,
   AgentManager,
   ApiTester,
+  ModelCatalog,
+  SecretStore,
   constants
 };
\ No newline at end of file
@@ -0,0 +1,170 @@
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+
+const BUNDLED_CATALOG_PATH = path.join(__dirname, 'model-catalog.json');
+const USER_CATALOG_PATH = path.join(os.homedir(), '.openclaw', 'model-catalog.json');
+const COST_FIELDS = ['input', 'output', 'cacheRead', 'cacheWrite'];
+
+class ModelCatalog {
+  /**
+   * @param {string} [userCatalogPath] - User catalog (defaults to $CLAWD_MODELS_CATALOG or ~/.openclaw/model-catalog.json)
+   */
+  constructor(userCatalogPath) {
+    this.userCatalogPath = userCatalogPath || process.env.CLAWD_MODELS_CATALOG || USER_CATALOG_PATH;
+    this.entries = null;
+  }
+
+  /**
+   * Read one catalog file into entries
+   * @param {string} filePath - Catalog JSON file
+   * @param {string} source - "user" or "bundled"
+   * @returns {Array} Entries with patterns, metadata and source
+   */
+  readCatalogFile(filePath, source) {
+    let content;
+    try {
+      content = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read model catalog ${filePath}: ${error.message}`);
+    }
+    const models = Array.isArray(content) ? content : content.models;
+    if (!Array.isArray(models)) {
+      throw new Error(`Model catalog ${filePath} must contain a "models" array`);
+    }
+
+    return models.filter(entry => entry && entry.match).map(entry => {
+      const { match, ...metadata } = entry;
+      return { patterns: Array.isArray(match) ? match : [match], metadata, source };
+    });
+  }
+
+  /**
+   * Load the user catalog (if present) and the bundled catalog
+   * @returns {Array} Catalog entries, user entries first
+   */
+  load() {
+    if (!this.entries) {
+      const user = fs.existsSync(this.userCatalogPath) ? this.readCatalogFile(this.userCatalogPath, 'user') : [];
+      this.entries = [...user, ...this.readCatalogFile(BUNDLED_CATALOG_PATH, 'bundled')];
+    }
+    return this.entries;
+  }
+
+  /**
+   * Test a model id against a glob pattern (* and ?), case-insensitively
+   * @param {string} pattern - Pattern
+   * @param {string} modelId - Model id
+   * @returns {boolean} True if the id or its last path segment matches
+   */
+  matches(pattern, modelId) {
+    const source = String(pattern).replace(/[.+^${}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*').replace(/\?/g, '.');
+    const regex = new RegExp(`^${source}$`, 'i');
+    const id = String(modelId);
+    return regex.test(id) || regex.test(id.split('/').pop());
+  }
+
+  /**
+   * Find the best catalog entry for a model id. User entries win over bundled ones;
+   * otherwise the pattern with the most literal characters wins (gpt-4o-mini* over gpt-4o*).
+   * @param {string} modelId - Model id
+   * @returns {Object|null} { pattern, source, metadata }
+   */
+  lookup(modelId) {
+    if (!modelId) return null;
+    let best = null;
+    for (const entry of this.load()) {
+      for (const pattern of entry.patterns) {
+        if (!this.matches(pattern, modelId)) continue;
+        const score = (entry.source === 'user' ? 1e6 : 0) + String(pattern).replace(/[*?]/g, '').length;
+        if (!best || score > best.score) {
+          best = { score, pattern, source: entry.source, metadata: entry.metadata };
+        }
+      }
+    }
+    if (!best) return null;
+    return { pattern: best.pattern, source: best.source, metadata: best.metadata };
+  }
+
+  /**
+   * Copy catalog metadata onto a model (catalog values replace the model's)
+   * @param {Object} model - Model config
+   * @param {Object} metadata - Catalog metadata
+   * @returns {Object} New model object
+   */
+  apply(model, metadata) {
+    const next = { ...model };
+    if (!metadata) return next;
+    if (metadata.contextWindow !== undefined) next.contextWindow = metadata.contextWindow;
+    if (metadata.maxTokens !== undefined) next.maxTokens = metadata.maxTokens;
+    if (metadata.reasoning !== undefined) next.reasoning = metadata.reasoning;
+    if (Array.isArray(metadata.input)) next.input = [...metadata.input];
+    if (metadata.cost) {
+      next.cost = { ...model.cost };
+      for (const field of COST_FIELDS) {
+        if (metadata.cost[field] !== undefined) next.cost[field] = metadata.cost[field];
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Fill only the fields a model does not have yet
+   * @param {Object} model - Partial model config
+   * @param {Object} metadata - Catalog metadata
+   * @returns {Object} New model object
+   */
+  fill(model, metadata) {
+    const next = { ...model };
+    if (!metadata) return next;
+    if (next.contextWindow === undefined && metadata.contextWindow !== undefined) next.contextWindow = metadata.contextWindow;
+    if (next.maxTokens === undefined && metadata.maxTokens !== undefined) next.maxTokens = metadata.maxTokens;
+    if (next.reasoning === undefined && metadata.reasoning !== undefined) next.reasoning = metadata.reasoning;
+    if (next.input === undefined && Array.isArray(metadata.input)) next.input = [...metadata.input];
+    if (metadata.cost) {
+      next.cost = { ...next.cost };
+      for (const field of COST_FIELDS) {
+        if (next.cost[field] === undefined && metadata.cost[field] !== undefined) next.cost[field] = metadata.cost[field];
+      }
+    }
+    return next;
+  }
+
+  /**
+   * Re-apply catalog metadata to configured models
+   * @param {Object} config - OpenClaw config (not modified)
+   * @param {Object} [filter] - { providerName, modelId }
+   * @returns {Object} { config, changes } where changes lists { ref, pattern, source, fields }
+   */
+  refresh(config, filter = {}) {
+    const next = JSON.parse(JSON.stringify(config));
+    const changes = [];
+    const providers = (next.models && next.models.providers) || {};
+
+    if (filter.providerName && !providers[filter.providerName]) {
+      throw new Error(`Provider "${filter.providerName}" not found`);
+    }
+    for (const [providerName, provider] of Object.entries(providers)) {
+      if (filter.providerName && providerName !== filter.providerName) continue;
+      const models = Array.isArray(provider.models) ? provider.models : [];
+      if (filter.modelId && !models.some(model => model.id === filter.modelId)) {
+        throw new Error(`Model "${filter.modelId}" not found in provider "${providerName}"`);
+      }
+      models.forEach((model, index) => {
+        if (filter.modelId && model.id !== filter.modelId) return;
+        const match = this.lookup(model.id);
+        if (!match) return;
+        const updated = this.apply(model, match.metadata);
+        const fields = ['contextWindow', 'maxTokens', 'reasoning', 'input', 'cost']
+          .filter(field => JSON.stringify(updated[field]) !== JSON.stringify(model[field]));
+        if (fields.length === 0) return;
+        models[index] = updated;
+        changes.push({ ref: `${providerName}/${model.id}`, pattern: match.pattern, source: match.source, fields });
+      });
+    }
+
+    return { config: next, changes };
+  }
+}
+
+module.exports = ModelCatalog;
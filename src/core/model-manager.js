@@ -1,6 +1,15 @@
+const { API_TYPES, INPUT_TYPES } = require('./constants');
+const ModelCatalog = require('./model-catalog');
+const { renameModelReferences } = require('../openclaw-config');
+
 class ModelManager {
-  constructor(configManager) {
+  /**
+   * @param {ConfigManager} configManager - Config manager
+   * @param {ModelCatalog} [catalog] - Metadata catalog used to fill unspecified model fields
+   */
+  constructor(configManager, catalog = new ModelCatalog()) {
     this.configManager = configManager;
+    this.catalog = catalog;
   }
 
   /**
@@ -61,7 +70,7 @@ class ModelManager {
    * @returns {boolean} True if valid
    */
   validateApiType(apiType) {
-    const validTypes = ['openai-completions', 'anthropic-messages'];
+    const validTypes = Object.values(API_TYPES);
     if (!validTypes.includes(apiType)) {
       throw new Error(`API type must be one of: ${validTypes.join(', ')}`);
     }
@@ -74,7 +83,7 @@ class ModelManager {
    * @returns {Array} Validated input types array
    */
   validateInputTypes(inputTypes) {
-    const validTypes = ['text', 'image', 'audio', 'video'];
+    const validTypes = Object.values(INPUT_TYPES);
 
     let typesArray;
     if (Array.isArray(inputTypes)) {
@@ -179,22 +188,26 @@ class ModelManager {
     this.validateDisplayName(data.name);
     this.validateApiType(data.api);
 
-    const inputTypes = this.validateInputTypes(data.input || 'text');
+    // Fields not given explicitly come from the model catalog, then from the defaults
+    const match = this.catalog.lookup(data.id);
+    const metadata = match ? match.metadata : {};
+    const metadataCost = metadata.cost || {};
+    const inputTypes = this.validateInputTypes(data.input || (metadata.input ? [...metadata.input] : 'text'));
 
     const model = {
       id: data.id,
       name: data.name,
       api: data.api,
-      reasoning: !!data.reasoning,
+      reasoning: data.reasoning !== undefined ? !!data.reasoning : !!metadata.reasoning,
       input: inputTypes,
       cost: {
-        input: this.validateCost(data.inputCost, 'input cost'),
-        output: this.validateCost(data.outputCost, 'output cost'),
-        cacheRead: this.validateCost(data.cacheRead, 'cache read cost'),
-        cacheWrite: this.validateCost(data.cacheWrite, 'cache write cost')
+        input: this.validateCost(data.inputCost ?? metadataCost.input, 'input cost'),
+        output: this.validateCost(data.outputCost ?? metadataCost.output, 'output cost'),
+        cacheRead: this.validateCost(data.cacheRead ?? metadataCost.cacheRead, 'cache read cost'),
+        cacheWrite: this.validateCost(data.cacheWrite ?? metadataCost.cacheWrite, 'cache write cost')
       },
-      contextWindow: this.validateContextWindow(data.contextWindow),
-      maxTokens: this.validateMaxTokens(data.maxTokens)
+      contextWindow: this.validateContextWindow(data.contextWindow || metadata.contextWindow),
+      maxTokens: this.validateMaxTokens(data.maxTokens || metadata.maxTokens)
     };
 
     return model;
@@ -250,12 +263,14 @@ class ModelManager {
       inputTypes = this.validateInputTypes(data.input);
     }
 
-    // Merge with existing model
+    // Merge with existing model (numeric form fields are validated below)
+    const { inputCost, outputCost, cacheRead, cacheWrite, contextWindow, maxTokens, confirm, ...fields } = data;
     const updatedModel = {
       ...existingModel,
-      ...data,
+      ...fields,
       input: inputTypes,
-      reasoning: data.reasoning !== undefined ? !!data.reasoning : existingModel.reasoning
+      reasoning: data.reasoning !== undefined ? !!data.reasoning : existingModel.reasoning,
+      cost: { ...existingModel.cost }
     };
 
     // Validate costs if provided and not empty (empty = keep existing)
@@ -282,10 +297,15 @@ class ModelManager {
       updatedModel.maxTokens = this.validateMaxTokens(data.maxTokens);
     }
 
-    // If model ID is changing, check for duplicates
+    // If model ID is changing, check for duplicates, rename the entry in place and
+    // point agents.defaults and agents.list at the new id
     if (data.id && data.id !== modelId) {
       this.validateModelId(providerName, data.id);
       updatedModel.id = data.id;
+      existingModel.id = data.id;
+      renameModelReferences(config, `${providerName}/${modelId}`, `${providerName}/${data.id}`);
+    } else {
+      updatedModel.id = modelId;
     }
 
     const updatedConfig = this.configManager.setModel(config, providerName, updatedModel);
@@ -314,6 +334,36 @@ class ModelManager {
     return true;
   }
 
+  /**
+   * Copy models, with their costs and capabilities, to another provider
+   * @param {string} fromProvider - Source provider name
+   * @param {Array} modelIds - Model IDs
+   * @param {string} toProvider - Target provider name
+   * @returns {Array} Refs of the copies
+   */
+  copyModels(fromProvider, modelIds, toProvider) {
+    const config = this.configManager.loadConfig();
+    const refs = this.configManager.transferModels(config, fromProvider, modelIds, toProvider);
+    this.configManager.saveConfig(config);
+
+    return refs;
+  }
+
+  /**
+   * Move models to another provider; agents.defaults and agents.list references follow them
+   * @param {string} fromProvider - Source provider name
+   * @param {Array} modelIds - Model IDs
+   * @param {string} toProvider - Target provider name
+   * @returns {Array} New refs of the models
+   */
+  moveModels(fromProvider, modelIds, toProvider) {
+    const config = this.configManager.loadConfig();
+    const refs = this.configManager.transferModels(config, fromProvider, modelIds, toProvider, { move: true });
+    this.configManager.saveConfig(config);
+
+    return refs;
+  }
+
   /**
    * List all models
    * @param {string} [providerName] - Optional provider filter
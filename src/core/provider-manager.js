@@ -1,6 +1,29 @@
+const { API_TYPES, AUTH_METHODS } = require('./constants');
+const { describeApiKey, looksLikeSecretRef } = require('./secret-ref');
+const SecretStore = require('./secret-store');
+
 class ProviderManager {
-  constructor(configManager) {
+  /**
+   * @param {ConfigManager} configManager - Config manager
+   * @param {SecretStore} [secretStore] - Where plaintext API keys go once the store exists
+   */
+  constructor(configManager, secretStore = SecretStore.shared()) {
     this.configManager = configManager;
+    this.secretStore = secretStore;
+  }
+
+  /**
+   * Keep plaintext API keys out of the config: when a secret store exists, the key is
+   * saved there under the provider name and the config gets a ${secret:name} handle
+   * @param {string} name - Provider name
+   * @param {string} apiKey - Plaintext key or reference
+   * @returns {string} Value to write into the config
+   */
+  storeApiKey(name, apiKey) {
+    if (!apiKey || looksLikeSecretRef(apiKey) || !this.secretStore.exists()) {
+      return apiKey;
+    }
+    return this.secretStore.set(name, apiKey);
   }
 
   /**
@@ -55,7 +78,7 @@ class ProviderManager {
    * @returns {boolean} True if valid
    */
   validateApiType(apiType) {
-    const validTypes = ['openai-completions', 'anthropic-messages'];
+    const validTypes = Object.values(API_TYPES);
     if (!validTypes.includes(apiType)) {
       throw new Error(`API type must be one of: ${validTypes.join(', ')}`);
     }
@@ -68,7 +91,7 @@ class ProviderManager {
    * @returns {boolean} True if valid
    */
   validateAuthMethod(authMethod) {
-    const validMethods = ['api-key', 'bearer'];
+    const validMethods = Object.values(AUTH_METHODS);
     if (!validMethods.includes(authMethod)) {
       throw new Error(`Auth method must be one of: ${validMethods.join(', ')}`);
     }
@@ -94,7 +117,7 @@ class ProviderManager {
     };
 
     if (data.apiKey) {
-      provider.apiKey = data.apiKey;
+      provider.apiKey = this.storeApiKey(data.name, data.apiKey);
     }
 
     return provider;
@@ -142,7 +165,7 @@ class ProviderManager {
     };
 
     if (data.apiKey) {
-      updatedProvider.apiKey = data.apiKey;
+      updatedProvider.apiKey = this.storeApiKey(name, data.apiKey);
     } else if (existingProvider.apiKey && !data.apiKey) {
       // Keep existing API key if not specified
       updatedProvider.apiKey = existingProvider.apiKey;
@@ -178,6 +201,40 @@ class ProviderManager {
     return true;
   }
 
+  /**
+   * Copy a provider (api, auth, headers, models) under a new name, e.g. for a staging endpoint
+   * @param {string} name - Provider to copy
+   * @param {string} newName - Name of the copy
+   * @param {Object} [options] - { baseUrl, apiKey, stripKey, addToDefaults } — baseUrl and apiKey replace the copied ones
+   * @returns {Array} Refs of the copied models
+   */
+  cloneProvider(name, newName, options = {}) {
+    const config = this.configManager.loadConfig();
+    if (options.baseUrl !== undefined) this.validateBaseUrl(options.baseUrl);
+    const refs = this.configManager.cloneProvider(config, name, newName, options);
+    const clone = this.configManager.getProvider(config, newName);
+
+    if (options.baseUrl !== undefined) clone.baseUrl = options.baseUrl;
+    if (options.apiKey) clone.apiKey = this.storeApiKey(newName, options.apiKey);
+    this.configManager.saveConfig(config);
+
+    return refs;
+  }
+
+  /**
+   * Rename a provider; model refs, agent models and auth profiles follow it
+   * @param {string} name - Current provider name
+   * @param {string} newName - New provider name
+   * @returns {boolean} True if successful
+   */
+  renameProvider(name, newName) {
+    const config = this.configManager.loadConfig();
+    const updatedConfig = this.configManager.renameProvider(config, name, newName);
+    this.configManager.saveConfig(updatedConfig);
+
+    return true;
+  }
+
   /**
    * List all providers
    * @returns {Array} Array of providers with details
@@ -194,6 +251,7 @@ class ProviderManager {
         api: provider.api,
         auth: provider.auth,
         hasApiKey: !!provider.apiKey,
+        apiKeyStatus: describeApiKey(provider.apiKey),
         modelCount: provider.models?.length || 0
       });
     }
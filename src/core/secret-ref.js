@@ -0,0 +1,110 @@
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const SecretStore = require('./secret-store');
+
+/**
+ * API key references. Instead of a plaintext key, a provider's apiKey may hold
+ * ${env:VAR} (read from the environment), ${file:~/path} (first line of a file) or
+ * ${secret:name} (an entry of the encrypted secret store).
+ * References are resolved when a request is made, never written back to the config.
+ */
+
+const SECRET_REF_PATTERN = /^\$\{(env|file|secret):([^}]+)\}$/;
+
+/**
+ * Split a reference into its type and target
+ * @param {string} value - apiKey value
+ * @returns {Object|null} { type, target } or null for plaintext/empty values
+ */
+function parseSecretRef(value) {
+  if (typeof value !== 'string') return null;
+  const match = value.trim().match(SECRET_REF_PATTERN);
+  return match ? { type: match[1], target: match[2].trim() } : null;
+}
+
+/**
+ * Whether a value looks like a reference (starts with "${"), valid or not
+ * @param {string} value - apiKey value
+ * @returns {boolean} True for reference syntax
+ */
+function looksLikeSecretRef(value) {
+  return typeof value === 'string' && value.trim().startsWith('${');
+}
+
+function expandHome(filePath) {
+  if (filePath === '~') return os.homedir();
+  if (filePath.startsWith('~/')) return path.join(os.homedir(), filePath.slice(2));
+  return filePath;
+}
+
+function readRef(ref) {
+  if (ref.type === 'env') {
+    const key = process.env[ref.target];
+    if (!key) throw new Error(`environment variable ${ref.target} is not set`);
+    return key;
+  }
+  if (ref.type === 'secret') {
+    const store = SecretStore.shared();
+    if (!store.exists()) throw new Error(`no secret store at ${store.storePath}`);
+    store.requireUnlocked();
+    return store.get(ref.target);
+  }
+  const filePath = expandHome(ref.target);
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new Error(`cannot read ${filePath} (${error.code || error.message})`);
+  }
+  const key = content.split(/\r?\n/)[0].trim();
+  if (!key) throw new Error(`${filePath} is empty`);
+  return key;
+}
+
+/**
+ * Resolve an apiKey value to the key itself
+ * @param {string} value - Plaintext key or reference
+ * @returns {string} Key ('' when no key is configured)
+ * @throws {Error} When a reference is malformed or does not resolve
+ */
+function resolveApiKey(value) {
+  if (!value) return '';
+  if (!looksLikeSecretRef(value)) return value;
+  const ref = parseSecretRef(value);
+  if (!ref) {
+    throw new Error(`Invalid apiKey reference "${value}"; use \${env:VAR}, \${file:path} or \${secret:name}`);
+  }
+  try {
+    return readRef(ref);
+  } catch (error) {
+    throw new Error(`apiKey reference ${value.trim()}: ${error.message}`);
+  }
+}
+
+/**
+ * Describe an apiKey value for display without revealing plaintext keys
+ * @param {string} value - Plaintext key or reference
+ * @returns {Object} { kind: 'empty'|'plain'|'env'|'file'|'secret'|'invalid', ref, resolves, error, label }
+ */
+function describeApiKey(value) {
+  if (!value) return { kind: 'empty', ref: null, resolves: false, error: null, label: '(empty)' };
+  if (!looksLikeSecretRef(value)) return { kind: 'plain', ref: null, resolves: true, error: null, label: '(plaintext)' };
+  const ref = parseSecretRef(value);
+  const text = value.trim();
+  if (!ref) return { kind: 'invalid', ref: text, resolves: false, error: 'not ${env:VAR}, ${file:path} or ${secret:name}', label: `${text} ✗` };
+  try {
+    readRef(ref);
+    return { kind: ref.type, ref: text, resolves: true, error: null, label: `${text} ✓` };
+  } catch (error) {
+    return { kind: ref.type, ref: text, resolves: false, error: error.message, label: `${text} ✗` };
+  }
+}
+
+module.exports = {
+  SECRET_REF_PATTERN,
+  parseSecretRef,
+  looksLikeSecretRef,
+  resolveApiKey,
+  describeApiKey,
+};
@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const os = require('os');
+const path = require('path');
+const { withConfigLock } = require('./config-file');
+
+const DEFAULT_STORE_PATH = path.join(os.homedir(), '.openclaw', 'secrets.enc');
+const DEFAULT_KEY_FILE_PATH = path.join(os.homedir(), '.openclaw', 'secrets.key');
+const CIPHER = 'aes-256-gcm';
+const KDF_PARAMS = { N: 1 << 15, r: 8, p: 1 };
+const SECRET_NAME_PATTERN = /^[A-Za-z0-9._/-]+$/;
+
+let sharedStore = null;
+
+/**
+ * Encrypted key/value file for provider API keys. The file holds scrypt parameters and
+ * an AES-256-GCM ciphertext of { name: { value, updatedAt } }; the encryption key is
+ * derived from a passphrase or from the bytes of a key file. Configs refer to entries
+ * with ${secret:name} handles.
+ */
+class SecretStore {
+  /**
+   * @param {string} [storePath] - Store file (defaults to $CLAWD_MODELS_SECRETS or ~/.openclaw/secrets.enc)
+   */
+  constructor(storePath) {
+    this.storePath = storePath || process.env.CLAWD_MODELS_SECRETS || DEFAULT_STORE_PATH;
+    this.key = null;
+    this.salt = null;
+    this.secrets = null;
+    this.triedEnvironment = false;
+  }
+
+  /**
+   * Process-wide store, so one unlock serves every manager and reference lookup
+   * @returns {SecretStore} Shared instance
+   */
+  static shared() {
+    if (!sharedStore) sharedStore = new SecretStore();
+    return sharedStore;
+  }
+
+  /**
+   * Config handle for a secret
+   * @param {string} name - Secret name
+   * @returns {string} ${secret:name}
+   */
+  static handle(name) {
+    return `\${secret:${name}}`;
+  }
+
+  /**
+   * Validate a secret name (letters, digits, . _ / -)
+   * @param {string} name - Secret name
+   * @returns {boolean} True if valid
+   */
+  static validateName(name) {
+    if (!name || !SECRET_NAME_PATTERN.test(name)) {
+      throw new Error(`Invalid secret name "${name || ''}"; use letters, digits, ".", "_", "/" or "-"`);
+    }
+    return true;
+  }
+
+  /**
+   * Whether the store file exists
+   * @returns {boolean} True if it exists
+   */
+  exists() {
+    return fs.existsSync(this.storePath);
+  }
+
+  /**
+   * Whether the store has been unlocked in this process
+   * @returns {boolean} True if unlocked
+   */
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  deriveKey(secret, salt, params = KDF_PARAMS) {
+    return crypto.scryptSync(secret, salt, 32, { ...params, maxmem: 256 * params.N * params.r });
+  }
+
+  readEnvelope() {
+    let envelope;
+    try {
+      envelope = JSON.parse(fs.readFileSync(this.storePath, 'utf8'));
+    } catch (error) {
+      throw new Error(`Failed to read secret store ${this.storePath}: ${error.message}`);
+    }
+    if (envelope.version !== 1 || envelope.cipher !== CIPHER || envelope.kdf?.name !== 'scrypt') {
+      throw new Error(`Unsupported secret store format in ${this.storePath}`);
+    }
+    return envelope;
+  }
+
+  /**
+   * Unlock the store with a passphrase or key file contents. When the store does not
+   * exist yet, this sets the secret it will be created with.
+   * @param {string|Buffer} secret - Passphrase or key file bytes
+   * @returns {boolean} True when unlocked
+   * @throws {Error} On a wrong passphrase/key file or a damaged store
+   */
+  unlock(secret) {
+    if (!secret || secret.length === 0) throw new Error('An empty passphrase cannot unlock the secret store');
+    if (!this.exists()) {
+      this.salt = crypto.randomBytes(16);
+      this.key = this.deriveKey(secret, this.salt);
+      this.secrets = {};
+      return true;
+    }
+
+    const envelope = this.readEnvelope();
+    const salt = Buffer.from(envelope.kdf.salt, 'base64');
+    const { N, r, p } = envelope.kdf;
+    const key = this.deriveKey(secret, salt, { N, r, p });
+    this.secrets = this.decrypt(envelope, key);
+    this.salt = salt;
+    this.key = key;
+    return true;
+  }
+
+  decrypt(envelope, key) {
+    let plaintext;
+    try {
+      const decipher = crypto.createDecipheriv(CIPHER, key, Buffer.from(envelope.iv, 'base64'));
+      decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+      plaintext = Buffer.concat([decipher.update(Buffer.from(envelope.data, 'base64')), decipher.final()]).toString('utf8');
+    } catch (error) {
+      throw new Error('Wrong passphrase or key file for the secret store');
+    }
+    return JSON.parse(plaintext);
+  }
+
+  /**
+   * Re-read the secrets on disk with the key this process unlocked with, so a write keeps
+   * what other processes stored since
+   * @throws {Error} When another process re-encrypted the store under a new passphrase
+   */
+  reload() {
+    if (!this.exists()) return;
+    const envelope = this.readEnvelope();
+    if (!Buffer.from(envelope.kdf.salt, 'base64').equals(this.salt)) {
+      throw new Error(`The secret store ${this.storePath} was re-encrypted by another process; run the command again to unlock it`);
+    }
+    this.secrets = this.decrypt(envelope, this.key);
+  }
+
+  /**
+   * Change the secrets and write the store under its lock (<store>.lock, as config writes
+   * use), re-reading it first so concurrent set/remove/rotate runs do not drop each other's entries
+   * @param {Function} mutate - (secrets) => result, changing secrets in place
+   * @returns {*} Whatever mutate returns
+   */
+  update(mutate) {
+    this.requireUnlocked();
+    // Before the lock, which would otherwise create the directory with the default mode
+    fs.ensureDirSync(path.dirname(this.storePath), { mode: 0o700 });
+    return withConfigLock(this.storePath, () => {
+      this.reload();
+      const result = mutate(this.secrets);
+      this.save();
+      return result;
+    });
+  }
+
+  /**
+   * Unlock without prompting: $CLAWD_MODELS_PASSPHRASE, then the key file named by
+   * $CLAWD_MODELS_KEYFILE or ~/.openclaw/secrets.key. Only tried once per process.
+   * @returns {boolean} True when unlocked
+   */
+  unlockFromEnvironment() {
+    if (this.isUnlocked()) return true;
+    if (this.triedEnvironment) return false;
+    this.triedEnvironment = true;
+    const secret = this.environmentSecret();
+    if (!secret) return false;
+    return this.unlock(secret);
+  }
+
+  /**
+   * Passphrase or key file bytes available without prompting
+   * @returns {string|Buffer|null} Secret, or null when none is configured
+   */
+  environmentSecret() {
+    if (process.env.CLAWD_MODELS_PASSPHRASE) return process.env.CLAWD_MODELS_PASSPHRASE;
+    const keyFile = process.env.CLAWD_MODELS_KEYFILE || (fs.existsSync(DEFAULT_KEY_FILE_PATH) ? DEFAULT_KEY_FILE_PATH : null);
+    if (!keyFile) return null;
+    try {
+      return fs.readFileSync(keyFile);
+    } catch (error) {
+      throw new Error(`Cannot read secret store key file ${keyFile}: ${error.message}`);
+    }
+  }
+
+  requireUnlocked() {
+    if (!this.isUnlocked() && !this.unlockFromEnvironment()) {
+      throw new Error('Secret store is locked; set CLAWD_MODELS_PASSPHRASE or CLAWD_MODELS_KEYFILE');
+    }
+  }
+
+  /**
+   * Encrypt and write the store (0600, via a temp file and rename); callers hold the lock (see update)
+   */
+  save() {
+    this.requireUnlocked();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(CIPHER, this.key, iv);
+    const data = Buffer.concat([cipher.update(JSON.stringify(this.secrets), 'utf8'), cipher.final()]);
+    const envelope = {
+      version: 1,
+      cipher: CIPHER,
+      kdf: { name: 'scrypt', salt: this.salt.toString('base64'), ...KDF_PARAMS },
+      iv: iv.toString('base64'),
+      tag: cipher.getAuthTag().toString('base64'),
+      data: data.toString('base64')
+    };
+    const tempPath = `${this.storePath}.${process.pid}.tmp`;
+    fs.writeFileSync(tempPath, `${JSON.stringify(envelope, null, 2)}\n`, { mode: 0o600 });
+    fs.renameSync(tempPath, this.storePath);
+  }
+
+  /**
+   * List secret names (values are not returned)
+   * @returns {Array} { name, updatedAt }
+   */
+  list() {
+    this.requireUnlocked();
+    return Object.entries(this.secrets)
+      .map(([name, entry]) => ({ name, updatedAt: entry.updatedAt }))
+      .sort((left, right) => left.name.localeCompare(right.name));
+  }
+
+  /**
+   * Whether a secret exists
+   * @param {string} name - Secret name
+   * @returns {boolean} True if stored
+   */
+  has(name) {
+    this.requireUnlocked();
+    return Object.prototype.hasOwnProperty.call(this.secrets, name);
+  }
+
+  /**
+   * Read a secret value
+   * @param {string} name - Secret name
+   * @returns {string} Value
+   */
+  get(name) {
+    if (!this.has(name)) throw new Error(`Secret "${name}" not found in ${this.storePath}`);
+    return this.secrets[name].value;
+  }
+
+  /**
+   * Store a secret and write the store
+   * @param {string} name - Secret name
+   * @param {string} value - Secret value
+   * @returns {string} ${secret:name} handle
+   */
+  set(name, value) {
+    SecretStore.validateName(name);
+    if (!value) throw new Error(`Secret "${name}" needs a value`);
+    this.update((secrets) => {
+      secrets[name] = { value, updatedAt: new Date().toISOString() };
+    });
+    return SecretStore.handle(name);
+  }
+
+  /**
+   * Delete a secret and write the store
+   * @param {string} name - Secret name
+   * @returns {boolean} True if successful
+   */
+  remove(name) {
+    return this.update((secrets) => {
+      if (!Object.prototype.hasOwnProperty.call(secrets, name)) throw new Error(`Secret "${name}" not found in ${this.storePath}`);
+      delete secrets[name];
+      return true;
+    });
+  }
+
+  /**
+   * Re-encrypt every secret under a new passphrase or key file (fresh salt and IV)
+   * @param {string|Buffer} newSecret - New passphrase or key file bytes
+   * @returns {number} Number of secrets re-encrypted
+   */
+  rotate(newSecret) {
+    this.requireUnlocked();
+    if (!newSecret || newSecret.length === 0) throw new Error('The new passphrase cannot be empty');
+    return this.update((secrets) => {
+      this.salt = crypto.randomBytes(16);
+      this.key = this.deriveKey(newSecret, this.salt);
+      return Object.keys(secrets).length;
+    });
+  }
+}
+
+module.exports = SecretStore;
@@ -0,0 +1,133 @@
+/**
+ * In-session undo/redo log of the TUI's saves. Each step keeps the file text before and
+ * after it was written. Undoing a step reverts only the fields that step changed, by a
+ * three-way merge onto the current config, so edits made since (here or by another
+ * program) survive; if one of those fields was changed again since, the undo is refused.
+ */
+
+const { parseConfigText } = require('./core/config-text');
+const { ensureConfigShape } = require('./openclaw-config');
+const { changedPaths, mergeConfigs } = require('./config-merge');
+
+const MAX_STEPS = 100;
+
+function parseSnapshot(text) {
+  return ensureConfigShape(text === null ? {} : parseConfigText(text));
+}
+
+function describePaths(paths) {
+  if (paths.length === 0) return 'edited the config';
+  return `edited ${paths[0] || 'the config'}${paths.length > 1 ? ` and ${paths.length - 1} more` : ''}`;
+}
+
+class EditHistory {
+  /**
+   * @param {number} [limit] - Steps to keep (oldest are dropped first)
+   */
+  constructor(limit = MAX_STEPS) {
+    this.limit = limit;
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+
+  /**
+   * Record a save as a new step; anything that was undone can no longer be redone
+   * @param {string|null} label - What the step did (derived from the changed paths if empty)
+   * @param {string|null} beforeText - File content before the save (null when it was missing)
+   * @param {string} afterText - File content written
+   * @returns {Object|null} The step, or null when the save changed nothing
+   */
+  record(label, beforeText, afterText) {
+    if (beforeText === afterText) return null;
+    const paths = changedPaths(parseSnapshot(beforeText), parseSnapshot(afterText));
+    const step = { label: label || describePaths(paths), paths, beforeText, afterText, at: new Date().toISOString() };
+    this.undoStack.push(step);
+    if (this.undoStack.length > this.limit) this.undoStack.shift();
+    this.redoStack = [];
+    return step;
+  }
+
+  /**
+   * Check if there is a step to undo
+   * @returns {boolean} True if undo() has something to do
+   */
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  /**
+   * Check if there is an undone step to redo
+   * @returns {boolean} True if redo() has something to do
+   */
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  /**
+   * Work out the config with the newest step reverted. Nothing moves between the undo
+   * and redo lists until commitUndo(), so a save that fails leaves the log as it was.
+   * @param {Object} current - Config as it is now
+   * @returns {Object} { step, config }
+   */
+  planUndo(current) {
+    const step = this.undoStack[this.undoStack.length - 1];
+    if (!step) throw new Error('nothing to undo');
+    return { step, config: applyStep(step, step.afterText, step.beforeText, current, 'undo') };
+  }
+
+  /**
+   * Move the newest step to the redo list after its undo was saved
+   */
+  commitUndo() {
+    this.redoStack.push(this.undoStack.pop());
+  }
+
+  /**
+   * Work out the config with the most recently undone step applied again
+   * @param {Object} current - Config as it is now
+   * @returns {Object} { step, config }
+   */
+  planRedo(current) {
+    const step = this.redoStack[this.redoStack.length - 1];
+    if (!step) throw new Error('nothing to redo');
+    return { step, config: applyStep(step, step.beforeText, step.afterText, current, 'redo') };
+  }
+
+  /**
+   * Move the redone step back to the undo list after it was saved
+   */
+  commitRedo() {
+    this.undoStack.push(this.redoStack.pop());
+  }
+
+  /**
+   * All steps, newest first; undone steps (which redo would re-apply) come first, flagged
+   * @returns {Array} { label, paths, beforeText, afterText, at, undone }
+   */
+  steps() {
+    return [
+      ...this.redoStack.map((step) => ({ ...step, undone: true })),
+      ...[...this.undoStack].reverse().map((step) => ({ ...step, undone: false })),
+    ];
+  }
+
+  /**
+   * Forget every step (e.g. after switching to another config file)
+   */
+  clear() {
+    this.undoStack = [];
+    this.redoStack = [];
+  }
+}
+
+function applyStep(step, fromText, toText, current, verb) {
+  const { config, conflicts } = mergeConfigs(parseSnapshot(fromText), parseSnapshot(toText), current);
+  if (conflicts.length > 0) {
+    throw new Error(`can't ${verb} "${step.label}": ${conflicts.map((conflict) => conflict.path).join(', ')} changed since`);
+  }
+  return config;
+}
+
+module.exports = {
+  EditHistory,
+};
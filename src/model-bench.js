@@ -0,0 +1,187 @@
+/**
+ * Latency and throughput benchmark of configured models: N streamed requests per model
+ * (through testModelDirect, so they go out exactly like `--test --stream`), summarized
+ * as percentiles. Each benchmark run is appended to a results file so models can be
+ * compared over time.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const os = require('os');
+const { ApiTester } = require('./core');
+const { testModelDirect } = require('./model-test');
+
+const DEFAULT_RUNS = 5;
+const DEFAULT_CONCURRENCY = 1;
+const DEFAULT_MAX_TOKENS = 256;
+// Long enough an answer for tokens/s to mean something
+const DEFAULT_PROMPT = 'Write about 150 words on the history of the printing press.';
+const RESULTS_PATH = path.join(os.homedir(), '.openclaw', 'model-bench.json');
+const MAX_SAVED_RUNS = 200;
+
+/**
+ * Where benchmark results are kept ($CLAWD_MODELS_BENCH or ~/.openclaw/model-bench.json)
+ * @returns {string} Results file path
+ */
+function benchResultsPath() {
+  return process.env.CLAWD_MODELS_BENCH || RESULTS_PATH;
+}
+
+/**
+ * Nearest-rank percentile
+ * @param {Array} values - Numbers
+ * @param {number} p - Percentile (0-100)
+ * @returns {number|null} Value, or null for no values
+ */
+function percentile(values, p) {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1))];
+}
+
+function spread(values) {
+  return { p50: percentile(values, 50), p95: percentile(values, 95), p99: percentile(values, 99) };
+}
+
+/**
+ * Reduce the samples of one model to its benchmark result
+ * @param {string} model - provider/model-id
+ * @param {Array} samples - { ok, latencyMs, ttftMs, tokensPerSecond, outputTokens, error }
+ * @returns {Object} { model, runs, errors, errorRate, latencyMs, ttftMs, tokensPerSecond, outputTokens, error }
+ */
+function summarizeSamples(model, samples) {
+  const ok = samples.filter((sample) => sample.ok);
+  const numbers = (field) => ok.map((sample) => sample[field]).filter((value) => Number.isFinite(value));
+  const errors = samples.length - ok.length;
+  return {
+    model,
+    runs: samples.length,
+    errors,
+    errorRate: samples.length > 0 ? Math.round((errors / samples.length) * 1000) / 1000 : 0,
+    latencyMs: spread(numbers('latencyMs')),
+    ttftMs: spread(numbers('ttftMs')),
+    tokensPerSecond: spread(numbers('tokensPerSecond')),
+    outputTokens: percentile(numbers('outputTokens'), 50),
+    error: samples.find((sample) => sample.error)?.error || null,
+  };
+}
+
+async function runSample(config, providerName, modelId, options) {
+  try {
+    const result = await testModelDirect(config, providerName, modelId, options.prompt, { stream: true, tools: false, maxTokens: options.maxTokens, system: options.system });
+    const metrics = result.stream.first;
+    const ok = result.firstStatus >= 200 && result.firstStatus < 300 && metrics.streamed && !metrics.error;
+    const bodyError = result.firstResponse?.error?.message || (typeof result.firstResponse?.error === 'string' ? result.firstResponse.error : null);
+    return {
+      ok,
+      latencyMs: metrics.totalMs,
+      ttftMs: metrics.ttftMs,
+      tokensPerSecond: metrics.tokensPerSecond,
+      outputTokens: metrics.outputTokens,
+      error: ok ? null : metrics.error || bodyError || `HTTP ${result.firstStatus}`,
+    };
+  } catch (error) {
+    return { ok: false, latencyMs: null, ttftMs: null, tokensPerSecond: null, outputTokens: null, error: error.message };
+  }
+}
+
+/**
+ * Benchmark models one after another, each with `runs` requests and at most `concurrency` in flight
+ * @param {Object} config - OpenClaw config
+ * @param {Array} models - { providerName, modelId }
+ * @param {Object} [options] - { runs, concurrency, prompt, system, maxTokens, onProgress } —
+ *   onProgress(model, done, runs) is called after each request
+ * @returns {Promise<Array>} One summarizeSamples() result per model
+ */
+async function benchmarkModels(config, models, options = {}) {
+  const runs = options.runs || DEFAULT_RUNS;
+  const settings = {
+    prompt: options.prompt || DEFAULT_PROMPT,
+    system: options.system,
+    maxTokens: options.maxTokens || DEFAULT_MAX_TOKENS,
+  };
+  const results = [];
+  for (const { providerName, modelId } of models) {
+    const ref = `${providerName}/${modelId}`;
+    let done = 0;
+    const samples = await ApiTester.mapWithConcurrency(Array.from({ length: runs }), options.concurrency || DEFAULT_CONCURRENCY, async () => {
+      const sample = await runSample(config, providerName, modelId, settings);
+      done += 1;
+      options.onProgress?.(ref, done, runs);
+      return sample;
+    });
+    results.push(summarizeSamples(ref, samples));
+  }
+  return results;
+}
+
+/**
+ * Saved benchmark runs, oldest first
+ * @param {string} [filePath] - Results file
+ * @returns {Array} { at, prompt, runs, concurrency, maxTokens, results }
+ */
+function loadBenchHistory(filePath = benchResultsPath()) {
+  if (!fs.existsSync(filePath)) return [];
+  try {
+    const saved = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return Array.isArray(saved.runs) ? saved.runs : [];
+  } catch (error) {
+    throw new Error(`Failed to read benchmark results ${filePath}: ${error.message}`);
+  }
+}
+
+/**
+ * Append a benchmark run to the results file (the newest 200 runs are kept)
+ * @param {Object} run - { prompt, runs, concurrency, maxTokens, results }
+ * @param {string} [filePath] - Results file
+ * @returns {string} Results file path
+ */
+function saveBenchRun(run, filePath = benchResultsPath()) {
+  const runs = [...loadBenchHistory(filePath), { at: new Date().toISOString(), ...run }].slice(-MAX_SAVED_RUNS);
+  fs.ensureDirSync(path.dirname(filePath));
+  fs.writeFileSync(filePath, `${JSON.stringify({ runs }, null, 2)}\n`, { mode: 0o600 });
+  return filePath;
+}
+
+/**
+ * Latest saved result of a model
+ * @param {Array} history - From loadBenchHistory
+ * @param {string} model - provider/model-id
+ * @returns {Object|null} Result with the `at` of its run, or null
+ */
+function previousResult(history, model) {
+  for (let index = history.length - 1; index >= 0; index -= 1) {
+    const result = (history[index].results || []).find((candidate) => candidate.model === model);
+    if (result) return { ...result, at: history[index].at };
+  }
+  return null;
+}
+
+/**
+ * Change of the p50 latency against an earlier result
+ * @param {Object} result - Current result
+ * @param {Object|null} previous - Earlier result
+ * @returns {string} e.g. "-12%", or '' when there is nothing to compare
+ */
+function latencyChange(result, previous) {
+  const before = previous?.latencyMs?.p50;
+  const now = result.latencyMs.p50;
+  if (!before || now === null) return '';
+  const change = Math.round(((now - before) / before) * 100);
+  return `${change > 0 ? '+' : ''}${change}%`;
+}
+
+module.exports = {
+  DEFAULT_RUNS,
+  DEFAULT_CONCURRENCY,
+  DEFAULT_MAX_TOKENS,
+  DEFAULT_PROMPT,
+  benchResultsPath,
+  percentile,
+  summarizeSamples,
+  benchmarkModels,
+  loadBenchHistory,
+  saveBenchRun,
+  previousResult,
+  latencyChange,
+};
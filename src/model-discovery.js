@@ -0,0 +1,157 @@
+const { API_TYPES, INPUT_TYPES } = require('./core/constants');
+const ModelCatalog = require('./core/model-catalog');
+const { resolveApiKey } = require('./core/secret-ref');
+
+const DISCOVERY_TIMEOUT_MS = 15000;
+const KNOWN_INPUTS = Object.values(INPUT_TYPES);
+
+/**
+ * Models listing URL for a provider: {baseUrl}/models for OpenAI-compatible APIs,
+ * {baseUrl}/v1/models for Anthropic (matching how /v1/messages is built)
+ * @param {Object} provider - Provider config
+ * @returns {string} Endpoint URL
+ */
+function modelsEndpoint(provider) {
+  if (!provider?.baseUrl) throw new Error('Provider has no baseUrl');
+  const base = provider.baseUrl.replace(/\/$/, '');
+  return (provider.api || API_TYPES.ANTHROPIC_MESSAGES) === API_TYPES.OPENAI_COMPLETIONS ? `${base}/models` : `${base}/v1/models`;
+}
+
+function discoveryHeaders(provider) {
+  const headers = { Accept: 'application/json' };
+  const apiKey = resolveApiKey(provider.apiKey);
+  if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+  if (provider.api !== API_TYPES.OPENAI_COMPLETIONS) {
+    headers['anthropic-version'] = '2023-06-01';
+    if (apiKey) headers['x-api-key'] = apiKey;
+  }
+  return headers;
+}
+
+async function getJson(url, headers) {
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(DISCOVERY_TIMEOUT_MS) });
+  const body = await response.json().catch(() => null);
+  if (!response.ok) {
+    const detail = body?.error?.message || body?.error || body?.message;
+    throw new Error(`GET ${url} failed: ${response.status}${detail ? ` ${typeof detail === 'string' ? detail : JSON.stringify(detail)}` : ''}`);
+  }
+  if (!body || typeof body !== 'object') throw new Error(`GET ${url} did not return JSON`);
+  return body;
+}
+
+/**
+ * Fetch the raw model listing of a provider (follows Anthropic's after_id pagination)
+ * @param {Object} provider - Provider config
+ * @returns {Array} Listing entries as returned by the provider
+ */
+async function fetchProviderModels(provider) {
+  const endpoint = modelsEndpoint(provider);
+  const headers = discoveryHeaders(provider);
+  const entries = [];
+  let afterId = null;
+  for (let page = 0; page < 50; page += 1) {
+    const url = new URL(endpoint);
+    if (afterId) url.searchParams.set('after_id', afterId);
+    const body = await getJson(url.toString(), headers);
+    const data = Array.isArray(body.data) ? body.data : Array.isArray(body.models) ? body.models : Array.isArray(body) ? body : [];
+    entries.push(...data.filter((entry) => entry && typeof entry.id === 'string' && entry.id));
+    if (!body.has_more || !body.last_id) break;
+    afterId = body.last_id;
+  }
+  return entries;
+}
+
+function positiveInt(...values) {
+  for (const value of values) {
+    const number = Number(value);
+    if (Number.isFinite(number) && number > 0) return Math.floor(number);
+  }
+  return undefined;
+}
+
+// OpenRouter prices are USD per token as strings; openclaw stores USD per million tokens
+function perMillion(value) {
+  const number = Number(value);
+  if (value === undefined || value === null || value === '' || !Number.isFinite(number) || number < 0) return 0;
+  return Math.round(number * 1_000_000 * 1e6) / 1e6;
+}
+
+function defaultModelName(id) {
+  return id.replace(/\s+/g, '').replace(/^./, (c) => c.toUpperCase());
+}
+
+/**
+ * Turn one listing entry into an openclaw model, keeping whatever metadata the
+ * provider reports (context length, output limit, pricing, modalities, reasoning).
+ * Fields the listing lacks are filled from the model catalog, then from defaults.
+ * @param {Object} entry - Listing entry
+ * @param {Object} provider - Provider config
+ * @param {ModelCatalog} [catalog] - Metadata catalog
+ * @returns {Object} Model config
+ */
+function modelFromListing(entry, provider, catalog = new ModelCatalog()) {
+  const modalities = entry.architecture?.input_modalities;
+  const input = Array.isArray(modalities) ? modalities.filter((type) => KNOWN_INPUTS.includes(type)) : [];
+  const parameters = Array.isArray(entry.supported_parameters) ? entry.supported_parameters : null;
+
+  const listed = {};
+  if (parameters) listed.reasoning = parameters.includes('reasoning') || parameters.includes('include_reasoning');
+  else if (typeof entry.reasoning === 'boolean') listed.reasoning = entry.reasoning;
+  if (input.length > 0) listed.input = input;
+  if (entry.pricing) {
+    listed.cost = {
+      input: perMillion(entry.pricing.prompt),
+      output: perMillion(entry.pricing.completion),
+      cacheRead: perMillion(entry.pricing.input_cache_read),
+      cacheWrite: perMillion(entry.pricing.input_cache_write),
+    };
+  }
+  const contextWindow = positiveInt(entry.context_length, entry.context_window, entry.top_provider?.context_length, entry.max_model_len, entry.max_input_tokens);
+  const maxTokens = positiveInt(entry.top_provider?.max_completion_tokens, entry.max_output_tokens, entry.max_completion_tokens, entry.max_tokens);
+  if (contextWindow) listed.contextWindow = contextWindow;
+  if (maxTokens) listed.maxTokens = maxTokens;
+
+  const filled = catalog.fill(listed, catalog.lookup(entry.id)?.metadata);
+  const model = {
+    id: entry.id,
+    name: entry.name || entry.display_name || defaultModelName(entry.id),
+    api: provider.api || API_TYPES.OPENAI_COMPLETIONS,
+    reasoning: filled.reasoning ?? false,
+    input: filled.input ?? ['text'],
+    cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, ...filled.cost },
+  };
+  if (filled.contextWindow) model.contextWindow = filled.contextWindow;
+  if (filled.maxTokens) model.maxTokens = filled.maxTokens;
+  return model;
+}
+
+/**
+ * Ask a provider which models it offers and keep the ones not configured yet
+ * @param {Object} config - OpenClaw config
+ * @param {string} providerName - Provider name
+ * @returns {Object} { endpoint, total, models } with models ready to push into provider.models
+ */
+async function discoverModels(config, providerName) {
+  const provider = config.models?.providers?.[providerName];
+  if (!provider) throw new Error(`Provider "${providerName}" not found`);
+  const endpoint = modelsEndpoint(provider);
+  const entries = await fetchProviderModels(provider);
+  const configured = new Set((Array.isArray(provider.models) ? provider.models : []).map((model) => model?.id));
+  const catalog = new ModelCatalog();
+  const seen = new Set();
+  const models = [];
+  for (const entry of entries) {
+    if (configured.has(entry.id) || seen.has(entry.id)) continue;
+    seen.add(entry.id);
+    models.push(modelFromListing(entry, provider, catalog));
+  }
+  models.sort((left, right) => left.id.localeCompare(right.id));
+  return { endpoint, total: entries.length, models };
+}
+
+module.exports = {
+  modelsEndpoint,
+  fetchProviderModels,
+  modelFromListing,
+  discoverModels,
+};
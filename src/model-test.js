@@ -0,0 +1,249 @@
+/**
+ * Direct model test requests: a sample prompt sent straight to a provider's endpoint, as
+ * `--test`, the batch test, the benchmark and the TUI's test keys send it. Requests and
+ * responses are appended to a debug log.
+ */
+
+const fs = require('fs');
+const { resolveApiKey } = require('./core/secret-ref');
+const { readStreamedResponse } = require('./stream-test');
+
+const DEBUG_LOG_PATH = '/tmp/clawd-models.log';
+
+/**
+ * Append to the debug log (/tmp/clawd-models.log)
+ * @param {...*} parts - Strings, or values written as JSON
+ */
+function writeDebugLog(...parts) {
+  fs.appendFileSync(DEBUG_LOG_PATH, `${parts.map((part) => (typeof part === 'string' ? part : JSON.stringify(part, null, 2))).join(' ')}\n`);
+}
+
+/**
+ * Send a sample prompt (and by default a forced `say_hi` tool call) straight to a provider
+ * @param {Object} config - OpenClaw config
+ * @param {string} providerName - Provider name
+ * @param {string} modelId - Model id within the provider
+ * @param {string} [prompt] - User prompt
+ * @param {Object} [options] - { system, maxTokens, tools, stream } — tools: false sends no tools;
+ *   stream: true sends both rounds with stream: true and reads them as SSE
+ * @returns {Object} Statuses, tool calls and responses of both rounds; with stream, also
+ *   stream: { first, final } metrics (time to first token, total latency, tokens per second)
+ */
+async function testModelDirect(config, providerName, modelId, prompt = 'say hi', options = {}) {
+  const provider = config.models?.providers?.[providerName];
+  if (!provider) throw new Error(`Provider "${providerName}" not found`);
+  const model = Array.isArray(provider.models) ? provider.models.find((candidate) => candidate?.id === modelId) : null;
+  if (!model) throw new Error(`Model "${modelId}" not found in provider "${providerName}"`);
+  if (!provider.baseUrl) throw new Error(`Provider "${providerName}" has no baseUrl`);
+
+  const apiSchema = provider.api || 'anthropic-messages';
+  const apiKey = resolveApiKey(provider.apiKey);
+  const sampleTool = {
+    name: 'say_hi',
+    description: 'Return hi as a tool result',
+    parameters: { type: 'object', properties: {}, additionalProperties: false },
+  };
+  const useTools = options.tools !== false;
+  const maxTokens = options.maxTokens || model.maxTokens || 128;
+  const systemPrompt = options.system || 'You are a helpful assistant that uses tools when asked.';
+  const streaming = Boolean(options.stream);
+
+  // One round trip; streamed replies are reassembled into the body a non-streamed request gets
+  const send = async (endpoint, headers, body) => {
+    const startedAt = Date.now();
+    const response = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(body) });
+    if (streaming) {
+      const { body: json, metrics } = await readStreamedResponse(response, apiSchema, startedAt);
+      return { response, json, metrics };
+    }
+    const json = await response.json().catch(async () => ({ raw: await response.text() }));
+    return { response, json, metrics: null };
+  };
+  const streamFields = (first, final) => (streaming ? { stream: { first: first.metrics, final: final.metrics } } : {});
+
+  const runOpenAI = async () => {
+    const endpoint = `${provider.baseUrl.replace(/\/$/, '')}/chat/completions`;
+    const headers = { 'Content-Type': 'application/json' };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    const systemMessages = options.system ? [{ role: 'system', content: options.system }] : [];
+    const firstBody = {
+      model: model.id,
+      messages: [...systemMessages, { role: 'user', content: prompt }],
+      max_tokens: maxTokens,
+      stream: streaming,
+      // Without it, streamed chat completions carry no token counts
+      ...(streaming ? { stream_options: { include_usage: true } } : {}),
+    };
+    if (useTools) {
+      firstBody.tools = [{ type: 'function', function: sampleTool }];
+      firstBody.tool_choice = { type: 'function', function: { name: 'say_hi' } };
+    }
+    writeDebugLog('[testModelDirect] first request', {
+      providerName,
+      modelId,
+      endpoint,
+      headers: { ...headers, Authorization: headers.Authorization ? '********************************' : undefined },
+      body: firstBody,
+    });
+    const first = await send(endpoint, headers, firstBody);
+    const { response: firstResponse, json: firstJson } = first;
+    writeDebugLog('[testModelDirect] first response body', {
+      status: firstResponse.status,
+      body: firstJson,
+    });
+    if (!firstResponse.ok) {
+      writeDebugLog('[testModelDirect] first response error', {
+        status: firstResponse.status,
+        body: firstJson,
+      });
+    }
+    const message = firstJson?.choices?.[0]?.message;
+    const toolCalls = message?.tool_calls || [];
+
+    if (toolCalls.length > 0) {
+      const secondBody = {
+        model: model.id,
+        messages: [
+          ...systemMessages,
+          { role: 'user', content: prompt },
+          { role: 'assistant', content: message.content || null, tool_calls: toolCalls },
+          ...toolCalls.map((call) => ({ role: 'tool', tool_call_id: call.id, content: 'hi' })),
+        ],
+        max_tokens: maxTokens,
+        ...(streaming ? { stream: true, stream_options: { include_usage: true } } : {}),
+      };
+      const final = await send(endpoint, headers, secondBody);
+      const { response: secondResponse, json: secondJson } = final;
+      return {
+        providerName,
+        modelId,
+        apiSchema,
+        endpoint,
+        firstStatus: firstResponse.status,
+        firstResponse: firstJson,
+        toolCalls,
+        toolResult: 'hi',
+        finalStatus: secondResponse.status,
+        finalResponse: secondJson,
+        ...streamFields(first, final),
+      };
+    }
+
+    return {
+      providerName,
+      modelId,
+      apiSchema,
+      endpoint,
+      firstStatus: firstResponse.status,
+      firstResponse: firstJson,
+      toolCalls: [],
+      toolResult: null,
+      finalStatus: firstResponse.status,
+      finalResponse: firstJson,
+      ...streamFields(first, first),
+    };
+  };
+
+  const runAnthropic = async () => {
+    const endpoint = `${provider.baseUrl.replace(/\/$/, '')}/v1/messages`;
+    const headers = {
+      'Content-Type': 'application/json',
+      'anthropic-version': '2023-06-01',
+    };
+    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
+    const firstBody = {
+      model: model.id,
+      messages: [
+        {
+          role: 'user',
+          content: [{ type: 'text', text: prompt, cache_control: { type: 'ephemeral' } }],
+        },
+      ],
+      max_tokens: maxTokens,
+      stream: streaming,
+      system: [{ type: 'text', text: systemPrompt, cache_control: { type: 'ephemeral' } }],
+    };
+    if (useTools) {
+      firstBody.tools = [{ name: sampleTool.name, description: sampleTool.description, input_schema: sampleTool.parameters }];
+      firstBody.tool_choice = { type: 'tool', name: sampleTool.name };
+    }
+    writeDebugLog('[testModelDirect] first request', {
+      providerName,
+      modelId,
+      endpoint,
+      headers: { ...headers, Authorization: headers.Authorization ? '********************************' : undefined },
+      body: firstBody,
+    });
+    const first = await send(endpoint, headers, firstBody);
+    const { response: firstResponse, json: firstJson } = first;
+    writeDebugLog('[testModelDirect] first response body', {
+      status: firstResponse.status,
+      body: firstJson,
+    });
+    if (!firstResponse.ok) {
+      writeDebugLog('[testModelDirect] first response error', {
+        status: firstResponse.status,
+        body: firstJson,
+      });
+    }
+    const toolUseBlocks = Array.isArray(firstJson?.content) ? firstJson.content.filter((block) => block && block.type === 'tool_use') : [];
+
+    if (toolUseBlocks.length > 0) {
+      const secondBody = {
+        model: model.id,
+        messages: [
+          {
+            role: 'user',
+            content: [{ type: 'text', text: prompt, cache_control: { type: 'ephemeral' } }],
+          },
+          { role: 'assistant', content: toolUseBlocks },
+          {
+            role: 'user',
+            content: toolUseBlocks.map((block) => ({ type: 'tool_result', tool_use_id: block.id, content: 'hi' })),
+          },
+        ],
+        max_tokens: maxTokens,
+        stream: streaming,
+        system: [{ type: 'text', text: systemPrompt, cache_control: { type: 'ephemeral' } }],
+        tools: [{ name: sampleTool.name, description: sampleTool.description, input_schema: sampleTool.parameters }],
+      };
+      const final = await send(endpoint, headers, secondBody);
+      const { response: secondResponse, json: secondJson } = final;
+      return {
+        providerName,
+        modelId,
+        apiSchema,
+        endpoint,
+        firstStatus: firstResponse.status,
+        firstResponse: firstJson,
+        toolCalls: toolUseBlocks,
+        toolResult: 'hi',
+        finalStatus: secondResponse.status,
+        finalResponse: secondJson,
+        ...streamFields(first, final),
+      };
+    }
+
+    return {
+      providerName,
+      modelId,
+      apiSchema,
+      endpoint,
+      firstStatus: firstResponse.status,
+      firstResponse: firstJson,
+      toolCalls: [],
+      toolResult: null,
+      finalStatus: firstResponse.status,
+      finalResponse: firstJson,
+      ...streamFields(first, first),
+    };
+  };
+
+  return apiSchema === 'openai-completions' ? runOpenAI() : runAnthropic();
+}
+
+module.exports = {
+  DEBUG_LOG_PATH,
+  writeDebugLog,
+  testModelDirect,
+};
@@ -2,6 +2,11 @@ const fs = require('fs-extra');
 const os = require('os');
 const path = require('path');
 
+const { CONFIG_PATHS } = require('./core/constants');
+const { backupConfigFile, writeConfigFile } = require('./core/config-file');
+const { formatConfigText, parseConfigText } = require('./core/config-text');
+const { assertValidForSave, reportConfigIssues } = require('./core/config-schema');
+
 const DEFAULT_CONFIG_PATH = path.join(os.homedir(), '.openclaw', 'openclaw.json');
 
 function resolveConfigPath(input) {
@@ -9,18 +14,90 @@ function resolveConfigPath(input) {
   return value ? value : DEFAULT_CONFIG_PATH;
 }
 
+function expandHome(input) {
+  return input.replace(/^~(?=$|[\\/])/, os.homedir());
+}
+
+/**
+ * Known config locations in lookup order (openclaw, then legacy clawdbot/moltbot)
+ * @returns {Array} { name, path, exists }
+ */
+function discoverConfigPaths() {
+  return Object.entries(CONFIG_PATHS).map(([key, value]) => {
+    const configPath = expandHome(value);
+    return { name: key.toLowerCase(), path: configPath, exists: fs.existsSync(configPath) };
+  });
+}
+
+/**
+ * Decide which config file is active: --config, then OPENCLAW_CONFIG_PATH, then the
+ * first existing known location, then the default openclaw path
+ * @param {Object} options - { flagPath, envPath }
+ * @returns {Object} { path, source } where source is flag|env|openclaw|clawdbot|moltbot|default
+ */
+function resolveActiveConfig(options = {}) {
+  const flagPath = typeof options.flagPath === 'string' ? options.flagPath.trim() : '';
+  if (flagPath) return { path: path.resolve(expandHome(flagPath)), source: 'flag' };
+  const envPath = typeof options.envPath === 'string' ? options.envPath.trim() : '';
+  if (envPath) return { path: expandHome(envPath), source: 'env' };
+  const found = discoverConfigPaths().find((candidate) => candidate.exists);
+  if (found) return { path: found.path, source: found.name };
+  return { path: DEFAULT_CONFIG_PATH, source: 'default' };
+}
+
+/**
+ * Human-readable description of where the active config came from
+ * @param {string} source - Source from resolveActiveConfig
+ * @returns {string} Label
+ */
+function describeConfigSource(source) {
+  const labels = {
+    flag: '--config',
+    env: 'OPENCLAW_CONFIG_PATH',
+    openclaw: 'auto-detected',
+    clawdbot: 'legacy clawdbot, auto-detected',
+    moltbot: 'legacy moltbot, auto-detected',
+    default: 'default',
+    picked: 'selected',
+  };
+  return labels[source] || source;
+}
+
 function loadConfig(configPath = DEFAULT_CONFIG_PATH) {
   if (!fs.existsSync(configPath)) {
     return {};
   }
 
   const content = fs.readFileSync(configPath, 'utf8');
-  return JSON.parse(content);
+  const config = parseConfigText(content);
+  reportConfigIssues(configPath, config);
+  return config;
 }
 
-function saveConfig(configPath, config) {
-  fs.ensureDirSync(path.dirname(configPath));
-  fs.writeFileSync(configPath, `${JSON.stringify(config, null, 2)}\n`, 'utf8');
+/**
+ * Serialize a config the way it is written to disk: as a minimal patch of the previous
+ * text when there is one (comments and formatting survive), else pretty-printed JSON
+ * @param {Object} config - Config
+ * @param {string|null} [previousText] - Current file content
+ * @returns {string} File content
+ */
+function formatConfig(config, previousText = null) {
+  return formatConfigText(config, previousText);
+}
+
+/**
+ * Write the config atomically under the shared lock, keeping rotating backups. Saves
+ * that would add schema problems are refused.
+ * @param {string} configPath - Config file path
+ * @param {Object} config - Config to write
+ * @param {Object} [options] - { expectedHash } passed to writeConfigFile
+ * @returns {string|null} Backup path of the previous content, if one was made
+ */
+function saveConfig(configPath, config, options = {}) {
+  return writeConfigFile(configPath, (current) => {
+    assertValidForSave(configPath, config, current);
+    return formatConfig(config, current);
+  }, options);
 }
 
 function ensureConfigShape(config) {
@@ -56,6 +133,54 @@ function removeProvider(config, providerName) {
   }
 }
 
+function assertNewProviderName(providers, name) {
+  if (!name) throw new Error('Provider name is required');
+  if (name.includes('/')) throw new Error(`Provider name "${name}" must not contain "/"`);
+  if (providers[name]) throw new Error(`Provider "${name}" already exists`);
+}
+
+/**
+ * Rename a provider and rewrite every reference to it
+ * @param {Object} config - Config (modified in place)
+ * @param {string} oldName - Current provider name
+ * @param {string} newName - New provider name
+ */
+function renameProvider(config, oldName, newName) {
+  const providers = config.models?.providers || {};
+  if (!providers[oldName]) throw new Error(`Provider "${oldName}" not found`);
+  if (newName === oldName) return;
+  assertNewProviderName(providers, newName);
+  providers[newName] = providers[oldName];
+  delete providers[oldName];
+  renameProviderReferences(config, oldName, newName);
+}
+
+/**
+ * Copy a provider under a new name: api, auth, headers, apiKey and all its models
+ * @param {Object} config - Config (modified in place)
+ * @param {string} sourceName - Provider to copy
+ * @param {string} newName - Name of the copy
+ * @param {Object} [options] - { stripKey, addToDefaults } — leave the apiKey out; add the copied models to agents.defaults.models
+ * @returns {Array} Refs of the copied models
+ */
+function cloneProvider(config, sourceName, newName, options = {}) {
+  const providers = config.models?.providers || {};
+  if (!providers[sourceName]) throw new Error(`Provider "${sourceName}" not found`);
+  assertNewProviderName(providers, newName);
+  const clone = structuredClone(providers[sourceName]);
+  if (options.stripKey) delete clone.apiKey;
+  providers[newName] = clone;
+
+  const refs = (Array.isArray(clone.models) ? clone.models : []).filter((model) => model?.id).map((model) => `${newName}/${model.id}`);
+  if (options.addToDefaults && refs.length > 0) {
+    config.agents ??= {};
+    config.agents.defaults ??= {};
+    config.agents.defaults.models ??= {};
+    for (const ref of refs) config.agents.defaults.models[ref] ??= {};
+  }
+  return refs;
+}
+
 function modelEntries(provider) {
   return (provider?.models || []).map((model, index) => ({ model, index })).sort((left, right) => {
     return String(left.model?.id || '').localeCompare(String(right.model?.id || ''));
@@ -107,38 +232,184 @@ function setDefaultModelChoice(config, kind, modelId) {
   }
 }
 
+function agentList(config) {
+  return Array.isArray(config.agents?.list) ? config.agents.list : [];
+}
+
+/**
+ * Rewrite every reference through a mapping in agents.defaults and agents.list
+ * @param {Object} config - Config (modified in place)
+ * @param {Function} rename - (ref) => replacement ref (return ref itself to keep it)
+ */
+function renameReferencesWith(config, rename) {
+  const map = (item) => (typeof item === 'string' ? rename(item) : item);
+
+  const defaults = config.agents?.defaults;
+  if (defaults?.models) {
+    for (const key of Object.keys(defaults.models)) {
+      const next = map(key);
+      if (next === key) continue;
+      // Keep the per-model params that were stored under the old ref
+      const params = defaults.models[key];
+      delete defaults.models[key];
+      defaults.models[next] = params && typeof params === 'object' ? params : {};
+    }
+  }
+  if (defaults?.model?.primary) {
+    defaults.model.primary = map(defaults.model.primary);
+  }
+  if (Array.isArray(defaults?.model?.fallbacks)) {
+    defaults.model.fallbacks = defaults.model.fallbacks.map(map);
+  } else if (typeof defaults?.model?.fallbacks === 'string') {
+    defaults.model.fallbacks = map(defaults.model.fallbacks);
+  }
+
+  for (const agent of agentList(config)) {
+    if (typeof agent?.model === 'string') {
+      agent.model = map(agent.model);
+    } else if (agent?.model && typeof agent.model === 'object') {
+      if (agent.model.primary) agent.model.primary = map(agent.model.primary);
+      if (Array.isArray(agent.model.fallbacks)) agent.model.fallbacks = agent.model.fallbacks.map(map);
+    }
+  }
+}
+
+/**
+ * Rewrite every reference to a model: agents.defaults.models, primary, fallbacks and
+ * the model of each agent in agents.list
+ * @param {Object} config - Config (modified in place)
+ * @param {string} oldId - Reference to replace (provider/model-id)
+ * @param {string} newId - Replacement reference
+ */
 function renameModelReferences(config, oldId, newId) {
   if (!oldId || !newId || oldId === newId) return;
+  renameReferencesWith(config, (ref) => (ref === oldId ? newId : ref));
+}
 
-  const defaults = config.agents?.defaults;
-  if (!defaults) return;
+/**
+ * Rewrite every provider/… reference of a provider (see renameModelReferences for where
+ * they live), plus the provider of each auth profile and its auth.order entry
+ * @param {Object} config - Config (modified in place)
+ * @param {string} oldName - Current provider name
+ * @param {string} newName - New provider name
+ */
+function renameProviderReferences(config, oldName, newName) {
+  if (!oldName || !newName || oldName === newName) return;
+  const prefix = `${oldName}/`;
+  renameReferencesWith(config, (ref) => (ref.startsWith(prefix) ? `${newName}/${ref.slice(prefix.length)}` : ref));
 
-  if (defaults.models && Object.prototype.hasOwnProperty.call(defaults.models, oldId)) {
-    delete defaults.models[oldId];
-    defaults.models[newId] = {};
+  // auth.profiles is keyed by profile id ("provider:label"); the ids are left as they are
+  const profiles = config.auth?.profiles;
+  for (const profile of Object.values(profiles && typeof profiles === 'object' ? profiles : {})) {
+    if (profile?.provider === oldName) profile.provider = newName;
   }
-  if (defaults.model?.primary === oldId) {
-    defaults.model.primary = newId;
+  const order = config.auth?.order;
+  if (order && typeof order === 'object' && Object.prototype.hasOwnProperty.call(order, oldName)) {
+    order[newName] = order[oldName];
+    delete order[oldName];
   }
-  if (Array.isArray(defaults.model?.fallbacks)) {
-    defaults.model.fallbacks = defaults.model.fallbacks.map((item) => (item === oldId ? newId : item));
+}
+
+/**
+ * Copy models to another provider, or move them there and rewrite every reference to
+ * them (see renameModelReferences). Models are copied whole: costs, limits, input types
+ * and reasoning come along.
+ * @param {Object} config - Config (modified in place)
+ * @param {string} fromProvider - Source provider name
+ * @param {Array} modelIds - Ids of the models to take
+ * @param {string} toProvider - Target provider name
+ * @param {Object} [options] - { move } — also remove them from the source provider
+ * @returns {Array} Refs of the models in the target provider
+ */
+function transferModels(config, fromProvider, modelIds, toProvider, options = {}) {
+  const source = config.models?.providers?.[fromProvider];
+  const target = config.models?.providers?.[toProvider];
+  if (!source) throw new Error(`Provider "${fromProvider}" not found`);
+  if (!target) throw new Error(`Provider "${toProvider}" not found`);
+  if (fromProvider === toProvider) throw new Error(`Models are already in provider "${toProvider}"`);
+  const ids = [...new Set(modelIds)];
+  if (ids.length === 0) throw new Error('No models selected');
+
+  const sourceModels = Array.isArray(source.models) ? source.models : [];
+  const targetModels = Array.isArray(target.models) ? target.models : [];
+  const missing = ids.filter((id) => !sourceModels.some((model) => model.id === id));
+  if (missing.length > 0) throw new Error(`Not in provider "${fromProvider}": ${missing.join(', ')}`);
+  const taken = ids.filter((id) => targetModels.some((model) => model.id === id));
+  if (taken.length > 0) throw new Error(`Provider "${toProvider}" already has: ${taken.join(', ')}`);
+
+  target.models = [...targetModels, ...ids.map((id) => structuredClone(sourceModels.find((model) => model.id === id)))];
+  if (options.move) {
+    source.models = sourceModels.filter((model) => !ids.includes(model.id));
+    for (const id of ids) renameModelReferences(config, `${fromProvider}/${id}`, `${toProvider}/${id}`);
   }
+  return ids.map((id) => `${toProvider}/${id}`);
 }
 
-function removeModelReferences(config, modelId) {
-  if (!modelId) return;
+/**
+ * Drop every reference matching a predicate from agents.defaults and agents.list
+ * @param {Object} config - Config (modified in place)
+ * @param {Function} matches - (ref) => boolean
+ */
+function removeReferencesWhere(config, matches) {
+  const isMatch = (item) => typeof item === 'string' && matches(item);
 
   const defaults = config.agents?.defaults;
-  if (!defaults) return;
-
-  if (defaults.models && Object.prototype.hasOwnProperty.call(defaults.models, modelId)) {
-    delete defaults.models[modelId];
+  if (defaults?.models) {
+    for (const key of Object.keys(defaults.models)) {
+      if (isMatch(key)) delete defaults.models[key];
+    }
   }
-  if (defaults.model?.primary === modelId) {
+  if (isMatch(defaults?.model?.primary)) {
     delete defaults.model.primary;
   }
-  if (Array.isArray(defaults.model?.fallbacks)) {
-    defaults.model.fallbacks = defaults.model.fallbacks.filter((item) => item !== modelId);
+  if (Array.isArray(defaults?.model?.fallbacks)) {
+    defaults.model.fallbacks = defaults.model.fallbacks.filter((item) => !isMatch(item));
+  } else if (isMatch(defaults?.model?.fallbacks)) {
+    delete defaults.model.fallbacks;
+  }
+
+  for (const agent of agentList(config)) {
+    if (isMatch(agent?.model)) {
+      delete agent.model;
+    } else if (agent?.model && typeof agent.model === 'object') {
+      if (isMatch(agent.model.primary)) delete agent.model.primary;
+      if (Array.isArray(agent.model.fallbacks)) agent.model.fallbacks = agent.model.fallbacks.filter((item) => !isMatch(item));
+    }
+  }
+}
+
+/**
+ * Drop every reference to a model (see renameModelReferences for where they live)
+ * @param {Object} config - Config (modified in place)
+ * @param {string} modelId - Reference to remove (provider/model-id)
+ */
+function removeModelReferences(config, modelId) {
+  if (!modelId) return;
+  removeReferencesWhere(config, (ref) => ref === modelId);
+}
+
+/**
+ * Drop every reference to any model of a provider
+ * @param {Object} config - Config (modified in place)
+ * @param {string} providerName - Provider name
+ */
+function removeProviderReferences(config, providerName) {
+  if (!providerName) return;
+  const prefix = `${providerName}/`;
+  removeReferencesWhere(config, (ref) => ref.startsWith(prefix));
+}
+
+function pruneDefaultsToModels(config) {
+  const active = new Set(getDefaultModelIds(config));
+  const model = config.agents?.defaults?.model;
+  if (!model) return;
+  if (typeof model.primary === 'string' && !active.has(model.primary)) {
+    delete model.primary;
+  }
+  if (Array.isArray(model.fallbacks)) {
+    model.fallbacks = model.fallbacks.filter((id) => active.has(id));
+  } else if (typeof model.fallbacks === 'string' && !active.has(model.fallbacks)) {
+    delete model.fallbacks;
   }
 }
 
@@ -179,20 +450,31 @@ function qualifyModelIds(config, ids) {
 module.exports = {
   DEFAULT_CONFIG_PATH,
   resolveConfigPath,
+  discoverConfigPaths,
+  resolveActiveConfig,
+  describeConfigSource,
   loadConfig,
+  formatConfig,
   saveConfig,
+  backupConfigFile,
   ensureConfigShape,
   providerEntries,
   getProvider,
   setProvider,
   removeProvider,
+  renameProvider,
+  cloneProvider,
   modelEntries,
   getAvailableModelIds,
   setDefaultModels,
   getDefaultModelIds,
   setDefaultModelChoice,
   renameModelReferences,
+  renameProviderReferences,
+  transferModels,
   removeModelReferences,
+  removeProviderReferences,
+  pruneDefaultsToModels,
   qualifyModelId,
   qualifyModelIds,
 };
@@ -0,0 +1,185 @@
+const fs = require('fs-extra');
+const path = require('path');
+
+const { API_TYPES } = require('./core/constants');
+const { discoverConfigPaths, ensureConfigShape, formatConfig, loadConfig } = require('./openclaw-config');
+const { unifiedDiff } = require('./text-diff');
+const { hashConfigText } = require('./core/config-file');
+const { parseConfigText } = require('./core/config-text');
+
+// Older clawdbot builds accepted short api names
+const LEGACY_API_ALIASES = {
+  openai: API_TYPES.OPENAI_COMPLETIONS,
+  'openai-chat': API_TYPES.OPENAI_COMPLETIONS,
+  'openai-completion': API_TYPES.OPENAI_COMPLETIONS,
+  anthropic: API_TYPES.ANTHROPIC_MESSAGES,
+  'anthropic-message': API_TYPES.ANTHROPIC_MESSAGES,
+};
+
+const MIGRATED_KEYS = ['models', 'providers', 'agents', 'agent', 'gateway'];
+
+function listValue(value) {
+  if (Array.isArray(value)) return value.filter(Boolean);
+  if (typeof value === 'string' && value) return [value];
+  return [];
+}
+
+function normalizeApi(api) {
+  return LEGACY_API_ALIASES[api] || api;
+}
+
+function normalizeModel(model) {
+  if (typeof model === 'string') return model ? { id: model, name: model } : null;
+  if (!model || typeof model !== 'object' || !model.id) return null;
+  const next = { ...model };
+  if (next.api) next.api = normalizeApi(next.api);
+  return next;
+}
+
+function normalizeProvider(provider) {
+  // Rename baseURL in place so the key order of the provider is preserved
+  const next = Object.fromEntries(Object.entries(provider)
+    .filter(([key]) => !(key === 'baseURL' && provider.baseUrl))
+    .map(([key, value]) => [key === 'baseURL' ? 'baseUrl' : key, value]));
+  if (next.api) next.api = normalizeApi(next.api);
+  next.models = (Array.isArray(provider.models) ? provider.models : []).map(normalizeModel).filter(Boolean);
+  return next;
+}
+
+/**
+ * Read agent defaults from either the current agents.defaults shape or the
+ * older single "agent" block
+ * @param {Object} legacy - Legacy config
+ * @returns {Object} { models, primary, fallbacks, extra }
+ */
+function legacyAgentDefaults(legacy) {
+  const defaults = legacy.agents?.defaults || legacy.agent || {};
+  const { models, model, fallbacks, ...extra } = defaults;
+  const modelObject = model && typeof model === 'object' ? model : {};
+  const modelMap = Array.isArray(models)
+    ? Object.fromEntries(models.filter(Boolean).map((id) => [id, {}]))
+    : models && typeof models === 'object' ? models : {};
+  return {
+    models: modelMap,
+    primary: typeof model === 'string' ? model : modelObject.primary || null,
+    fallbacks: listValue(modelObject.fallbacks ?? fallbacks),
+    extra,
+  };
+}
+
+/**
+ * Map a clawdbot/moltbot config onto an openclaw config. Existing entries in the
+ * target win; legacy entries only fill what is missing.
+ * @param {Object} legacy - Parsed legacy config
+ * @param {Object} [target] - Current openclaw config (not modified)
+ * @returns {Object} { config, notes }
+ */
+function migrateLegacyConfig(legacy, target = {}) {
+  const config = ensureConfigShape(structuredClone(target || {}));
+  const notes = [];
+  const source = legacy && typeof legacy === 'object' ? legacy : {};
+
+  const providers = source.models?.providers || source.providers || {};
+  for (const [providerName, provider] of Object.entries(providers)) {
+    if (!provider || typeof provider !== 'object') continue;
+    const incoming = normalizeProvider(provider);
+    const existing = config.models.providers[providerName];
+    if (!existing) {
+      config.models.providers[providerName] = incoming;
+      notes.push(`provider "${providerName}": added with ${incoming.models.length} model${incoming.models.length === 1 ? '' : 's'}`);
+      continue;
+    }
+    existing.models = Array.isArray(existing.models) ? existing.models : [];
+    const known = new Set(existing.models.map((model) => model?.id));
+    const added = incoming.models.filter((model) => !known.has(model.id));
+    existing.models.push(...added);
+    notes.push(`provider "${providerName}": already present, kept its settings${added.length ? ` and added ${added.length} model${added.length === 1 ? '' : 's'}` : ''}`);
+  }
+
+  const defaults = config.agents.defaults;
+  const legacyDefaults = legacyAgentDefaults(source);
+  for (const [ref, value] of Object.entries(legacyDefaults.models)) {
+    if (!(ref in defaults.models)) defaults.models[ref] = value && typeof value === 'object' ? value : {};
+  }
+  if (!defaults.model.primary && legacyDefaults.primary) {
+    defaults.model.primary = legacyDefaults.primary;
+    notes.push(`primary model: ${legacyDefaults.primary}`);
+  }
+  const fallbacks = listValue(defaults.model.fallbacks);
+  for (const ref of legacyDefaults.fallbacks) {
+    if (!fallbacks.includes(ref) && ref !== defaults.model.primary) fallbacks.push(ref);
+  }
+  defaults.model.fallbacks = fallbacks;
+  // A non-empty defaults.models is the allowlist; keep the migrated choices on it
+  if (Object.keys(defaults.models).length > 0) {
+    for (const ref of [defaults.model.primary, ...fallbacks]) {
+      if (ref && !(ref in defaults.models)) defaults.models[ref] = {};
+    }
+  }
+  for (const [key, value] of Object.entries(legacyDefaults.extra)) {
+    if (defaults[key] === undefined) defaults[key] = value;
+  }
+
+  const legacyAgents = Array.isArray(source.agents?.list) ? source.agents.list : [];
+  if (legacyAgents.length > 0) {
+    config.agents.list = Array.isArray(config.agents.list) ? config.agents.list : [];
+    const ids = new Set(config.agents.list.map((agent) => agent?.id));
+    const added = legacyAgents.filter((agent) => agent?.id && !ids.has(agent.id));
+    config.agents.list.push(...added.map((agent) => structuredClone(agent)));
+    if (added.length) notes.push(`agents: added ${added.map((agent) => agent.id).join(', ')}`);
+  }
+
+  if (source.gateway && typeof source.gateway === 'object') {
+    config.gateway = { ...structuredClone(source.gateway), ...(config.gateway || {}) };
+    notes.push('gateway: merged (existing values kept)');
+  }
+
+  const skipped = Object.keys(source).filter((key) => !MIGRATED_KEYS.includes(key));
+  if (skipped.length) notes.push(`not migrated: ${skipped.join(', ')}`);
+
+  return { config, notes };
+}
+
+/**
+ * Known legacy config files that exist on this machine
+ * @returns {Array} { name, path, exists }
+ */
+function findLegacyConfigs() {
+  return discoverConfigPaths().filter((candidate) => candidate.name !== 'openclaw' && candidate.exists);
+}
+
+/**
+ * Build everything needed to preview and apply a migration
+ * @param {string} sourcePath - Legacy config file
+ * @param {string} targetPath - openclaw.json to write
+ * @returns {Object} { config, notes, diff, before, after, hash } — hash: of the target as read
+ */
+function planMigration(sourcePath, targetPath) {
+  if (!fs.existsSync(sourcePath)) {
+    throw new Error(`Legacy config not found: ${sourcePath}`);
+  }
+  if (path.resolve(sourcePath) === path.resolve(targetPath)) {
+    throw new Error('Source and target config are the same file');
+  }
+  const targetText = fs.existsSync(targetPath) ? fs.readFileSync(targetPath, 'utf8') : null;
+  const before = targetText ?? '';
+  // Not loadConfig: the legacy file is not expected to match the openclaw schema, converting it is the point
+  const legacy = parseConfigText(fs.readFileSync(sourcePath, 'utf8'));
+  const { config, notes } = migrateLegacyConfig(legacy, loadConfig(targetPath));
+  const after = formatConfig(config, before || null);
+  return {
+    config,
+    notes,
+    before,
+    // Pass as expectedHash when writing, so the write matches the diff that was shown
+    hash: hashConfigText(targetText),
+    after,
+    diff: unifiedDiff(before, after, { fromLabel: before ? targetPath : '/dev/null', toLabel: targetPath }),
+  };
+}
+
+module.exports = {
+  findLegacyConfigs,
+  migrateLegacyConfig,
+  planMigration,
+};
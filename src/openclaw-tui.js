@@ -1,11 +1,21 @@
 const fs = require('fs');
-const { DEFAULT_CONFIG_PATH, ensureConfigShape, getAvailableModelIds, getDefaultModelIds, loadConfig, qualifyModelId, qualifyModelIds, removeModelReferences, removeProvider, renameModelReferences, saveConfig, setDefaultModelChoice, setDefaultModels, setProvider } = require('./openclaw-config');
-const { ApiTester } = require('./core');
-
-const DEBUG_LOG_PATH = '/tmp/clawd-models.log';
-function writeDebugLog(...parts) {
-  fs.appendFileSync(DEBUG_LOG_PATH, `${parts.map((part) => (typeof part === 'string' ? part : JSON.stringify(part, null, 2))).join(' ')}\n`);
-}
+const { DEFAULT_CONFIG_PATH, describeConfigSource, discoverConfigPaths, ensureConfigShape, formatConfig, getAvailableModelIds, getDefaultModelIds, pruneDefaultsToModels, qualifyModelId, qualifyModelIds, removeModelReferences, removeProvider, removeProviderReferences, renameModelReferences, renameProvider, cloneProvider, transferModels, saveConfig, setDefaultModelChoice, setDefaultModels, setProvider } = require('./openclaw-config');
+const { ApiTester, ModelCatalog, SecretStore } = require('./core');
+const { describeApiKey, looksLikeSecretRef, parseSecretRef } = require('./core/secret-ref');
+const { findLegacyConfigs, planMigration } = require('./openclaw-migrate');
+const { discoverModels } = require('./model-discovery');
+const { PROVIDER_PRESETS, providerFromPreset } = require('./provider-presets');
+const { unifiedDiff } = require('./text-diff');
+const { formatStreamMetrics } = require('./stream-test');
+const { testModelDirect } = require('./model-test');
+const { DEFAULT_CONCURRENCY, DEFAULT_MAX_TOKENS, DEFAULT_RUNS, benchmarkModels, latencyChange, loadBenchHistory, previousResult, saveBenchRun } = require('./model-bench');
+const { runToolConformance } = require('./tool-conformance');
+const { changedPaths, mergeConfigs } = require('./config-merge');
+const { EditHistory } = require('./edit-history');
+const ConfigRepository = require('./core/config-repository');
+const { hashConfigText, listBackups, restoreBackup } = require('./core/config-file');
+const { parseConfigText } = require('./core/config-text');
+const { setSchemaIssueReporter } = require('./core/config-schema');
 
 let piTuiPromise = null;
 async function loadPiTui() {
@@ -87,7 +97,8 @@ function availableModelList(config) {
 }
 function formatProviderSummary(provider) {
   const api = provider.api || '';
-  return [api, provider.baseUrl || 'no baseUrl'].filter(Boolean).join('  ');
+  const key = describeApiKey(provider.apiKey);
+  return [api, provider.baseUrl || 'no baseUrl', key.ref ? `key ${key.label}` : ''].filter(Boolean).join('  ');
 }
 function formatTokenCount(value) {
   if (value >= 1_000_000) return `${(value / 1_000_000).toFixed(value % 1_000_000 === 0 ? 0 : 1)}m`;
@@ -113,199 +124,19 @@ function createModelIdSet(config) {
   return ids;
 }
 
-async function testModelDirect(config, providerName, modelId, prompt = 'say hi') {
-  const provider = config.models?.providers?.[providerName];
-  if (!provider) throw new Error(`Provider "${providerName}" not found`);
-  const model = findModel(provider, modelId);
-  if (!model) throw new Error(`Model "${modelId}" not found in provider "${providerName}"`);
-  if (!provider.baseUrl) throw new Error(`Provider "${providerName}" has no baseUrl`);
-
-  const apiSchema = provider.api || 'anthropic-messages';
-  const apiKey = provider.apiKey || '';
-  const sampleTool = {
-    name: 'say_hi',
-    description: 'Return hi as a tool result',
-    parameters: { type: 'object', properties: {}, additionalProperties: false },
-  };
-
-  const runOpenAI = async () => {
-    const endpoint = `${provider.baseUrl.replace(/\/$/, '')}/chat/completions`;
-    const headers = { 'Content-Type': 'application/json' };
-    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
-    const firstBody = {
-      model: model.id,
-      messages: [{ role: 'user', content: prompt }],
-      max_tokens: model.maxTokens || 128,
-      stream: false,
-      tools: [{ type: 'function', function: sampleTool }],
-      tool_choice: { type: 'function', function: { name: 'say_hi' } },
-    };
-    writeDebugLog('[testModelDirect] first request', {
-      providerName,
-      modelId,
-      endpoint,
-      headers: { ...headers, Authorization: headers.Authorization ? '********************************' : undefined },
-      body: firstBody,
-    });
-    const firstResponse = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(firstBody) });
-    const firstJson = await firstResponse.json().catch(async () => ({ raw: await firstResponse.text() }));
-    writeDebugLog('[testModelDirect] first response body', {
-      status: firstResponse.status,
-      body: firstJson,
-    });
-    if (!firstResponse.ok) {
-      writeDebugLog('[testModelDirect] first response error', {
-        status: firstResponse.status,
-        body: firstJson,
-      });
-    }
-    const message = firstJson?.choices?.[0]?.message;
-    const toolCalls = message?.tool_calls || [];
-
-    if (toolCalls.length > 0) {
-      const secondBody = {
-        model: model.id,
-        messages: [
-          { role: 'user', content: prompt },
-          { role: 'assistant', content: message.content || null, tool_calls: toolCalls },
-          ...toolCalls.map((call) => ({ role: 'tool', tool_call_id: call.id, content: 'hi' })),
-        ],
-        max_tokens: model.maxTokens || 128,
-      };
-      const secondResponse = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(secondBody) });
-      const secondJson = await secondResponse.json().catch(async () => ({ raw: await secondResponse.text() }));
-      return {
-        providerName,
-        modelId,
-        apiSchema,
-        endpoint,
-        firstStatus: firstResponse.status,
-        firstResponse: firstJson,
-        toolCalls,
-        toolResult: 'hi',
-        finalStatus: secondResponse.status,
-        finalResponse: secondJson,
-      };
-    }
-
-    return {
-      providerName,
-      modelId,
-      apiSchema,
-      endpoint,
-      firstStatus: firstResponse.status,
-      firstResponse: firstJson,
-      toolCalls: [],
-      toolResult: null,
-      finalStatus: firstResponse.status,
-      finalResponse: firstJson,
-    };
-  };
-
-  const runAnthropic = async () => {
-    const endpoint = `${provider.baseUrl.replace(/\/$/, '')}/v1/messages`;
-    const headers = {
-      'Content-Type': 'application/json',
-      'anthropic-version': '2023-06-01',
-    };
-    if (apiKey) headers.Authorization = `Bearer ${apiKey}`;
-    const firstBody = {
-      model: model.id,
-      messages: [
-        {
-          role: 'user',
-          content: [{ type: 'text', text: prompt, cache_control: { type: 'ephemeral' } }],
-        },
-      ],
-      max_tokens: model.maxTokens || 128,
-      stream: false,
-      system: [{ type: 'text', text: 'You are a helpful assistant that uses tools when asked.', cache_control: { type: 'ephemeral' } }],
-      tools: [{ name: sampleTool.name, description: sampleTool.description, input_schema: sampleTool.parameters }],
-      tool_choice: { type: 'tool', name: sampleTool.name },
-    };
-    writeDebugLog('[testModelDirect] first request', {
-      providerName,
-      modelId,
-      endpoint,
-      headers: { ...headers, Authorization: headers.Authorization ? '********************************' : undefined },
-      body: firstBody,
-    });
-    const firstResponse = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(firstBody) });
-    const firstJson = await firstResponse.json().catch(async () => ({ raw: await firstResponse.text() }));
-    writeDebugLog('[testModelDirect] first response body', {
-      status: firstResponse.status,
-      body: firstJson,
-    });
-    if (!firstResponse.ok) {
-      writeDebugLog('[testModelDirect] first response error', {
-        status: firstResponse.status,
-        body: firstJson,
-      });
-    }
-    const toolUseBlocks = Array.isArray(firstJson?.content) ? firstJson.content.filter((block) => block && block.type === 'tool_use') : [];
-
-    if (toolUseBlocks.length > 0) {
-      const secondBody = {
-        model: model.id,
-        messages: [
-          {
-            role: 'user',
-            content: [{ type: 'text', text: prompt, cache_control: { type: 'ephemeral' } }],
-          },
-          { role: 'assistant', content: toolUseBlocks },
-          {
-            role: 'user',
-            content: toolUseBlocks.map((block) => ({ type: 'tool_result', tool_use_id: block.id, content: 'hi' })),
-          },
-        ],
-        max_tokens: model.maxTokens || 128,
-        stream: false,
-        system: [{ type: 'text', text: 'You are a helpful assistant that uses tools when asked.', cache_control: { type: 'ephemeral' } }],
-        tools: [{ name: sampleTool.name, description: sampleTool.description, input_schema: sampleTool.parameters }],
-      };
-      const secondResponse = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(secondBody) });
-      const secondJson = await secondResponse.json().catch(async () => ({ raw: await secondResponse.text() }));
-      return {
-        providerName,
-        modelId,
-        apiSchema,
-        endpoint,
-        firstStatus: firstResponse.status,
-        firstResponse: firstJson,
-        toolCalls: toolUseBlocks,
-        toolResult: 'hi',
-        finalStatus: secondResponse.status,
-        finalResponse: secondJson,
-      };
-    }
-
-    return {
-      providerName,
-      modelId,
-      apiSchema,
-      endpoint,
-      firstStatus: firstResponse.status,
-      firstResponse: firstJson,
-      toolCalls: [],
-      toolResult: null,
-      finalStatus: firstResponse.status,
-      finalResponse: firstJson,
-    };
-  };
-
-  return apiSchema === 'openai-completions' ? runOpenAI() : runAnthropic();
-}
-
 async function startOpenClawTUI(options = {}) {
-  const configPath = options.configPath || DEFAULT_CONFIG_PATH;
+  // Shared with the CLI when started from it: one place resolves, reads and writes the config
+  const repository = options.repository || new ConfigRepository(options.configPath || DEFAULT_CONFIG_PATH);
+  let configSource = options.configSource || (options.configPath ? 'flag' : 'default');
   const { ProcessTerminal, TUI, Input, SelectList, matchesKey, truncateToWidth, visibleWidth } = await loadPiTui();
 
   class PromptOverlay {
-    constructor(title, prompt, initialValue, onSubmit, onCancel) {
+    constructor(title, prompt, initialValue, onSubmit, onCancel, masked = false) {
       this.focused = false;
       this.input = new Input();
       this.title = title;
       this.prompt = prompt;
+      this.masked = masked;
       this.onSubmit = onSubmit;
       this.onCancel = onCancel;
       this.input.setValue(initialValue);
@@ -318,7 +149,7 @@ async function startOpenClawTUI(options = {}) {
       this.input.focused = this.focused;
       const innerWidth = Math.max(1, Math.min(width - 2, 76));
       const bodyWidth = Math.max(1, innerWidth - 2);
-      const inputLine = this.input.render(bodyWidth)[0] || '';
+      const inputLine = this.masked ? `> ${'•'.repeat(this.input.getValue().length)}` : this.input.render(bodyWidth)[0] || '';
       return frame(this.title, [clip(truncateToWidth, this.prompt, bodyWidth), clip(truncateToWidth, inputLine, bodyWidth), dim('Enter submit  Esc cancel')], innerWidth);
     }
   }
@@ -392,6 +223,47 @@ async function startOpenClawTUI(options = {}) {
     }
   }
 
+  class TextOverlay {
+    constructor(title, lines, footer, onKey, pageSize = 14) {
+      this.focused = false;
+      this.title = title;
+      this.lines = lines;
+      this.footer = footer;
+      this.onKey = onKey;
+      this.pageSize = pageSize;
+      this.offset = 0;
+    }
+    scroll(delta) {
+      const maxOffset = Math.max(0, this.lines.length - this.pageSize);
+      this.offset = Math.max(0, Math.min(maxOffset, this.offset + delta));
+    }
+    handleInput(data) {
+      if (this.onKey && this.onKey(data) === true) return;
+      if (matchesKey(data, 'down') || matchesKey(data, 'j')) this.scroll(1);
+      else if (matchesKey(data, 'up') || matchesKey(data, 'k')) this.scroll(-1);
+      else if (matchesKey(data, 'pageDown') || matchesKey(data, 'space')) this.scroll(this.pageSize);
+      else if (matchesKey(data, 'pageUp')) this.scroll(-this.pageSize);
+    }
+    invalidate() {}
+    render(width) {
+      const innerWidth = Math.max(1, Math.min(width - 2, 86));
+      const visible = this.lines.slice(this.offset, this.offset + this.pageSize);
+      const body = [...visible];
+      if (this.lines.length > this.pageSize) {
+        body.push(dim(`lines ${this.offset + 1}-${this.offset + visible.length} of ${this.lines.length}`));
+      }
+      return frame(this.title, [...body, '', this.footer], innerWidth);
+    }
+  }
+
+  function diffLineColor(line) {
+    if (line.startsWith('+++') || line.startsWith('---')) return bold(line);
+    if (line.startsWith('@@')) return dim(line);
+    if (line.startsWith('+')) return green(line);
+    if (line.startsWith('-')) return red(line);
+    return line;
+  }
+
   class AppView {
     constructor(app) {
       this.app = app;
@@ -424,12 +296,39 @@ async function startOpenClawTUI(options = {}) {
     selectCurrent() { return this.selections()[this.selectionIndex] || null; }
     invalidate() {}
     handleInput(data) {
-      if (matchesKey(data, 'ctrl+c') || matchesKey(data, 'q')) {
+      if (matchesKey(data, 'ctrl+c')) {
         this.app.stopAndExit();
         return;
       }
-      if (matchesKey(data, 'r')) { void this.app.refresh(); return; }
+      if (matchesKey(data, 'q')) {
+        const pending = this.app.pendingPaths.length;
+        if (pending === 0 || this.quitArmed) {
+          this.app.stopAndExit();
+          return;
+        }
+        this.quitArmed = true;
+        this.setMessage(`${pending} pending change${pending === 1 ? ' is' : 's are'} not written: ${kbdItem('W', 'to review')}, or q again to quit without them`);
+        this.app.requestRender();
+        return;
+      }
+      this.quitArmed = false;
+      // Back on the main list: pick up a change that arrived while an overlay was open
+      // (staged edits are merged with it when they are written instead)
+      if (this.app.externalChange && !this.app.hasPendingChanges()) void this.app.reloadExternalChange();
+      if (matchesKey(data, 'r')) {
+        if (this.app.requireNoPending('reloading')) return;
+        void this.app.refresh();
+        return;
+      }
+      if (matchesKey(data, 's')) { this.app.toggleStaged(); return; }
+      if (matchesKey(data, 'w')) { this.app.openPendingChanges(); return; }
       if (matchesKey(data, 'h')) { this.app.openHelp(); return; }
+      if (matchesKey(data, 'c')) { this.app.openConfigPicker(); return; }
+      if (matchesKey(data, 'l')) { this.app.openMigrate(); return; }
+      if (matchesKey(data, 'b')) { this.app.openRestore(); return; }
+      if (matchesKey(data, 'u')) { this.app.undo(); return; }
+      if (matchesKey(data, 'ctrl+r')) { this.app.redo(); return; }
+      if (matchesKey(data, 'o')) { this.app.openHistory(); return; }
       if (matchesKey(data, 'down') || matchesKey(data, 'j')) { this.bumpSelection(1); this.app.requestRender(); return; }
       if (matchesKey(data, 'up') || matchesKey(data, 'k')) { this.bumpSelection(-1); this.app.requestRender(); return; }
       if (matchesKey(data, 'p')) { this.app.openAddProviderPrompt(); return; }
@@ -452,6 +351,24 @@ async function startOpenClawTUI(options = {}) {
         return;
       }
       const selected = this.selectCurrent();
+      if (matchesKey(data, 'y')) {
+        if (selected && selected.kind === 'provider') { this.app.openCloneProvider(selected.providerName); return; }
+        this.setMessage('Select a provider to duplicate');
+        this.app.requestRender();
+        return;
+      }
+      if (matchesKey(data, 'x')) {
+        if (selected && (selected.kind === 'provider' || selected.kind === 'model')) { this.app.openTransferModels(selected.providerName, selected.modelId); return; }
+        this.setMessage('Select a provider or model first');
+        this.app.requestRender();
+        return;
+      }
+      if (matchesKey(data, 'f')) {
+        if (selected && (selected.kind === 'provider' || selected.kind === 'model')) { void this.app.openDiscoverModels(selected.providerName); return; }
+        this.setMessage('Select a provider first');
+        this.app.requestRender();
+        return;
+      }
       if (selected && (matchesKey(data, 'enter') || matchesKey(data, 'return') || matchesKey(data, 'e'))) {
         this.app.openEditor(selected);
         return;
@@ -459,13 +376,24 @@ async function startOpenClawTUI(options = {}) {
       if (selected && matchesKey(data, 't') && selected.kind === 'model') {
         this.app.runModelTest(selected.providerName, selected.modelId);
       }
+      if (matchesKey(data, 'n')) {
+        this.app.openBenchmark(selected);
+        return;
+      }
+      if (selected && matchesKey(data, 'g') && selected.kind === 'model') {
+        this.app.runModelTest(selected.providerName, selected.modelId, { stream: true });
+      }
+      if (selected && matchesKey(data, 'v') && selected.kind === 'model') {
+        void this.app.runToolConformance(selected.providerName, selected.modelId);
+      }
     }
     render(width) {
       const lines = [];
-      const pathLabel = configPath === DEFAULT_CONFIG_PATH ? `${configPath} (default)` : configPath;
+      const pathLabel = `${repository.configPath} (${describeConfigSource(configSource)})`;
       lines.push(bold('OpenClaw Models TUI') + dim(`  ${new Date().toLocaleTimeString()}`));
-      lines.push(dim(`Config: ${pathLabel}`));
-      lines.push('');
+      lines.push(dim(`Config: ${pathLabel}`) + (this.app.staged ? ` ${yellow('[staged]')}` : ''));
+      const pending = this.app.pendingPaths.length;
+      lines.push(pending ? yellow(`● ${pending} pending change${pending === 1 ? '' : 's'} not written yet`) + ' ' + kbdItem('W', 'to review, write or discard') : '');
       if (!this.config) {
         lines.push('Loading…');
         return lines.map((line) => clip(truncateToWidth, line, width));
@@ -505,10 +433,24 @@ async function startOpenClawTUI(options = {}) {
       lines.push('  ' + [
         kbdItem('P', 'add provider'),
         kbdItem('M', 'add model'),
+        kbdItem('F', 'fetch models'),
         kbdItem('T', 'test model'),
+        kbdItem('G', 'streaming test'),
+        kbdItem('N', 'benchmark'),
+        kbdItem('V', 'tool-calling suite'),
         kbdItem('D', 'delete'),
+        kbdItem('X', 'copy/move models'),
+        kbdItem('Y', 'duplicate provider'),
         kbdItem('A', 'agents.defaults'),
         kbdItem('R', 'reload'),
+        kbdItem('C', 'config file'),
+        kbdItem('L', 'migrate legacy'),
+        kbdItem('B', 'backups'),
+        kbdItem('U', 'undo'),
+        kbdItem('Ctrl+R', 'redo'),
+        kbdItem('O', 'history'),
+        kbdItem('S', 'staged mode'),
+        kbdItem('W', 'pending changes'),
         kbdItem('H', 'help'),
         kbdItem('q', 'quit'),
       ].join(' '));
@@ -541,13 +483,23 @@ async function startOpenClawTUI(options = {}) {
       this.tui = new TUI(this.terminal);
       this.view = new AppView(this);
       this.overlay = null;
-      this.refreshTimer = null;
       this.stopped = false;
-      this.config = ensureConfigShape(loadConfig(configPath));
+      this.onConfigChange = this.onConfigChange.bind(this);
+      repository.on('change', this.onConfigChange);
+      // stderr would tear the screen: show schema problems in the status line instead
+      setSchemaIssueReporter((issuePath, issues) => {
+        this.view.setMessage(`${issuePath} has ${issues.length} schema problem${issues.length === 1 ? '' : 's'}, e.g. ${issues[0].path}: ${issues[0].message} (see clawd-models doctor)`);
+        this.requestRender();
+      });
+      this.config = this.readConfigFromDisk();
       this.apiTester = new ApiTester({
         loadConfig: () => this.config,
       }, null, null);
       this.testStatuses = new Map();
+      this.history = new EditHistory();
+      // Staged mode: edits collect in this.config and are written together with W
+      this.staged = Boolean(options.staged);
+      this.pendingPaths = [];
     }
     testStatusKey(providerName, modelId) {
       return `${providerName}/${modelId}`;
@@ -578,13 +530,174 @@ async function startOpenClawTUI(options = {}) {
       this.terminal.write('\x1b[2J\x1b[H');
       this.tui.start();
       await this.refresh();
-      this.refreshTimer = setInterval(() => { void this.refresh(); }, 15000);
+      // Several known config files and none chosen explicitly: let the user pick
+      const autoDetected = configSource !== 'flag' && configSource !== 'env';
+      if (autoDetected && discoverConfigPaths().filter((candidate) => candidate.exists).length > 1) {
+        this.openConfigPicker();
+      }
       return () => this.stop();
     }
+    openConfigPicker() {
+      if (this.requireNoPending('switching config files')) return;
+      const candidates = discoverConfigPaths().filter((candidate) => candidate.exists || candidate.path === repository.configPath);
+      if (!candidates.some((candidate) => candidate.path === repository.configPath)) {
+        candidates.unshift({ name: describeConfigSource(configSource), path: repository.configPath, exists: fs.existsSync(repository.configPath) });
+      }
+      const items = candidates.map((candidate) => ({
+        value: candidate.path,
+        label: candidate.name,
+        description: `${candidate.path}${candidate.path === repository.configPath ? '  (active)' : ''}${candidate.exists ? '' : '  (missing)'}`,
+      }));
+      this.openSelect('Config file', `Pick the config file to edit; ${kbdItem('Enter', 'to use it')}`, items, async (value) => {
+        await this.switchConfig(value);
+      });
+    }
+    async switchConfig(nextPath) {
+      if (nextPath === repository.configPath) {
+        this.view.setMessage(`using ${repository.configPath}`);
+        this.requestRender();
+        return;
+      }
+      repository.setConfigPath(nextPath);
+      configSource = 'picked';
+      this.testStatuses.clear();
+      this.history.clear();
+      await this.refresh();
+      this.view.setMessage(`switched to ${repository.configPath}`);
+      this.requestRender();
+    }
+    openRestore() {
+      if (this.requireNoPending('restoring a backup')) return;
+      const backups = listBackups(repository.configPath);
+      if (backups.length === 0) {
+        this.view.setMessage(`no backups of ${repository.configPath} yet`);
+        this.requestRender();
+        return;
+      }
+      const items = backups.map((backup, index) => ({
+        value: backup.path,
+        label: `#${index + 1} ${new Date(backup.createdAt).toLocaleString()}`,
+        description: `${backup.size} bytes`,
+      }));
+      this.openSelect('Restore a backup', `Newest first; ${kbdItem('Enter', 'to preview')}`, items, async (backupPath) => {
+        const backup = backups.find((candidate) => candidate.path === backupPath);
+        const current = fs.existsSync(repository.configPath) ? fs.readFileSync(repository.configPath, 'utf8') : null;
+        const diff = unifiedDiff(current ?? '', fs.readFileSync(backupPath, 'utf8'), { fromLabel: 'current', toLabel: `backup ${backup.createdAt}` });
+        if (!diff) {
+          this.view.setMessage(`the config already matches the backup from ${backup.createdAt}`);
+          this.requestRender();
+          return;
+        }
+        const footer = `${kbdItem('Enter', 'restore')} ${kbdItem('↑↓/PgUp/PgDn', 'scroll')} ${kbdItem('Esc', 'cancel')}`;
+        this.openText(`Restore ${repository.configPath}`, diff.trimEnd().split('\n').map(diffLineColor), footer, async () => {
+          const previous = restoreBackup(repository.configPath, backupPath, { expectedHash: hashConfigText(current) });
+          this.testStatuses.clear();
+          await this.refresh();
+          this.view.setMessage(`restored backup from ${backup.createdAt}${previous ? ` (replaced content saved as ${previous})` : ''}`);
+          this.requestRender();
+        });
+      });
+    }
+    openMigrate() {
+      if (this.requireNoPending('migrating')) return;
+      const legacy = findLegacyConfigs();
+      if (legacy.length === 0) {
+        this.view.setMessage('no legacy clawdbot/moltbot config found');
+        this.requestRender();
+        return;
+      }
+      const items = legacy.map((candidate) => ({ value: candidate.path, label: candidate.name, description: candidate.path }));
+      this.openSelect('Migrate legacy config', `Pick the file to merge into openclaw.json; ${kbdItem('Enter', 'to preview')}`, items, async (value) => {
+        this.previewMigration(value);
+      });
+    }
+    previewMigration(sourcePath) {
+      // Editing a legacy file right now: migrate into the default openclaw.json instead of onto itself
+      const editingLegacy = findLegacyConfigs().some((candidate) => candidate.path === repository.configPath);
+      const targetPath = editingLegacy ? DEFAULT_CONFIG_PATH : repository.configPath;
+      const plan = planMigration(sourcePath, targetPath);
+      if (!plan.diff) {
+        this.view.setMessage(`nothing to migrate: ${targetPath} already has everything from ${sourcePath}`);
+        this.requestRender();
+        return;
+      }
+      const lines = [
+        ...plan.notes.map((note) => dim(`- ${note}`)),
+        '',
+        ...plan.diff.trimEnd().split('\n').map(diffLineColor),
+      ];
+      const footer = `${kbdItem('Enter', 'write')} ${kbdItem('↑↓/PgUp/PgDn', 'scroll')} ${kbdItem('Esc', 'cancel')}`;
+      this.openText(`Migrate into ${targetPath}`, lines, footer, async () => {
+        const backupPath = saveConfig(targetPath, plan.config, { expectedHash: plan.hash });
+        if (targetPath !== repository.configPath) {
+          repository.setConfigPath(targetPath);
+          configSource = 'picked';
+          this.testStatuses.clear();
+          this.history.clear();
+        }
+        await this.refresh();
+        this.view.setMessage(`migrated ${sourcePath} into ${targetPath}${backupPath ? ` (backup: ${backupPath})` : ''}`);
+        this.requestRender();
+      });
+    }
+    previewMetadataRefresh(providerName, modelId) {
+      const target = modelId ? `${providerName}/${modelId}` : providerName;
+      const { config: refreshed, changes } = new ModelCatalog().refresh(this.config, { providerName, modelId });
+      if (changes.length === 0) {
+        this.view.setMessage(`${target} already agrees with the model catalog`);
+        this.requestRender();
+        return;
+      }
+      const current = formatConfig(this.config, repository.baseText);
+      const diff = unifiedDiff(current, formatConfig(refreshed, current), { fromLabel: 'current', toLabel: 'catalog' });
+      const lines = [
+        ...changes.map((change) => dim(`- ${change.ref}: ${change.fields.join(', ')} (${change.source} catalog: ${change.pattern})`)),
+        '',
+        ...diff.trimEnd().split('\n').map(diffLineColor),
+      ];
+      const footer = `${kbdItem('Enter', 'write')} ${kbdItem('↑↓/PgUp/PgDn', 'scroll')} ${kbdItem('Esc', 'cancel')}`;
+      this.openText(`Refresh metadata of ${target}`, lines, footer, async () => {
+        this.config = refreshed;
+        this.view.setConfig(this.config);
+        await this.saveAndRefresh(`refreshed metadata of ${changes.length} model${changes.length === 1 ? '' : 's'}`);
+      });
+    }
     requestRender() { this.tui.requestRender(); }
-    async refresh() {
+    readConfigFromDisk() {
+      // The repository keeps what the file looked like when loaded: its hash guards saves, its text is the merge base
+      const config = ensureConfigShape(repository.load());
+      this.externalChange = false;
+      this.pendingPaths = [];
+      return config;
+    }
+    onConfigChange(event) {
+      if (this.stopped || event.source !== 'external') return;
+      if (this.hasPendingChanges()) {
+        this.externalChange = true;
+        this.view.setMessage(`${repository.configPath} changed on disk; it is merged with the pending changes when you write them`);
+        this.requestRender();
+        return;
+      }
+      if (this.overlay) {
+        // Open editors hold objects of this.config: reload after they close, or merge when they save
+        this.externalChange = true;
+        this.view.setMessage(`${repository.configPath} changed on disk; it is reloaded when you return to the list, or merged with your next save`);
+        this.requestRender();
+        return;
+      }
+      void this.reloadExternalChange();
+    }
+    async reloadExternalChange() {
+      this.externalChange = false;
+      await this.refresh();
+      this.view.setMessage(`reloaded ${repository.configPath}: it was changed by another program`);
+      this.requestRender();
+    }
+    async refresh(options = {}) {
       try {
-        this.config = ensureConfigShape(loadConfig(configPath));
+        // Staged edits exist only in this.config: keep them unless told to drop them
+        if (!this.hasPendingChanges() || options.discard) this.config = this.readConfigFromDisk();
+        if (!this.stopped) repository.watch();
         this.view.setConfig(this.config);
         this.tui.requestRender();
       } catch (error) {
@@ -624,14 +737,52 @@ async function startOpenClawTUI(options = {}) {
       });
     }
     openAddProviderPrompt() {
-      this.openPrompt('Add provider', 'Enter provider name', '', async (value) => {
-        const name = value.trim();
-        if (!name) return;
-        ensureProvider(this.config, name);
-        await this.saveAndRefresh(`added provider ${name}`);
-        this.view.focusSelection((selection) => selection.kind === 'provider' && selection.providerName === name);
+      const items = [
+        { value: '', label: 'custom', description: 'blank provider, fill in api/baseUrl yourself' },
+        ...PROVIDER_PRESETS.map((preset) => ({
+          value: preset.id,
+          label: preset.label,
+          description: `${preset.baseUrl}  ${preset.models.length} models`,
+        })),
+      ];
+      this.openSelect('Add provider', `Pick a preset; ${kbdItem('Enter', 'to continue')}`, items, (presetId) => {
+        const preset = PROVIDER_PRESETS.find((candidate) => candidate.id === presetId) || null;
+        this.openPrompt('Add provider', 'Enter provider name', preset ? preset.id : '', async (value) => {
+          const name = value.trim();
+          if (!name) return;
+          if (!preset) {
+            ensureProvider(this.config, name);
+            await this.saveAndRefresh(`added provider ${name}`);
+            this.view.focusSelection((selection) => selection.kind === 'provider' && selection.providerName === name);
+            return;
+          }
+          if (this.config.models.providers[name]) throw new Error(`provider "${name}" already exists`);
+          const { provider, apiKeySource } = providerFromPreset(preset);
+          setProvider(this.config, name, provider);
+          await this.saveAndRefresh(`added provider ${name} from preset ${preset.label} with ${provider.models.length} models${apiKeySource === 'env' ? ` (apiKey: ${provider.apiKey})` : ''}`);
+          this.view.focusSelection((selection) => selection.kind === 'provider' && selection.providerName === name);
+          if (apiKeySource || !preset.apiKeyEnv || preset.optionalKey) return;
+          // No key in the environment: ask for it right away
+          this.openPrompt(`apiKey for ${name}`, `Enter apiKey, or keep the reference and export ${preset.apiKeyEnv} later`, `\${env:${preset.apiKeyEnv}}`, async (key) => {
+            if (!key.trim()) return;
+            await this.storeApiKey(name, key.trim(), async (apiKey) => {
+              ensureProvider(this.config, name).apiKey = apiKey;
+              await this.saveAndRefresh(`updated apiKey for ${name}`);
+            });
+          });
+        });
       });
     }
+    // Once a secret store exists, plaintext keys go into it and the config keeps a ${secret:name} handle
+    async storeApiKey(providerName, apiKey, onStored) {
+      const store = SecretStore.shared();
+      if (!apiKey || looksLikeSecretRef(apiKey) || !store.exists()) return onStored(apiKey);
+      if (store.unlockFromEnvironment()) return onStored(store.set(providerName, apiKey));
+      this.openPrompt('Unlock secret store', `Passphrase for ${store.storePath}`, '', async (passphrase) => {
+        store.unlock(passphrase);
+        await onStored(store.set(providerName, apiKey));
+      }, { masked: true });
+    }
     async deleteSelection(selection) {
       if (!selection) return;
       if (selection.kind === 'provider') {
@@ -664,21 +815,89 @@ async function startOpenClawTUI(options = {}) {
     }
     removeProviderAndCleanup(providerName) {
       removeProvider(this.config, providerName);
-      const defaults = this.config.agents?.defaults;
-      if (!defaults) return;
-      const prefix = `${providerName}/`;
-      if (defaults.models) {
-        for (const key of Object.keys(defaults.models)) {
-          if (key.startsWith(prefix)) delete defaults.models[key];
-        }
-      }
-      if (typeof defaults.model?.primary === 'string' && defaults.model.primary.startsWith(prefix)) {
-        delete defaults.model.primary;
+      removeProviderReferences(this.config, providerName);
+    }
+    openTransferModels(providerName, modelId = null) {
+      const models = providerModels(this.config.models?.providers?.[providerName]);
+      const targets = providerNames(this.config).filter((name) => name !== providerName);
+      if (models.length === 0 || targets.length === 0) {
+        this.view.setMessage(models.length === 0 ? `${providerName} has no models to copy or move` : 'Add another provider to copy or move models to');
+        this.requestRender();
+        return;
       }
-      if (Array.isArray(defaults.model?.fallbacks)) {
-        defaults.model.fallbacks = defaults.model.fallbacks.filter((id) => !id.startsWith(prefix));
-      } else if (typeof defaults.model?.fallbacks === 'string' && defaults.model.fallbacks.startsWith(prefix)) {
-        delete defaults.model.fallbacks;
+      const selected = new Set(modelId ? [modelId] : []);
+      const mark = (id) => (selected.has(id) ? '[x]' : '[ ]');
+      const items = models.map((model) => ({ value: model.id, label: model.id, description: `${mark(model.id)} ${formatModelSummary(model)}` }));
+      this.openSelect(`Copy or move models from ${providerName}`, `${kbdItem('Space', 'to toggle,')} ${kbdItem('Enter', 'to pick the target provider')}`, items, (value) => {
+        // Enter without toggling anything takes the highlighted model
+        const ids = models.map((model) => model.id).filter((id) => selected.has(id));
+        const modelIds = ids.length > 0 ? ids : [value];
+        const targetItems = targets.map((name) => {
+          const taken = modelIds.filter((id) => providerModels(this.config.models.providers[name]).some((model) => model.id === id));
+          return { value: name, label: name, description: taken.length ? `already has ${taken.join(', ')}` : formatProviderSummary(this.config.models.providers[name]) };
+        });
+        const count = `${modelIds.length} model${modelIds.length === 1 ? '' : 's'}`;
+        this.openSelect(`Copy or move ${count} to`, `${kbdItem('Enter', 'to choose the provider')}`, targetItems, (target) => {
+          this.openSelect(`${count} from ${providerName} to ${target}`, modelIds.join(', '), [
+            { value: 'copy', label: 'copy', description: `keep them in ${providerName} too` },
+            { value: 'move', label: 'move', description: `remove them from ${providerName}; agents.defaults and agents.list refs follow` },
+          ], async (action) => {
+            const move = action === 'move';
+            transferModels(this.config, providerName, modelIds, target, { move });
+            if (move) {
+              for (const id of modelIds) this.clearModelTestStatus(providerName, id);
+            }
+            await this.saveAndRefresh(`${move ? 'moved' : 'copied'} ${count} from ${providerName} to ${target}`);
+          });
+        });
+      }, (data, selectedItem) => {
+        if (!selectedItem || !matchesKey(data, 'space')) return false;
+        const id = String(selectedItem.value);
+        if (selected.has(id)) selected.delete(id);
+        else selected.add(id);
+        selectedItem.description = `${mark(id)} ${formatModelSummary(models.find((model) => model.id === id))}`;
+        this.requestRender();
+        return true;
+      });
+    }
+    openCloneProvider(providerName) {
+      this.openPrompt(`Duplicate provider ${providerName}`, 'Enter the name of the copy', `${providerName}-copy`, async (value) => {
+        const newName = value.trim();
+        if (!newName) return;
+        const provider = this.config.models.providers[providerName];
+        if (this.config.models.providers[newName]) throw new Error(`provider "${newName}" already exists`);
+        const modelCount = providerModels(provider).length;
+        const options = { stripKey: false, addToDefaults: false };
+        const describe = (key) => {
+          if (key === 'stripKey') return options.stripKey ? '[x] leave the apiKey out' : `[ ] leave the apiKey out (copy: ${describeApiKey(provider.apiKey).label})`;
+          return `${options.addToDefaults ? '[x]' : '[ ]'} add its ${modelCount} model${modelCount === 1 ? '' : 's'} to agents.defaults.models`;
+        };
+        const items = [
+          { value: 'stripKey', label: 'strip key', description: describe('stripKey') },
+          { value: 'addToDefaults', label: 'defaults', description: describe('addToDefaults') },
+        ];
+        this.openSelect(`Duplicate ${providerName} as ${newName}`, `api, auth, headers and all models are copied; ${kbdItem('Space', 'to toggle,')} ${kbdItem('Enter', 'to duplicate')}`, items, async () => {
+          const refs = cloneProvider(this.config, providerName, newName, options);
+          await this.saveAndRefresh(`duplicated ${providerName} as ${newName} with ${refs.length} model${refs.length === 1 ? '' : 's'}${options.stripKey ? ', without its apiKey' : ''}`);
+          this.view.focusSelection((selection) => selection.kind === 'provider' && selection.providerName === newName);
+        }, (data, selectedItem) => {
+          if (!selectedItem || !matchesKey(data, 'space')) return false;
+          const key = String(selectedItem.value);
+          options[key] = !options[key];
+          selectedItem.description = describe(key);
+          this.requestRender();
+          return true;
+        });
+      });
+    }
+    renameProviderAndCleanup(providerName, newName) {
+      renameProvider(this.config, providerName, newName);
+      // Test results follow the models to their new refs
+      const prefix = `${providerName}/`;
+      for (const [key, status] of [...this.testStatuses]) {
+        if (!key.startsWith(prefix)) continue;
+        this.testStatuses.delete(key);
+        this.testStatuses.set(`${newName}/${key.slice(prefix.length)}`, status);
       }
     }
     removeModelAndCleanup(providerName, modelId) {
@@ -688,17 +907,7 @@ async function startOpenClawTUI(options = {}) {
       removeModelReferences(this.config, `${providerName}/${modelId}`);
     }
     pruneDefaultsToModels() {
-      const active = new Set(getDefaultModelIds(this.config));
-      const model = this.config.agents?.defaults?.model;
-      if (!model) return;
-      if (typeof model.primary === 'string' && !active.has(model.primary)) {
-        delete model.primary;
-      }
-      if (Array.isArray(model.fallbacks)) {
-        model.fallbacks = model.fallbacks.filter((id) => active.has(id));
-      } else if (typeof model.fallbacks === 'string' && !active.has(model.fallbacks)) {
-        delete model.fallbacks;
-      }
+      pruneDefaultsToModels(this.config);
     }
     openAddModelPrompt(providerName) {
       const provider = ensureProvider(this.config, providerName);
@@ -706,28 +915,105 @@ async function startOpenClawTUI(options = {}) {
         const id = value.trim();
         if (!id) return;
         const name = id.replace(/\s+/g, '').replace(/^./, (c) => c.toUpperCase());
-        provider.models.push({ id, name, api: 'openai-completions', reasoning: false, input: ['text'], cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 } });
-        await this.saveAndRefresh(`added model ${id}`);
+        const catalog = new ModelCatalog();
+        const match = catalog.lookup(id);
+        provider.models.push(catalog.apply({ id, name, api: 'openai-completions', reasoning: false, input: ['text'], cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0 } }, match?.metadata));
+        await this.saveAndRefresh(`added model ${id}${match ? ` (metadata from ${match.source} catalog: ${match.pattern})` : ''}`);
         this.view.focusSelection((selection) => selection.kind === 'model' && selection.providerName === providerName && selection.modelId === id);
       });
     }
+    async openDiscoverModels(providerName) {
+      this.view.setMessage(`fetching model list from ${providerName}...`);
+      this.requestRender();
+      let result;
+      try {
+        result = await discoverModels(this.config, providerName);
+      } catch (error) {
+        this.view.setMessage(error.message);
+        this.requestRender();
+        return;
+      }
+      if (result.models.length === 0) {
+        this.view.setMessage(`${providerName}: all ${result.total} listed models are already configured`);
+        this.requestRender();
+        return;
+      }
+      const selected = new Set();
+      const describe = (model) => {
+        const parts = [selected.has(model.id) ? '[x]' : '[ ]'];
+        if (model.contextWindow) parts.push(`ctx ${formatTokenCount(model.contextWindow)}`);
+        if (model.maxTokens) parts.push(`max ${formatTokenCount(model.maxTokens)}`);
+        if (model.cost.input || model.cost.output) parts.push(`$${model.cost.input}/$${model.cost.output}`);
+        if (model.reasoning) parts.push('reasoning');
+        return parts.join('  ');
+      };
+      const byId = new Map(result.models.map((model) => [model.id, model]));
+      const items = result.models.map((model) => ({ value: model.id, label: model.id, description: describe(model) }));
+      this.openSelect(
+        `Import models into ${providerName} (${result.models.length} new of ${result.total})`,
+        `${kbdItem('Space', 'to toggle,')} ${kbdItem('A', 'to toggle all,')} ${kbdItem('Enter', 'to import')}`,
+        items,
+        async (highlighted) => {
+          // Nothing ticked: Enter imports the highlighted model
+          const ids = selected.size > 0 ? result.models.map((model) => model.id).filter((id) => selected.has(id)) : [highlighted];
+          const provider = ensureProvider(this.config, providerName);
+          const known = new Set(providerModels(provider).map((model) => model.id));
+          const added = ids.filter((id) => !known.has(id)).map((id) => byId.get(id));
+          provider.models.push(...added);
+          await this.saveAndRefresh(`imported ${added.length} model${added.length === 1 ? '' : 's'} into ${providerName}`);
+          if (added.length > 0) {
+            this.view.focusSelection((selection) => selection.kind === 'model' && selection.providerName === providerName && selection.modelId === added[0].id);
+          }
+        },
+        (data, selectedItem) => {
+          if (matchesKey(data, 'a')) {
+            const selectAll = selected.size < items.length;
+            for (const item of items) {
+              if (selectAll) selected.add(item.value);
+              else selected.delete(item.value);
+              item.description = describe(byId.get(item.value));
+            }
+            this.requestRender();
+            return true;
+          }
+          if (!selectedItem || !matchesKey(data, 'space')) return false;
+          if (selected.has(selectedItem.value)) selected.delete(selectedItem.value);
+          else selected.add(selectedItem.value);
+          selectedItem.description = describe(byId.get(selectedItem.value));
+          this.requestRender();
+          return true;
+        }
+      );
+    }
     openProviderEditor(providerName) {
       const renderProviderEditor = () => {
         const provider = ensureProvider(this.config, providerName);
         const items = [
+          { value: 'name', label: 'name', description: `${providerName} (rename; references follow)` },
           { value: 'api', label: 'api', description: provider.api || 'anthropic-messages' },
           { value: 'baseUrl', label: 'baseUrl', description: provider.baseUrl || '(empty)' },
-          { value: 'apiKey', label: 'apiKey', description: provider.apiKey ? '(set)' : '(empty)' },
+          { value: 'apiKey', label: 'apiKey', description: describeApiKey(provider.apiKey).label },
+          { value: 'metadata', label: 'refresh metadata', description: 'Update all models from the model catalog' },
         ];
         this.openSelect(`Provider ${providerName}`, 'Choose a field', items, (field) => {
           const currentProvider = ensureProvider(this.config, providerName);
+          if (field === 'name') {
+            this.openPrompt(`Rename provider ${providerName}`, 'Enter the new provider name', providerName, async (value) => {
+              const newName = value.trim();
+              if (!newName || newName === providerName) return;
+              this.renameProviderAndCleanup(providerName, newName);
+              await this.saveAndRefresh(`renamed provider ${providerName} to ${newName}`);
+              this.view.focusSelection((selection) => selection.kind === 'provider' && selection.providerName === newName);
+            });
+            return;
+          }
           if (field === 'api') {
             this.openSelect('Select api', `Press ${kbdItem('Enter', 'to choose and save it for this provider')}`, [
               { value: 'anthropic-messages', label: 'anthropic-messages', description: 'Anthropic messages' },
               { value: 'openai-completions', label: 'openai-completions', description: 'OpenAI completions' },
             ], async (value) => {
               currentProvider.api = value;
-              saveConfig(configPath, this.config);
+              if (!this.writeConfig()) return;
               this.view.setMessage(`saved ${providerName} api = ${value}`);
               this.requestRender();
               setTimeout(renderProviderEditor, 0);
@@ -742,12 +1028,31 @@ async function startOpenClawTUI(options = {}) {
             return;
           }
           if (field === 'apiKey') {
-            this.openPrompt('Edit apiKey', 'Enter apiKey', currentProvider.apiKey || '', async (value) => {
-              currentProvider.apiKey = value.trim();
-              await this.saveAndRefresh(`updated ${providerName} apiKey`);
+            // Never pre-fill a plaintext key; references are safe to show and edit
+            const current = describeApiKey(currentProvider.apiKey);
+            const hint = current.kind === 'empty'
+              ? 'Enter apiKey, ${env:VAR}, ${file:path} or ${secret:name}'
+              : `apiKey, \${env:VAR} or \${file:path}; blank keeps, "-" clears${current.error ? ` (${current.error})` : ''}`;
+            this.openPrompt('Edit apiKey', hint, current.ref || '', async (value) => {
+              const next = value.trim();
+              if (!next) return;
+              if (looksLikeSecretRef(next) && !parseSecretRef(next)) {
+                this.view.setMessage(`invalid reference "${next}"; use \${env:VAR}, \${file:path} or \${secret:name}`);
+                this.requestRender();
+                return;
+              }
+              await this.storeApiKey(providerName, next === '-' ? '' : next, async (apiKey) => {
+                ensureProvider(this.config, providerName).apiKey = apiKey;
+                const saved = describeApiKey(apiKey);
+                await this.saveAndRefresh(`updated ${providerName} apiKey${saved.ref ? `: ${saved.resolves ? `${saved.ref} resolves` : saved.error}` : ''}`);
+              });
             });
             return;
           }
+          if (field === 'metadata') {
+            this.previewMetadataRefresh(providerName);
+            return;
+          }
         });
       };
       renderProviderEditor();
@@ -761,6 +1066,7 @@ async function startOpenClawTUI(options = {}) {
       function getModelItems() {
         return [
           { value: 'test', label: 'test model', description: 'Run sample prompt + tool call' },
+          { value: 'metadata', label: 'refresh metadata', description: 'Update limits, costs and input from the model catalog' },
           { value: 'id', label: 'id', description: model.id || '(empty)' },
           { value: 'name', label: 'name', description: model.name || '(empty)' },
           { value: 'api', label: 'api', description: model.api || 'openai-completions (default)' },
@@ -777,6 +1083,10 @@ async function startOpenClawTUI(options = {}) {
 
       function renderEditor() {
         app.openSelect(`Model ${providerName}/${model.id}`, `Choose a field  ${dim('Esc to close')}`, getModelItems(), (field) => {
+          if (field === 'metadata') {
+            app.previewMetadataRefresh(providerName, model.id);
+            return;
+          }
           if (field === 'id') {
             app.openPrompt('Edit model id', 'Enter model id', model.id || '', async (value) => {
               const nextId = value.trim();
@@ -789,8 +1099,7 @@ async function startOpenClawTUI(options = {}) {
                 model.name = nextId.replace(/\s+/g, '').replace(/^./, (c) => c.toUpperCase());
               }
               renameModelReferences(app.config, oldId, nextId);
-              saveConfig(configPath, app.config);
-              setTimeout(renderEditor, 0);
+              if (app.writeConfig()) setTimeout(renderEditor, 0);
             });
             return;
           }
@@ -798,8 +1107,7 @@ async function startOpenClawTUI(options = {}) {
             app.openPrompt('Edit model name', 'Enter display name (auto from id if empty)', model.name || '', async (value) => {
               const next = value.trim();
               model.name = next || model.id.replace(/\s+/g, '').replace(/^./, (c) => c.toUpperCase());
-              saveConfig(configPath, app.config);
-              setTimeout(renderEditor, 0);
+              if (app.writeConfig()) setTimeout(renderEditor, 0);
             });
             return;
           }
@@ -808,8 +1116,7 @@ async function startOpenClawTUI(options = {}) {
               const next = parseNumberOrBlank(value);
               if (next === undefined) delete model.contextWindow;
               else model.contextWindow = next;
-              saveConfig(configPath, app.config);
-              setTimeout(renderEditor, 0);
+              if (app.writeConfig()) setTimeout(renderEditor, 0);
             });
             return;
           }
@@ -818,8 +1125,7 @@ async function startOpenClawTUI(options = {}) {
               const next = parseNumberOrBlank(value);
               if (next === undefined) delete model.maxTokens;
               else model.maxTokens = next;
-              saveConfig(configPath, app.config);
-              setTimeout(renderEditor, 0);
+              if (app.writeConfig()) setTimeout(renderEditor, 0);
             });
             return;
           }
@@ -831,8 +1137,7 @@ async function startOpenClawTUI(options = {}) {
             ], async (value) => {
               if (value === 'unset') delete model.reasoning;
               else model.reasoning = value === 'true';
-              saveConfig(configPath, app.config);
-              setTimeout(renderEditor, 0);
+              if (app.writeConfig()) setTimeout(renderEditor, 0);
             });
             return;
           }
@@ -842,8 +1147,7 @@ async function startOpenClawTUI(options = {}) {
               { value: 'anthropic-messages', label: 'anthropic-messages', description: 'Anthropic messages API' },
             ], async (value) => {
               model.api = value;
-              saveConfig(configPath, app.config);
-              setTimeout(renderEditor, 0);
+              if (app.writeConfig()) setTimeout(renderEditor, 0);
             });
             return;
           }
@@ -859,8 +1163,7 @@ async function startOpenClawTUI(options = {}) {
             app.openSelect('Edit input', `${kbdItem('Space', 'to toggle')}  ${kbdItem('Enter', 'to save')}`, inputItems, async () => {
               if (selected.size === 0) selected.add('text');
               model.input = [...selected];
-              saveConfig(configPath, app.config);
-              setTimeout(renderEditor, 0);
+              if (app.writeConfig()) setTimeout(renderEditor, 0);
             }, async (data, selectedItem) => {
               if (!selectedItem) return false;
               if (matchesKey(data, 'space')) {
@@ -885,8 +1188,7 @@ async function startOpenClawTUI(options = {}) {
               model.cost ??= {};
               if (next === undefined) delete model.cost.input;
               else model.cost.input = next;
-              saveConfig(configPath, app.config);
-              setTimeout(renderEditor, 0);
+              if (app.writeConfig()) setTimeout(renderEditor, 0);
             });
             return;
           }
@@ -896,8 +1198,7 @@ async function startOpenClawTUI(options = {}) {
               model.cost ??= {};
               if (next === undefined) delete model.cost.output;
               else model.cost.output = next;
-              saveConfig(configPath, app.config);
-              setTimeout(renderEditor, 0);
+              if (app.writeConfig()) setTimeout(renderEditor, 0);
             });
             return;
           }
@@ -907,8 +1208,7 @@ async function startOpenClawTUI(options = {}) {
               model.cost ??= {};
               if (next === undefined) delete model.cost.cacheRead;
               else model.cost.cacheRead = next;
-              saveConfig(configPath, app.config);
-              setTimeout(renderEditor, 0);
+              if (app.writeConfig()) setTimeout(renderEditor, 0);
             });
             return;
           }
@@ -918,8 +1218,7 @@ async function startOpenClawTUI(options = {}) {
               model.cost ??= {};
               if (next === undefined) delete model.cost.cacheWrite;
               else model.cost.cacheWrite = next;
-              saveConfig(configPath, app.config);
-              setTimeout(renderEditor, 0);
+              if (app.writeConfig()) setTimeout(renderEditor, 0);
             });
             return;
           }
@@ -1092,7 +1391,30 @@ async function startOpenClawTUI(options = {}) {
       this.overlay = this.tui.showOverlay(overlay, { width: '70%', maxHeight: '45%', anchor: 'center' });
       this.overlay.focus();
     }
-    openPrompt(title, prompt, initialValue, onSubmit) {
+    openText(title, lines, footer, onConfirm, onKey) {
+      this.closeOverlay();
+      const overlay = new TextOverlay(title, lines, footer, (data) => {
+        if (onKey && onKey(data) === true) return true;
+        if (matchesKey(data, 'enter') || matchesKey(data, 'return')) {
+          this.closeOverlay();
+          void Promise.resolve(onConfirm()).catch(async (error) => {
+            this.view.setMessage(error.message);
+            await this.refresh();
+          });
+          return true;
+        }
+        if (matchesKey(data, 'escape') || matchesKey(data, 'q')) {
+          this.closeOverlay();
+          this.view.setMessage('cancelled');
+          this.requestRender();
+          return true;
+        }
+        return false;
+      });
+      this.overlay = this.tui.showOverlay(overlay, { width: '80%', maxHeight: '80%', anchor: 'center' });
+      this.overlay.focus();
+    }
+    openPrompt(title, prompt, initialValue, onSubmit, options = {}) {
       this.closeOverlay();
       const overlay = new PromptOverlay(title, prompt, initialValue, (value) => {
         void (async () => {
@@ -1108,11 +1430,11 @@ async function startOpenClawTUI(options = {}) {
         this.closeOverlay();
         this.view.setMessage('cancelled');
         this.requestRender();
-      });
+      }, options.masked);
       this.overlay = this.tui.showOverlay(overlay, { width: '60%', maxHeight: '40%', anchor: 'center' });
       this.overlay.focus();
     }
-    async runModelTest(providerName, modelId) {
+    async runModelTest(providerName, modelId, options = {}) {
       // Check if model has 'text' input type
       const provider = this.config.models?.providers?.[providerName];
       const model = provider?.models?.find((m) => m.id === modelId);
@@ -1123,10 +1445,10 @@ async function startOpenClawTUI(options = {}) {
       }
       const prompt = 'say hi';
       this.clearModelTestStatus(providerName, modelId);
-      this.view.setMessage(`testing ${providerName}/${modelId}...`);
+      this.view.setMessage(`testing ${providerName}/${modelId}${options.stream ? ' (streaming)' : ''}...`);
       this.requestRender();
       try {
-        const result = await testModelDirect(this.config, providerName, modelId, prompt);
+        const result = await testModelDirect(this.config, providerName, modelId, prompt, { stream: options.stream });
         const toolCount = Array.isArray(result.toolCalls) ? result.toolCalls.length : 0;
         const hasUsage = Boolean(result.finalResponse && typeof result.finalResponse === 'object' && result.finalResponse.usage);
         const colorStatus = (status) => (status === 200 ? green(String(status)) : String(status));
@@ -1150,25 +1472,326 @@ async function startOpenClawTUI(options = {}) {
         if (responseDetail.stop_reason !== undefined || responseDetail.finish_reason !== undefined) {
           details.push(`${green(JSON.stringify(responseDetail))}`);
         }
+        if (result.stream) {
+          const { first, final } = result.stream;
+          const color = (metrics) => (metrics.error ? yellow : green);
+          details.push(`stream: ${color(first)(formatStreamMetrics(first))}`);
+          if (final !== first) details.push(`after tool result: ${color(final)(formatStreamMetrics(final))}`);
+        }
         this.view.setMessage(details.join('\n'));
       } catch (error) {
         this.view.setMessage(error.message);
       }
       this.requestRender();
     }
+    async runToolConformance(providerName, modelId) {
+      const ref = `${providerName}/${modelId}`;
+      this.view.setMessage(`checking tool calling of ${ref}...`);
+      this.requestRender();
+      let report;
+      try {
+        report = await runToolConformance(this.config, providerName, modelId, {
+          onProgress: (scenario, done, total) => {
+            this.view.setMessage(`tool calling ${ref}: ${scenario.id} (${done + 1}/${total})`);
+            this.requestRender();
+          },
+        });
+      } catch (error) {
+        this.view.setMessage(error.message);
+        this.requestRender();
+        return;
+      }
+      const mark = { PASS: green('✓'), FAIL: red('✗'), ERROR: yellow('!'), SKIP: dim('-') };
+      const width = Math.max(...report.results.map((result) => result.id.length));
+      const lines = [dim(`${report.passed}/${report.total} passed; arguments checked against the tool schemas`), ''];
+      for (const result of report.results) {
+        lines.push(`${mark[result.result]} ${result.id.padEnd(width)}  ${result.title}${result.rounds > 1 ? dim(` (${result.rounds} rounds)`) : ''}`);
+        for (const problem of result.error ? [result.error] : result.problems) {
+          lines.push(`    ${(result.result === 'ERROR' ? yellow : red)(problem)}`);
+        }
+      }
+      this.view.setMessage(`tool calling ${ref}: ${report.passed}/${report.total} passed`);
+      this.openText(`Tool calling: ${ref}`, lines, `${kbdItem('Enter/Esc', 'close')}`, () => {});
+    }
+    openBenchmark(selection) {
+      if (this.benchmarkRunning) {
+        this.view.setMessage('a benchmark is already running');
+        this.requestRender();
+        return;
+      }
+      // The current model, every model of the current provider, or else primary and fallbacks
+      let models;
+      if (selection?.kind === 'model') {
+        models = [{ providerName: selection.providerName, modelId: selection.modelId }];
+      } else if (selection?.kind === 'provider') {
+        models = providerModels(this.config.models.providers[selection.providerName]).map((model) => ({ providerName: selection.providerName, modelId: model.id }));
+      } else {
+        models = [this.config.agents?.defaults?.model?.primary, ...fallbackList(this.config)].filter(Boolean).map((ref) => {
+          const [providerName, ...parts] = ref.split('/');
+          return { providerName, modelId: parts.join('/') };
+        });
+      }
+      models = models.filter(({ providerName, modelId }) => findModel(this.config.models.providers[providerName], modelId));
+      if (models.length === 0) {
+        this.view.setMessage('no models to benchmark here');
+        this.requestRender();
+        return;
+      }
+      const label = models.length === 1 ? `${models[0].providerName}/${models[0].modelId}` : `${models.length} models`;
+      this.openPrompt(`Benchmark ${label}`, 'Streamed requests per model', String(DEFAULT_RUNS), async (value) => {
+        const runs = Number(value.trim());
+        if (!Number.isInteger(runs) || runs < 1) throw new Error('runs must be a positive integer');
+        await this.runBenchmark(models, runs);
+      });
+    }
+    async runBenchmark(models, runs) {
+      this.benchmarkRunning = true;
+      try {
+        const history = loadBenchHistory();
+        const results = await benchmarkModels(this.config, models, {
+          runs,
+          onProgress: (model, done, total) => {
+            this.view.setMessage(`benchmarking ${model}: ${done}/${total}`);
+            this.requestRender();
+          },
+        });
+        const savedTo = saveBenchRun({ prompt: null, runs, concurrency: DEFAULT_CONCURRENCY, maxTokens: DEFAULT_MAX_TOKENS, results });
+        const ms = (value) => (value === null ? '-' : `${value}ms`);
+        const header = ['model', 'err', 'p50', 'p95', 'p99', 'ttft', 'tok/s', 'vs last'];
+        const rows = results.map((result) => [
+          result.model,
+          result.errors ? `${Math.round(result.errorRate * 100)}%` : '0',
+          ms(result.latencyMs.p50),
+          ms(result.latencyMs.p95),
+          ms(result.latencyMs.p99),
+          ms(result.ttftMs.p50),
+          String(result.tokensPerSecond.p50 ?? '-'),
+          latencyChange(result, previousResult(history, result.model)) || '-',
+        ]);
+        const widths = header.map((title, column) => Math.max(title.length, ...rows.map((row) => row[column].length)));
+        const line = (cells) => cells.map((cell, column) => cell.padEnd(widths[column])).join('  ');
+        const lines = [
+          dim(`${runs} streamed request${runs === 1 ? '' : 's'} per model; ttft and tok/s are medians`),
+          '',
+          bold(line(header)),
+          ...rows.map((row, index) => (results[index].errors ? yellow(line(row)) : line(row))),
+          ...results.filter((result) => result.error).map((result) => red(`${result.model}: ${result.error}`)),
+          '',
+          dim(`saved to ${savedTo}`),
+          dim('earlier runs: clawd-models bench --history'),
+        ];
+        this.view.setMessage(`benchmarked ${results.length} model${results.length === 1 ? '' : 's'}`);
+        this.openText('Benchmark', lines, `${kbdItem('Enter/Esc', 'close')}`, () => {});
+      } catch (error) {
+        this.view.setMessage(error.message);
+        this.requestRender();
+      } finally {
+        this.benchmarkRunning = false;
+      }
+    }
     markModelTestSuccess(providerName, modelId) {
       this.setModelTestStatus(providerName, modelId, 200);
     }
-    async saveAndRefresh(message) {
-      saveConfig(configPath, this.config);
-      this.view.setMessage(message);
+    async saveAndRefresh(message, options = {}) {
+      if (!this.writeConfig(message, options)) return;
+      this.view.setMessage(this.staged && !options.now ? `${message} (staged)` : message);
+      this.requestRender();
+    }
+    writeConfig(label = null, options = {}) {
+      if (this.staged && !options.now) {
+        this.updatePendingChanges();
+        return true;
+      }
+      const beforeText = repository.baseText;
+      // Refused (under the config lock) when the file no longer matches what was loaded
+      try {
+        repository.save(this.config, { expectedHash: repository.baseHash });
+      } catch (error) {
+        if (error.code !== 'ECONFLICT') throw error;
+        this.openConflict();
+        return false;
+      }
+      if (options.record !== false) this.history.record(label, beforeText, repository.baseText);
+      this.pendingPaths = [];
+      this.externalChange = false;
+      repository.watch();
+      return true;
+    }
+    hasPendingChanges() {
+      return this.pendingPaths.length > 0;
+    }
+    updatePendingChanges() {
+      const onDisk = ensureConfigShape(repository.baseText === null ? {} : parseConfigText(repository.baseText));
+      this.pendingPaths = changedPaths(onDisk, this.config);
+    }
+    requireNoPending(action) {
+      if (!this.hasPendingChanges()) return false;
+      const count = this.pendingPaths.length;
+      this.view.setMessage(`write or discard the ${count} pending change${count === 1 ? '' : 's'} (W) before ${action}`);
+      this.requestRender();
+      return true;
+    }
+    toggleStaged() {
+      if (this.staged && this.requireNoPending('leaving staged mode')) return;
+      this.staged = !this.staged;
+      this.view.setMessage(this.staged ? 'staged mode: edits stay in memory until you write them with W' : 'staged mode off: every edit is saved right away');
       this.requestRender();
     }
+    openPendingChanges() {
+      if (!this.hasPendingChanges()) {
+        this.view.setMessage(this.staged ? 'no pending changes' : `no pending changes; ${kbdItem('S', 'turns on staged mode')}`);
+        this.requestRender();
+        return;
+      }
+      const count = this.pendingPaths.length;
+      const diskText = repository.baseText;
+      const diff = unifiedDiff(diskText || '', formatConfig(this.config, diskText), { fromLabel: `${repository.configPath} (on disk)`, toLabel: 'pending' });
+      const lines = [
+        ...(this.externalChange ? [yellow('The file changed on disk since it was loaded; writing offers to merge the two.'), ''] : []),
+        ...this.pendingPaths.map((changed) => dim(`- ${changed}`)),
+        '',
+        ...diff.trimEnd().split('\n').map(diffLineColor),
+      ];
+      const footer = `${kbdItem('Enter', 'write all')} ${kbdItem('X', 'discard all')} ${kbdItem('↑↓/PgUp/PgDn', 'scroll')} ${kbdItem('Esc', 'keep editing')}`;
+      this.openText(`${count} pending change${count === 1 ? '' : 's'}`, lines, footer, async () => {
+        if (!this.writeConfig(`wrote ${count} staged change${count === 1 ? '' : 's'}`, { now: true })) return;
+        this.view.setMessage(`wrote ${count} pending change${count === 1 ? '' : 's'} to ${repository.configPath}`);
+        this.requestRender();
+      }, (data) => {
+        if (!matchesKey(data, 'x')) return false;
+        this.closeOverlay();
+        void this.refresh({ discard: true }).then(() => {
+          this.view.setMessage(`discarded ${count} pending change${count === 1 ? '' : 's'}`);
+          this.requestRender();
+        });
+        return true;
+      });
+    }
+    undo() {
+      this.applyHistoryStep('undo');
+    }
+    redo() {
+      this.applyHistoryStep('redo');
+    }
+    applyHistoryStep(direction) {
+      const undo = direction === 'undo';
+      // History holds written steps only; staged edits are dropped with X in the pending view
+      if (this.requireNoPending(undo ? 'undoing' : 'redoing')) return;
+      try {
+        // Only the fields of that step change: later edits, here or on disk, stay
+        const { step, config } = undo ? this.history.planUndo(this.config) : this.history.planRedo(this.config);
+        this.config = config;
+        this.view.setConfig(this.config);
+        if (!this.writeConfig(null, { record: false, now: true })) return;
+        if (undo) this.history.commitUndo();
+        else this.history.commitRedo();
+        this.view.setMessage(undo ? `undid: ${step.label} (Ctrl+R to redo)` : `redid: ${step.label}`);
+        this.requestRender();
+      } catch (error) {
+        this.view.setMessage(error.message);
+        void this.refresh();
+      }
+    }
+    openHistory() {
+      const steps = this.history.steps();
+      if (steps.length === 0) {
+        this.view.setMessage('no edits to undo yet in this session');
+        this.requestRender();
+        return;
+      }
+      const items = steps.map((step, index) => ({
+        value: String(index),
+        label: `${step.undone ? dim('undone') : green('done  ')} ${new Date(step.at).toLocaleTimeString()}`,
+        description: step.label,
+      }));
+      const subtitle = `Newest first; ${kbdItem('Enter', 'show diff')} ${kbdItem('U', 'undo')} ${kbdItem('Ctrl+R', 'redo')}`;
+      this.openSelect('Edit history', subtitle, items, (value) => {
+        const step = steps[Number(value)];
+        const diff = unifiedDiff(step.beforeText || '', step.afterText || '', { fromLabel: 'before', toLabel: 'after' });
+        const lines = [
+          dim(`${step.undone ? 'undone' : 'done'} at ${new Date(step.at).toLocaleString()}: ${step.label}`),
+          ...step.paths.map((changed) => dim(`- ${changed}`)),
+          '',
+          ...diff.trimEnd().split('\n').map(diffLineColor),
+        ];
+        const footer = `${kbdItem('Enter', 'back to history')} ${kbdItem('↑↓/PgUp/PgDn', 'scroll')} ${kbdItem('Esc', 'close')}`;
+        this.openText(step.label, lines, footer, () => this.openHistory());
+      }, (data) => {
+        if (!matchesKey(data, 'u') && !matchesKey(data, 'ctrl+r')) return false;
+        this.closeOverlay();
+        this.applyHistoryStep(matchesKey(data, 'u') ? 'undo' : 'redo');
+        // Stay in the list unless the step opened something else (a conflict picker)
+        if (!this.overlay) this.openHistory();
+        return true;
+      });
+    }
+    openConflict() {
+      const diskText = fs.existsSync(repository.configPath) ? fs.readFileSync(repository.configPath, 'utf8') : null;
+      let theirs = null;
+      try {
+        theirs = ensureConfigShape(diskText === null ? {} : parseConfigText(diskText));
+      } catch (error) {
+        // Not a valid config (yet): only overwriting or waiting makes sense
+      }
+      const base = ensureConfigShape(repository.baseText === null ? {} : parseConfigText(repository.baseText));
+      const ours = this.config;
+      this.externalChange = false;
+      // Resolving rebases onto the disk version, so a further change there is detected again
+      const resolve = async (config, message) => {
+        repository.setBaseText(diskText);
+        this.config = config;
+        this.view.setConfig(this.config);
+        await this.saveAndRefresh(message, { now: true });
+      };
+
+      const items = [];
+      let merged = null;
+      if (theirs) {
+        merged = mergeConfigs(base, ours, theirs);
+        const count = merged.conflicts.length;
+        items.push({ value: 'merge', label: 'merge', description: count ? `combine both; ${count} conflicting field${count === 1 ? '' : 's'} keep mine` : 'combine both, no conflicts' });
+        if (count) items.push({ value: 'merge-theirs', label: 'merge, disk wins', description: 'combine both; conflicting fields take the disk version' });
+        items.push({ value: 'diff', label: 'show diff', description: 'disk version → merged result' });
+        items.push({ value: 'reload', label: 'reload from disk', description: 'discard my unsaved change' });
+      }
+      items.push({ value: 'overwrite', label: 'overwrite', description: theirs ? 'write my version, dropping the change on disk' : 'the file is not valid JSON; replace it with my version' });
+
+      const subtitle = `${repository.configPath} was changed by another program since it was loaded`;
+      this.openSelect('Config changed on disk', subtitle, items, async (choice) => {
+        if (choice === 'merge') {
+          await resolve(merged.config, `merged the change on disk${merged.conflicts.length ? ` (kept mine for ${merged.conflicts.map((conflict) => conflict.path).join(', ')})` : ''}`);
+          return;
+        }
+        if (choice === 'merge-theirs') {
+          await resolve(mergeConfigs(base, ours, theirs, { prefer: 'theirs' }).config, 'merged the change on disk (conflicts took the disk version)');
+          return;
+        }
+        if (choice === 'reload') {
+          await this.refresh({ discard: true });
+          this.view.setMessage(`reloaded ${repository.configPath}; my unsaved change was discarded`);
+          this.requestRender();
+          return;
+        }
+        if (choice === 'overwrite') {
+          await resolve(ours, `overwrote ${repository.configPath} with my version`);
+          return;
+        }
+        const lines = [
+          ...merged.conflicts.map((conflict) => yellow(`! ${conflict.path}: mine ${JSON.stringify(conflict.ours)}, disk ${JSON.stringify(conflict.theirs)}`)),
+          ...(merged.conflicts.length ? [''] : []),
+          ...unifiedDiff(diskText || '', formatConfig(merged.config, diskText), { fromLabel: 'disk', toLabel: 'merged' }).trimEnd().split('\n').map(diffLineColor),
+        ];
+        const footer = `${kbdItem('Enter', 'write merged')} ${kbdItem('↑↓/PgUp/PgDn', 'scroll')} ${kbdItem('Esc', 'cancel')}`;
+        this.openText('Merge the change on disk', lines, footer, async () => {
+          await resolve(merged.config, 'merged the change on disk');
+        });
+      });
+    }
     stop() {
       if (this.stopped) return;
       this.stopped = true;
-      if (this.refreshTimer) clearInterval(this.refreshTimer);
-      this.refreshTimer = null;
+      repository.unwatch();
+      repository.off('change', this.onConfigChange);
       this.closeOverlay();
       this.tui.stop();
     }
@@ -1191,5 +1814,4 @@ async function startOpenClawTUI(options = {}) {
 
 module.exports = {
   startOpenClawTUI,
-  testModelDirect,
 };
@@ -0,0 +1,188 @@
+/**
+ * Offline catalog of common providers. Each preset pre-fills the provider fields and a
+ * short list of recommended models; anything else can be pulled in with model discovery.
+ */
+
+const { API_TYPES, AUTH_METHODS } = require('./core/constants');
+const ModelCatalog = require('./core/model-catalog');
+
+const PROVIDER_PRESETS = [
+  {
+    id: 'openai',
+    label: 'OpenAI',
+    baseUrl: 'https://api.openai.com/v1',
+    api: API_TYPES.OPENAI_COMPLETIONS,
+    auth: AUTH_METHODS.BEARER,
+    apiKeyEnv: 'OPENAI_API_KEY',
+    models: [
+      { id: 'gpt-5', name: 'GPT-5', contextWindow: 400000, maxTokens: 128000, input: ['text', 'image'], reasoning: true },
+      { id: 'gpt-5-mini', name: 'GPT-5 mini', contextWindow: 400000, maxTokens: 128000, input: ['text', 'image'], reasoning: true },
+      { id: 'gpt-4.1', name: 'GPT-4.1', contextWindow: 1047576, maxTokens: 32768, input: ['text', 'image'], reasoning: false },
+      { id: 'gpt-4o', name: 'GPT-4o', contextWindow: 128000, maxTokens: 16384, input: ['text', 'image'], reasoning: false },
+      { id: 'gpt-4o-mini', name: 'GPT-4o mini', contextWindow: 128000, maxTokens: 16384, input: ['text', 'image'], reasoning: false },
+    ],
+  },
+  {
+    id: 'anthropic',
+    label: 'Anthropic',
+    baseUrl: 'https://api.anthropic.com',
+    api: API_TYPES.ANTHROPIC_MESSAGES,
+    auth: AUTH_METHODS.API_KEY,
+    apiKeyEnv: 'ANTHROPIC_API_KEY',
+    models: [
+      { id: 'claude-sonnet-4-5', name: 'Claude Sonnet 4.5', contextWindow: 200000, maxTokens: 64000, input: ['text', 'image'], reasoning: true },
+      { id: 'claude-opus-4-1', name: 'Claude Opus 4.1', contextWindow: 200000, maxTokens: 32000, input: ['text', 'image'], reasoning: true },
+      { id: 'claude-haiku-4-5', name: 'Claude Haiku 4.5', contextWindow: 200000, maxTokens: 64000, input: ['text', 'image'], reasoning: true },
+    ],
+  },
+  {
+    id: 'openrouter',
+    label: 'OpenRouter',
+    baseUrl: 'https://openrouter.ai/api/v1',
+    api: API_TYPES.OPENAI_COMPLETIONS,
+    auth: AUTH_METHODS.BEARER,
+    apiKeyEnv: 'OPENROUTER_API_KEY',
+    models: [
+      { id: 'anthropic/claude-sonnet-4.5', name: 'Claude Sonnet 4.5', contextWindow: 200000, maxTokens: 64000, input: ['text', 'image'], reasoning: true },
+      { id: 'google/gemini-2.5-pro', name: 'Gemini 2.5 Pro', contextWindow: 1048576, maxTokens: 65536, input: ['text', 'image'], reasoning: true },
+      { id: 'openai/gpt-4o', name: 'GPT-4o', contextWindow: 128000, maxTokens: 16384, input: ['text', 'image'], reasoning: false },
+      { id: 'deepseek/deepseek-chat', name: 'DeepSeek V3', contextWindow: 163840, maxTokens: 8192, input: ['text'], reasoning: false },
+    ],
+  },
+  {
+    id: 'deepseek',
+    label: 'DeepSeek',
+    baseUrl: 'https://api.deepseek.com/v1',
+    api: API_TYPES.OPENAI_COMPLETIONS,
+    auth: AUTH_METHODS.BEARER,
+    apiKeyEnv: 'DEEPSEEK_API_KEY',
+    models: [
+      { id: 'deepseek-chat', name: 'DeepSeek Chat', contextWindow: 128000, maxTokens: 8192, input: ['text'], reasoning: false },
+      { id: 'deepseek-reasoner', name: 'DeepSeek Reasoner', contextWindow: 128000, maxTokens: 65536, input: ['text'], reasoning: true },
+    ],
+  },
+  {
+    id: 'qiniu',
+    label: 'Qiniu',
+    baseUrl: 'https://api.qnaigc.com/v1',
+    api: API_TYPES.OPENAI_COMPLETIONS,
+    auth: AUTH_METHODS.API_KEY,
+    apiKeyEnv: 'QINIU_API_KEY',
+    models: [
+      { id: 'xiaomi/mimo-v2-flash', name: 'Mi M2.1', contextWindow: 200000, maxTokens: 8192, input: ['text'], reasoning: false },
+      { id: 'minimax/minimax-m2.1', name: 'Qiniu Minimax M2.1', contextWindow: 200000, maxTokens: 8192, input: ['text'], reasoning: false },
+      { id: 'meituan/longcat-flash-lite', name: 'Qiniu Pony Alpha', contextWindow: 200000, maxTokens: 8192, input: ['text'], reasoning: false },
+    ],
+  },
+  {
+    id: 'moonshot',
+    label: 'Moonshot (Kimi)',
+    baseUrl: 'https://api.moonshot.ai/v1',
+    api: API_TYPES.OPENAI_COMPLETIONS,
+    auth: AUTH_METHODS.BEARER,
+    apiKeyEnv: 'MOONSHOT_API_KEY',
+    models: [
+      { id: 'kimi-k2-0905-preview', name: 'Kimi K2', contextWindow: 262144, maxTokens: 16384, input: ['text'], reasoning: false },
+      { id: 'kimi-k2-thinking', name: 'Kimi K2 Thinking', contextWindow: 262144, maxTokens: 16384, input: ['text'], reasoning: true },
+      { id: 'moonshot-v1-128k', name: 'Moonshot v1 128k', contextWindow: 131072, maxTokens: 8192, input: ['text'], reasoning: false },
+    ],
+  },
+  {
+    id: 'ollama',
+    label: 'Ollama (local)',
+    baseUrl: 'http://127.0.0.1:11434/v1',
+    api: API_TYPES.OPENAI_COMPLETIONS,
+    auth: AUTH_METHODS.API_KEY,
+    apiKeyEnv: null,
+    models: [
+      { id: 'llama3.1:8b', name: 'Llama 3.1 8B', contextWindow: 131072, maxTokens: 8192, input: ['text'], reasoning: false },
+      { id: 'qwen2.5-coder:7b', name: 'Qwen2.5 Coder 7B', contextWindow: 32768, maxTokens: 8192, input: ['text'], reasoning: false },
+    ],
+  },
+  {
+    id: 'vllm',
+    label: 'vLLM (local)',
+    baseUrl: 'http://127.0.0.1:8000/v1',
+    api: API_TYPES.OPENAI_COMPLETIONS,
+    auth: AUTH_METHODS.BEARER,
+    apiKeyEnv: 'VLLM_API_KEY',
+    optionalKey: true,
+    models: [
+      { id: 'Qwen/Qwen2.5-7B-Instruct', name: 'Qwen2.5 7B Instruct', contextWindow: 32768, maxTokens: 8192, input: ['text'], reasoning: false },
+    ],
+  },
+  {
+    id: 'lmstudio',
+    label: 'LM Studio (local)',
+    baseUrl: 'http://127.0.0.1:1234/v1',
+    api: API_TYPES.OPENAI_COMPLETIONS,
+    auth: AUTH_METHODS.API_KEY,
+    apiKeyEnv: null,
+    models: [
+      { id: 'qwen2.5-7b-instruct', name: 'Qwen2.5 7B Instruct', contextWindow: 32768, maxTokens: 8192, input: ['text'], reasoning: false },
+    ],
+  },
+];
+
+/**
+ * Look up a preset by id (case-insensitive)
+ * @param {string} id - Preset id
+ * @returns {Object} Preset
+ */
+function getPreset(id) {
+  const preset = PROVIDER_PRESETS.find((candidate) => candidate.id === String(id || '').toLowerCase());
+  if (!preset) {
+    throw new Error(`Unknown preset "${id}". Available: ${PROVIDER_PRESETS.map((candidate) => candidate.id).join(', ')}`);
+  }
+  return preset;
+}
+
+/**
+ * Full model configs for a preset's recommended models (costs come from the model catalog)
+ * @param {Object} preset - Preset
+ * @returns {Array} Model configs
+ */
+function presetModels(preset) {
+  const catalog = new ModelCatalog();
+  return preset.models.map((model) => {
+    const cost = catalog.lookup(model.id)?.metadata.cost;
+    return {
+      id: model.id,
+      name: model.name,
+      api: preset.api,
+      reasoning: model.reasoning,
+      input: [...model.input],
+      cost: { input: 0, output: 0, cacheRead: 0, cacheWrite: 0, ...cost },
+      contextWindow: model.contextWindow,
+      maxTokens: model.maxTokens,
+    };
+  });
+}
+
+/**
+ * Build a provider config from a preset. The API key is taken from options, then
+ * stored as a ${env:VAR} reference when the preset's environment variable is set.
+ * @param {Object} preset - Preset
+ * @param {Object} [options] - { apiKey, withModels } — withModels defaults to true
+ * @returns {Object} { provider, apiKeySource } where apiKeySource is option|env|null
+ */
+function providerFromPreset(preset, options = {}) {
+  const provider = { baseUrl: preset.baseUrl, api: preset.api, auth: preset.auth, models: [] };
+  let apiKeySource = null;
+  if (options.apiKey) {
+    provider.apiKey = options.apiKey;
+    apiKeySource = 'option';
+  } else if (preset.apiKeyEnv && process.env[preset.apiKeyEnv]) {
+    provider.apiKey = `\${env:${preset.apiKeyEnv}}`;
+    apiKeySource = 'env';
+  }
+  if (options.withModels !== false) provider.models = presetModels(preset);
+  return { provider, apiKeySource };
+}
+
+module.exports = {
+  PROVIDER_PRESETS,
+  getPreset,
+  presetModels,
+  providerFromPreset,
+};
@@ -0,0 +1,271 @@
+/**
+ * Streaming (SSE) model tests: read the event stream of an OpenAI chat completions or
+ * Anthropic messages request, put the streamed text and tool calls back together in the
+ * shape of a non-streamed response, and time it (time to first token, total latency,
+ * output tokens per second).
+ */
+
+// Rough size of a token, used only when the stream reports no usage
+const CHARS_PER_TOKEN = 4;
+
+function parseEvent(block) {
+  let event = 'message';
+  const data = [];
+  for (const line of block.split(/\r?\n/)) {
+    if (!line || line.startsWith(':')) continue;
+    const colon = line.indexOf(':');
+    const field = colon < 0 ? line : line.slice(0, colon);
+    const value = colon < 0 ? '' : line.slice(colon + 1).replace(/^ /, '');
+    if (field === 'event') event = value;
+    else if (field === 'data') data.push(value);
+  }
+  return data.length > 0 ? { event, data: data.join('\n') } : null;
+}
+
+/**
+ * Split a response body into server-sent events
+ * @param {ReadableStream} body - fetch response body
+ * @returns {AsyncGenerator} { event, data } per event, data lines joined with "\n"
+ */
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const chunk of body) {
+    buffer += decoder.decode(chunk, { stream: true });
+    let boundary;
+    while ((boundary = /\r?\n\r?\n/.exec(buffer))) {
+      const event = parseEvent(buffer.slice(0, boundary.index));
+      buffer = buffer.slice(boundary.index + boundary[0].length);
+      if (event) yield event;
+    }
+  }
+  const last = parseEvent(buffer + decoder.decode());
+  if (last) yield last;
+}
+
+function finishMetrics({ startedAt, firstTokenAt, outputTokens, generatedChars, chunks, errors }) {
+  const endedAt = Date.now();
+  const estimated = !Number.isFinite(outputTokens);
+  const tokens = estimated ? Math.ceil(generatedChars / CHARS_PER_TOKEN) : outputTokens;
+  const generationMs = firstTokenAt === null ? 0 : endedAt - firstTokenAt;
+  return {
+    streamed: true,
+    ttftMs: firstTokenAt === null ? null : firstTokenAt - startedAt,
+    totalMs: endedAt - startedAt,
+    outputTokens: tokens,
+    tokensEstimated: estimated,
+    // Generation speed after the first token, so the wait for it does not count twice
+    tokensPerSecond: generationMs > 0 && tokens > 0 ? Math.round((tokens / (generationMs / 1000)) * 10) / 10 : null,
+    chunks,
+    error: errors.length > 0 ? errors.join('; ') : null,
+  };
+}
+
+function checkArguments(name, text, errors) {
+  if (!text) return {};
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    errors.push(`tool call ${name || '(unnamed)'}: streamed arguments are not valid JSON`);
+    return null;
+  }
+}
+
+/**
+ * Read an OpenAI chat completions stream
+ * @param {Response} response - fetch response (text/event-stream)
+ * @param {number} startedAt - When the request was sent (ms)
+ * @returns {Promise<Object>} { body, metrics } — body is shaped like a non-streamed chat completion
+ */
+async function readOpenAIStream(response, startedAt) {
+  const toolCalls = [];
+  const errors = [];
+  let text = '';
+  let reasoning = '';
+  let finishReason = null;
+  let usage = null;
+  let id = null;
+  let model = null;
+  let firstTokenAt = null;
+  let chunks = 0;
+
+  for await (const { data } of readServerSentEvents(response.body)) {
+    if (data === '[DONE]') break;
+    let chunk;
+    try {
+      chunk = JSON.parse(data);
+    } catch (error) {
+      errors.push(`unparseable chunk: ${data.slice(0, 60)}`);
+      continue;
+    }
+    chunks += 1;
+    if (chunk.error) {
+      errors.push(chunk.error.message || JSON.stringify(chunk.error));
+      continue;
+    }
+    id ??= chunk.id || null;
+    model ??= chunk.model || null;
+    if (chunk.usage) usage = chunk.usage;
+    for (const choice of chunk.choices || []) {
+      const delta = choice.delta || {};
+      const thinking = delta.reasoning_content || delta.reasoning;
+      if (typeof thinking === 'string' && thinking) {
+        firstTokenAt ??= Date.now();
+        reasoning += thinking;
+      }
+      if (typeof delta.content === 'string' && delta.content) {
+        firstTokenAt ??= Date.now();
+        text += delta.content;
+      }
+      for (const call of delta.tool_calls || []) {
+        firstTokenAt ??= Date.now();
+        // Deltas carry an index; without one, a new id starts a new call
+        const index = Number.isInteger(call.index) ? call.index : Math.max(toolCalls.length - (call.id ? 0 : 1), 0);
+        toolCalls[index] ??= { id: null, type: 'function', function: { name: '', arguments: '' } };
+        const target = toolCalls[index];
+        if (call.id) target.id = call.id;
+        if (call.function?.name) target.function.name += call.function.name;
+        if (call.function?.arguments) target.function.arguments += call.function.arguments;
+      }
+      if (choice.finish_reason) finishReason = choice.finish_reason;
+    }
+  }
+
+  const calls = toolCalls.filter(Boolean);
+  for (const call of calls) checkArguments(call.function.name, call.function.arguments, errors);
+  const message = { role: 'assistant', content: text || null };
+  if (reasoning) message.reasoning_content = reasoning;
+  if (calls.length > 0) message.tool_calls = calls;
+  return {
+    body: { id, object: 'chat.completion', model, choices: [{ index: 0, message, finish_reason: finishReason }], usage },
+    metrics: finishMetrics({
+      startedAt,
+      firstTokenAt,
+      outputTokens: usage?.completion_tokens,
+      generatedChars: text.length + reasoning.length + calls.reduce((sum, call) => sum + call.function.arguments.length, 0),
+      chunks,
+      errors,
+    }),
+  };
+}
+
+/**
+ * Read an Anthropic messages stream
+ * @param {Response} response - fetch response (text/event-stream)
+ * @param {number} startedAt - When the request was sent (ms)
+ * @returns {Promise<Object>} { body, metrics } — body is shaped like a non-streamed message
+ */
+async function readAnthropicStream(response, startedAt) {
+  const blocks = [];
+  const partialJson = [];
+  const errors = [];
+  let message = {};
+  let stopReason = null;
+  let usage = {};
+  let firstTokenAt = null;
+  let chunks = 0;
+  let generatedChars = 0;
+
+  for await (const { data } of readServerSentEvents(response.body)) {
+    let event;
+    try {
+      event = JSON.parse(data);
+    } catch (error) {
+      errors.push(`unparseable event: ${data.slice(0, 60)}`);
+      continue;
+    }
+    chunks += 1;
+    if (event.type === 'error') {
+      errors.push(event.error?.message || JSON.stringify(event.error));
+    } else if (event.type === 'message_start') {
+      message = event.message || {};
+      usage = { ...(message.usage || {}) };
+    } else if (event.type === 'content_block_start') {
+      blocks[event.index] = { ...event.content_block };
+      partialJson[event.index] = '';
+    } else if (event.type === 'content_block_delta') {
+      const block = blocks[event.index] ??= { type: 'text', text: '' };
+      const delta = event.delta || {};
+      firstTokenAt ??= Date.now();
+      if (delta.type === 'text_delta') {
+        block.text = (block.text || '') + delta.text;
+        generatedChars += delta.text.length;
+      } else if (delta.type === 'thinking_delta') {
+        block.thinking = (block.thinking || '') + delta.thinking;
+        generatedChars += delta.thinking.length;
+      } else if (delta.type === 'input_json_delta') {
+        partialJson[event.index] = (partialJson[event.index] || '') + delta.partial_json;
+        generatedChars += delta.partial_json.length;
+      }
+    } else if (event.type === 'message_delta') {
+      if (event.delta?.stop_reason) stopReason = event.delta.stop_reason;
+      if (event.usage) usage = { ...usage, ...event.usage };
+    }
+  }
+
+  // Map before dropping gaps: partialJson is keyed by the stream's block index
+  const content = blocks.map((block, index) => {
+    if (block.type !== 'tool_use') return block;
+    const input = checkArguments(block.name, partialJson[index], errors);
+    return { ...block, input: input ?? partialJson[index] };
+  }).filter(Boolean);
+  return {
+    body: { id: message.id || null, type: 'message', role: 'assistant', model: message.model || null, content, stop_reason: stopReason, usage },
+    metrics: finishMetrics({ startedAt, firstTokenAt, outputTokens: usage.output_tokens, generatedChars, chunks, errors }),
+  };
+}
+
+/**
+ * Read the response to a request sent with stream: true. Errors and gateways that answer
+ * with plain JSON are read as JSON, and the metrics say the response was not streamed.
+ * @param {Response} response - fetch response
+ * @param {string} apiSchema - 'openai-completions' or 'anthropic-messages'
+ * @param {number} startedAt - When the request was sent (ms)
+ * @returns {Promise<Object>} { body, metrics }
+ */
+async function readStreamedResponse(response, apiSchema, startedAt) {
+  const contentType = response.headers.get('content-type') || '';
+  if (!response.ok || !contentType.includes('text/event-stream')) {
+    const text = await response.text();
+    let body;
+    try {
+      body = JSON.parse(text);
+    } catch (error) {
+      body = { raw: text };
+    }
+    return {
+      body,
+      metrics: {
+        streamed: false,
+        ttftMs: null,
+        totalMs: Date.now() - startedAt,
+        outputTokens: null,
+        tokensEstimated: false,
+        tokensPerSecond: null,
+        chunks: 0,
+        error: response.ok ? `expected text/event-stream, got ${contentType || 'no content type'}` : null,
+      },
+    };
+  }
+  return apiSchema === 'openai-completions' ? readOpenAIStream(response, startedAt) : readAnthropicStream(response, startedAt);
+}
+
+/**
+ * One-line summary of stream metrics
+ * @param {Object} metrics - Metrics from readStreamedResponse
+ * @returns {string} e.g. "TTFT 320ms, total 1.24s, 45.1 tok/s (38 tokens)"
+ */
+function formatStreamMetrics(metrics) {
+  if (!metrics) return '';
+  const ms = (value) => (value === null ? '-' : value < 1000 ? `${value}ms` : `${(value / 1000).toFixed(2)}s`);
+  if (!metrics.streamed) return `not streamed, total ${ms(metrics.totalMs)}${metrics.error ? ` (${metrics.error})` : ''}`;
+  const tokens = metrics.outputTokens === null ? '' : ` (${metrics.tokensEstimated ? '~' : ''}${metrics.outputTokens} tokens)`;
+  const speed = metrics.tokensPerSecond === null ? '- tok/s' : `${metrics.tokensPerSecond} tok/s`;
+  return `TTFT ${ms(metrics.ttftMs)}, total ${ms(metrics.totalMs)}, ${speed}${tokens}${metrics.error ? `; ${metrics.error}` : ''}`;
+}
+
+module.exports = {
+  readServerSentEvents,
+  readStreamedResponse,
+  formatStreamMetrics,
+};
@@ -0,0 +1,124 @@
+/**
+ * Line-based unified diff used to preview config changes before they are written
+ */
+
+function splitLines(text) {
+  if (!text) return [];
+  const lines = String(text).split('\n');
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Compute line operations between two texts (longest common subsequence)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @returns {Array} { type: ' '|'-'|'+', text, oldLine, newLine }
+ */
+function diffLines(before, after) {
+  const a = splitLines(before);
+  const b = splitLines(after);
+
+  // Common prefix/suffix keep the LCS table small for typical single-field edits
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA -= 1;
+    endB -= 1;
+  }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  const table = new Uint32Array((rows + 1) * (cols + 1));
+  for (let i = rows - 1; i >= 0; i -= 1) {
+    for (let j = cols - 1; j >= 0; j -= 1) {
+      const here = i * (cols + 1) + j;
+      table[here] = a[start + i] === b[start + j]
+        ? table[here + cols + 2] + 1
+        : Math.max(table[here + cols + 1], table[here + 1]);
+    }
+  }
+
+  const ops = [];
+  for (let k = 0; k < start; k += 1) ops.push({ type: ' ', text: a[k], oldLine: k + 1, newLine: k + 1 });
+  let i = 0;
+  let j = 0;
+  while (i < rows || j < cols) {
+    if (i < rows && j < cols && a[start + i] === b[start + j]) {
+      ops.push({ type: ' ', text: a[start + i], oldLine: start + i + 1, newLine: start + j + 1 });
+      i += 1;
+      j += 1;
+    } else if (i < rows && (j >= cols || table[(i + 1) * (cols + 1) + j] >= table[i * (cols + 1) + j + 1])) {
+      ops.push({ type: '-', text: a[start + i], oldLine: start + i + 1, newLine: start + j });
+      i += 1;
+    } else {
+      ops.push({ type: '+', text: b[start + j], oldLine: start + i, newLine: start + j + 1 });
+      j += 1;
+    }
+  }
+  for (let k = 0; k < a.length - endA; k += 1) {
+    ops.push({ type: ' ', text: a[endA + k], oldLine: endA + k + 1, newLine: endB + k + 1 });
+  }
+  return ops;
+}
+
+/**
+ * Render a unified diff (empty string when the texts are identical)
+ * @param {string} before - Old text
+ * @param {string} after - New text
+ * @param {Object} [options] - { fromLabel, toLabel, context }
+ * @returns {string} Unified diff
+ */
+function unifiedDiff(before, after, options = {}) {
+  const context = options.context ?? 3;
+  const ops = diffLines(before, after);
+  const changed = ops.map((op, index) => (op.type !== ' ' ? index : -1)).filter((index) => index >= 0);
+  if (changed.length === 0) return '';
+
+  // Group changes whose context windows touch into one hunk
+  const hunks = [];
+  for (const index of changed) {
+    const last = hunks[hunks.length - 1];
+    if (last && index - last.end <= context * 2 + 1) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const lines = [`--- ${options.fromLabel || 'before'}`, `+++ ${options.toLabel || 'after'}`];
+  for (const hunk of hunks) {
+    const slice = ops.slice(Math.max(0, hunk.start - context), Math.min(ops.length, hunk.end + context + 1));
+    const oldOps = slice.filter((op) => op.type !== '+');
+    const newOps = slice.filter((op) => op.type !== '-');
+    // An empty side reports the line it would be inserted after, as diff(1) does
+    const oldStart = oldOps.length ? oldOps[0].oldLine : slice[0].oldLine;
+    const newStart = newOps.length ? newOps[0].newLine : slice[0].newLine;
+    lines.push(`@@ -${oldStart},${oldOps.length} +${newStart},${newOps.length} @@`);
+    for (const op of slice) lines.push(`${op.type}${op.text}`);
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+/**
+ * Colour a unified diff with ANSI escapes (headers bold, additions green, removals red)
+ * @param {string} diff - Output of unifiedDiff
+ * @returns {string} Coloured diff
+ */
+function colorizeDiff(diff) {
+  return diff.split('\n').map((line) => {
+    if (line.startsWith('+++') || line.startsWith('---')) return `\x1b[1m${line}\x1b[0m`;
+    if (line.startsWith('@@')) return `\x1b[36m${line}\x1b[0m`;
+    if (line.startsWith('+')) return `\x1b[32m${line}\x1b[0m`;
+    if (line.startsWith('-')) return `\x1b[31m${line}\x1b[0m`;
+    return line;
+  }).join('\n');
+}
+
+module.exports = {
+  diffLines,
+  unifiedDiff,
+  colorizeDiff,
+};
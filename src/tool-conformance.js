@@ -0,0 +1,454 @@
+/**
+ * Tool-calling conformance suite. testModelDirect forces one call to a tool without
+ * arguments; agent workloads also need typed and nested arguments, a choice among several
+ * tools, `tool_choice: auto` (including answering without a tool), parallel calls and
+ * multi-round tool loops. Each scenario runs as a short conversation with the model, every
+ * call's arguments are validated against the tool's JSON schema, and the results of all
+ * scenarios make up the model's capability matrix.
+ */
+
+const { resolveApiKey } = require('./core/secret-ref');
+const { validateJsonValue } = require('./core/config-schema');
+const { readStreamedResponse } = require('./stream-test');
+const { writeDebugLog } = require('./model-test');
+
+const DEFAULT_MAX_TOKENS = 1024;
+const SYSTEM_PROMPT = 'You are an assistant with tools. Call a tool when it is needed to answer, with arguments that match its schema exactly; otherwise answer directly.';
+
+const TOOLS = {
+  get_weather: {
+    name: 'get_weather',
+    description: 'Get the weather forecast for a city',
+    parameters: {
+      type: 'object',
+      properties: {
+        city: { type: 'string', minLength: 1, description: 'City name, e.g. Paris' },
+        unit: { type: 'string', enum: ['celsius', 'fahrenheit'] },
+        days: { type: 'integer', minimum: 1, maximum: 7, description: 'Number of days to forecast' },
+      },
+      required: ['city', 'unit', 'days'],
+      additionalProperties: false,
+    },
+  },
+  convert_currency: {
+    name: 'convert_currency',
+    description: 'Convert an amount of money from one currency to another at today\'s rate',
+    parameters: {
+      type: 'object',
+      properties: {
+        amount: { type: 'number', minimum: 0 },
+        from: { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO 4217 code, e.g. USD' },
+        to: { type: 'string', pattern: '^[A-Z]{3}$', description: 'ISO 4217 code, e.g. EUR' },
+      },
+      required: ['amount', 'from', 'to'],
+      additionalProperties: false,
+    },
+  },
+  search_docs: {
+    name: 'search_docs',
+    description: 'Search the internal documentation',
+    parameters: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 1 },
+        limit: { type: 'integer', minimum: 1, maximum: 20 },
+      },
+      required: ['query'],
+      additionalProperties: false,
+    },
+  },
+  create_event: {
+    name: 'create_event',
+    description: 'Create a calendar event',
+    parameters: {
+      type: 'object',
+      properties: {
+        title: { type: 'string', minLength: 1 },
+        date: { type: 'string', pattern: '^\\d{4}-\\d{2}-\\d{2}$', description: 'YYYY-MM-DD' },
+        all_day: { type: 'boolean' },
+        attendees: {
+          type: 'array',
+          minItems: 1,
+          items: {
+            type: 'object',
+            properties: {
+              name: { type: 'string', minLength: 1 },
+              email: { type: 'string', pattern: '^[^@\\s]+@[^@\\s]+$' },
+            },
+            required: ['name', 'email'],
+            additionalProperties: false,
+          },
+        },
+      },
+      required: ['title', 'date', 'all_day', 'attendees'],
+      additionalProperties: false,
+    },
+  },
+  lookup_order: {
+    name: 'lookup_order',
+    description: 'Look up an order: its status and, once shipped, the carrier and tracking number',
+    parameters: {
+      type: 'object',
+      properties: {
+        order_id: { type: 'string', pattern: '^[A-Z]-\\d+$', description: 'Order id, e.g. A-1001' },
+      },
+      required: ['order_id'],
+      additionalProperties: false,
+    },
+  },
+  track_package: {
+    name: 'track_package',
+    description: 'Track a shipped package',
+    parameters: {
+      type: 'object',
+      properties: {
+        carrier: { type: 'string', enum: ['DHL', 'UPS', 'FedEx'] },
+        tracking_number: { type: 'string', minLength: 1 },
+      },
+      required: ['carrier', 'tracking_number'],
+      additionalProperties: false,
+    },
+  },
+};
+
+function callsTo(transcript, name) {
+  return transcript.calls.filter((call) => call.name === name);
+}
+
+// Compare arguments with the values the prompt asked for (RegExp for free text)
+function expectArguments(call, expected) {
+  if (!call.arguments || typeof call.arguments !== 'object') return [];
+  return Object.entries(expected).flatMap(([key, want]) => {
+    const value = call.arguments[key];
+    const ok = want instanceof RegExp ? typeof value === 'string' && want.test(value) : value === want;
+    return ok ? [] : [`${call.name}: ${key} is ${JSON.stringify(value)}, expected ${want instanceof RegExp ? want : JSON.stringify(want)}`];
+  });
+}
+
+/**
+ * Scenarios, in the order they run. Each has the tools offered, the tool_choice ('auto' or
+ * { name } to force one), an optional toolResult(call) to answer calls with (which makes it
+ * a multi-round loop of up to maxRounds requests) and check(transcript) returning problems.
+ */
+const TOOL_SCENARIOS = [
+  {
+    id: 'typed',
+    title: 'Forced call with typed arguments',
+    tools: ['get_weather'],
+    toolChoice: { name: 'get_weather' },
+    prompt: 'What will the weather be like in Paris over the next 3 days? I prefer celsius.',
+    check: (transcript) => {
+      const [call] = callsTo(transcript, 'get_weather');
+      if (!call) return ['get_weather was not called'];
+      return expectArguments(call, { city: /paris/i, unit: 'celsius', days: 3 });
+    },
+  },
+  {
+    id: 'nested',
+    title: 'Nested objects and arrays',
+    tools: ['create_event'],
+    toolChoice: { name: 'create_event' },
+    prompt: 'Create an all-day event called "Team offsite" on 2026-03-14 with Ana (ana@example.com) and Ben (ben@example.com).',
+    check: (transcript) => {
+      const [call] = callsTo(transcript, 'create_event');
+      if (!call) return ['create_event was not called'];
+      const problems = expectArguments(call, { title: /offsite/i, date: '2026-03-14', all_day: true });
+      const attendees = call.arguments?.attendees;
+      if (Array.isArray(attendees) && attendees.length !== 2) problems.push(`create_event: ${attendees.length} attendees, expected 2`);
+      return problems;
+    },
+  },
+  {
+    id: 'choice',
+    title: 'tool_choice auto picks the right tool',
+    tools: ['get_weather', 'convert_currency', 'search_docs'],
+    toolChoice: 'auto',
+    prompt: 'How much is 250 US dollars in euros?',
+    check: (transcript) => {
+      const [call] = callsTo(transcript, 'convert_currency');
+      const others = transcript.calls.filter((candidate) => candidate.name !== 'convert_currency');
+      if (!call) return [transcript.calls.length > 0 ? `called ${transcript.calls[0].name} instead of convert_currency` : 'answered without calling convert_currency'];
+      return [
+        ...expectArguments(call, { amount: 250, from: 'USD', to: 'EUR' }),
+        ...(others.length > 0 ? [`also called ${others.map((other) => other.name).join(', ')}`] : []),
+      ];
+    },
+  },
+  {
+    id: 'no-tool',
+    title: 'tool_choice auto answers without a tool',
+    tools: ['get_weather', 'convert_currency', 'search_docs'],
+    toolChoice: 'auto',
+    prompt: 'What is the capital of France? Answer in one word.',
+    check: (transcript) => {
+      if (transcript.calls.length > 0) return [`called ${transcript.calls.map((call) => call.name).join(', ')} for a question that needs no tool`];
+      return /paris/i.test(transcript.text) ? [] : ['the answer does not mention Paris'];
+    },
+  },
+  {
+    id: 'parallel',
+    title: 'Parallel calls in one turn',
+    tools: ['get_weather'],
+    toolChoice: 'auto',
+    prompt: 'Get tomorrow\'s weather (1 day, celsius) in Paris and in Tokyo. Call the tool for both cities at once.',
+    check: (transcript) => {
+      const calls = callsTo(transcript, 'get_weather').filter((call) => call.round === 0);
+      if (calls.length < 2) return [`${calls.length} get_weather call${calls.length === 1 ? '' : 's'} in the first turn, expected 2`];
+      const cities = calls.map((call) => String(call.arguments?.city || '')).join(' ');
+      return ['Paris', 'Tokyo'].filter((city) => !new RegExp(city, 'i').test(cities)).map((city) => `no get_weather call for ${city}`);
+    },
+  },
+  {
+    id: 'loop',
+    title: 'Multi-round tool loop',
+    tools: ['lookup_order', 'track_package'],
+    toolChoice: 'auto',
+    maxRounds: 4,
+    prompt: 'Where is my order A-1001 right now?',
+    toolResult: (call) => {
+      if (call.name === 'lookup_order') {
+        return call.arguments?.order_id === 'A-1001'
+          ? { order_id: 'A-1001', status: 'shipped', carrier: 'DHL', tracking_number: 'JD0148823' }
+          : { error: 'order not found' };
+      }
+      if (call.name === 'track_package') {
+        return call.arguments?.tracking_number === 'JD0148823'
+          ? { location: 'Rotterdam distribution centre', eta: '2 days' }
+          : { error: 'unknown tracking number' };
+      }
+      return { error: `unknown tool ${call.name}` };
+    },
+    check: (transcript) => {
+      const [lookup] = callsTo(transcript, 'lookup_order');
+      const [track] = callsTo(transcript, 'track_package');
+      if (!lookup) return ['lookup_order was not called'];
+      if (!track) return ['track_package was not called with the result of lookup_order'];
+      const problems = [
+        ...expectArguments(lookup, { order_id: 'A-1001' }),
+        ...expectArguments(track, { carrier: 'DHL', tracking_number: 'JD0148823' }),
+      ];
+      if (track.round <= lookup.round) problems.push('track_package was called before lookup_order returned');
+      if (!transcript.text) problems.push(`no final answer after ${transcript.rounds.length} rounds`);
+      else if (!/rotterdam/i.test(transcript.text)) problems.push('the final answer does not mention Rotterdam');
+      return problems;
+    },
+  },
+];
+
+function responseError(status, body) {
+  const message = body?.error?.message || (typeof body?.error === 'string' ? body.error : null) || body?.message || (body?.raw ? String(body.raw).slice(0, 200) : null);
+  return new Error(`HTTP ${status}${message ? `: ${message}` : ''}`);
+}
+
+function parseArguments(value) {
+  if (value && typeof value === 'object') return { arguments: value, parseError: false };
+  if (!value) return { arguments: {}, parseError: false };
+  try {
+    return { arguments: JSON.parse(value), parseError: false };
+  } catch (error) {
+    return { arguments: null, parseError: true };
+  }
+}
+
+function openAIMessages(messages) {
+  return messages.flatMap((message) => {
+    if (message.role === 'user') return [{ role: 'user', content: message.text }];
+    if (message.role === 'assistant') {
+      return [{
+        role: 'assistant',
+        content: message.text || null,
+        tool_calls: message.calls.map((call) => ({ id: call.id, type: 'function', function: { name: call.name, arguments: call.rawArguments } })),
+      }];
+    }
+    return message.results.map((result) => ({ role: 'tool', tool_call_id: result.id, content: result.content }));
+  });
+}
+
+function anthropicMessages(messages) {
+  return messages.map((message) => {
+    if (message.role === 'user') return { role: 'user', content: [{ type: 'text', text: message.text }] };
+    if (message.role === 'assistant') {
+      return {
+        role: 'assistant',
+        content: [
+          ...(message.text ? [{ type: 'text', text: message.text }] : []),
+          ...message.calls.map((call) => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments ?? {} })),
+        ],
+      };
+    }
+    return { role: 'user', content: message.results.map((result) => ({ type: 'tool_result', tool_use_id: result.id, content: result.content })) };
+  });
+}
+
+/**
+ * Send one turn of a scenario conversation
+ * @param {Object} target - { apiSchema, baseUrl, apiKey, modelId }
+ * @param {Array} messages - { role: 'user', text } | { role: 'assistant', text, calls } | { role: 'tool', results }
+ * @param {Array} tools - Tool definitions { name, description, parameters }
+ * @param {string|Object} toolChoice - 'auto' or { name }
+ * @param {Object} options - { maxTokens, stream }
+ * @returns {Promise<Object>} { text, calls, stopReason } — calls: { id, name, rawArguments, arguments, parseError }
+ */
+async function sendTurn(target, messages, tools, toolChoice, options) {
+  const openai = target.apiSchema === 'openai-completions';
+  const base = target.baseUrl.replace(/\/$/, '');
+  const headers = { 'Content-Type': 'application/json' };
+  if (target.apiKey) headers.Authorization = `Bearer ${target.apiKey}`;
+  let endpoint;
+  let body;
+  if (openai) {
+    endpoint = `${base}/chat/completions`;
+    body = {
+      model: target.modelId,
+      messages: [{ role: 'system', content: SYSTEM_PROMPT }, ...openAIMessages(messages)],
+      max_tokens: options.maxTokens,
+      tools: tools.map((tool) => ({ type: 'function', function: tool })),
+      tool_choice: toolChoice === 'auto' ? 'auto' : { type: 'function', function: { name: toolChoice.name } },
+      stream: options.stream,
+      ...(options.stream ? { stream_options: { include_usage: true } } : {}),
+    };
+  } else {
+    endpoint = `${base}/v1/messages`;
+    headers['anthropic-version'] = '2023-06-01';
+    body = {
+      model: target.modelId,
+      system: SYSTEM_PROMPT,
+      messages: anthropicMessages(messages),
+      max_tokens: options.maxTokens,
+      tools: tools.map((tool) => ({ name: tool.name, description: tool.description, input_schema: tool.parameters })),
+      tool_choice: toolChoice === 'auto' ? { type: 'auto' } : { type: 'tool', name: toolChoice.name },
+      stream: options.stream,
+    };
+  }
+
+  writeDebugLog('[tool-conformance] request', { modelId: target.modelId, endpoint, body });
+  const startedAt = Date.now();
+  const response = await fetch(endpoint, { method: 'POST', headers, body: JSON.stringify(body) });
+  let json;
+  if (options.stream) {
+    const { body: streamed, metrics } = await readStreamedResponse(response, target.apiSchema, startedAt);
+    if (response.ok && !metrics.streamed) throw new Error(metrics.error);
+    json = streamed;
+  } else {
+    json = await response.json().catch(async () => ({ raw: await response.text() }));
+  }
+  writeDebugLog('[tool-conformance] response', { status: response.status, body: json });
+  if (!response.ok) throw responseError(response.status, json);
+
+  if (openai) {
+    const choice = json?.choices?.[0];
+    const message = choice?.message || {};
+    const calls = (message.tool_calls || []).map((call, index) => {
+      const rawArguments = call.function?.arguments ?? '';
+      return { id: call.id || `call_${index}`, name: call.function?.name || '', rawArguments, ...parseArguments(rawArguments) };
+    });
+    return { text: typeof message.content === 'string' ? message.content : '', calls, stopReason: choice?.finish_reason || null };
+  }
+  const blocks = Array.isArray(json?.content) ? json.content : [];
+  const calls = blocks.filter((block) => block?.type === 'tool_use').map((block, index) => ({
+    id: block.id || `toolu_${index}`,
+    name: block.name || '',
+    rawArguments: typeof block.input === 'string' ? block.input : JSON.stringify(block.input ?? {}),
+    ...parseArguments(block.input),
+  }));
+  const text = blocks.filter((block) => block?.type === 'text').map((block) => block.text).join('');
+  return { text, calls, stopReason: json?.stop_reason || null };
+}
+
+// Problems any call can have: a tool that was not offered, or arguments that break its schema
+function callProblems(call, tools) {
+  const tool = tools.find((candidate) => candidate.name === call.name);
+  if (!tool) return [`called "${call.name}", which was not offered`];
+  if (call.parseError) return [`${call.name}: arguments are not valid JSON`];
+  return validateJsonValue(tool.parameters, call.arguments).map((issue) => `${call.name}: ${issue.path || 'arguments'} ${issue.message}`);
+}
+
+async function runScenario(target, scenario, options) {
+  const tools = scenario.tools.map((name) => TOOLS[name]);
+  const messages = [{ role: 'user', text: scenario.prompt }];
+  const transcript = { rounds: [], calls: [], text: '' };
+  const problems = [];
+  const report = { id: scenario.id, title: scenario.title, result: 'PASS', rounds: 0, toolCalls: 0, latencyMs: null, problems, error: null };
+  const started = Date.now();
+  try {
+    for (let round = 0; round < (scenario.maxRounds || 1); round += 1) {
+      const reply = await sendTurn(target, messages, tools, scenario.toolChoice, options);
+      transcript.rounds.push(reply);
+      transcript.text = reply.text;
+      for (const call of reply.calls) {
+        transcript.calls.push({ ...call, round });
+        problems.push(...callProblems(call, tools));
+      }
+      if (reply.calls.length === 0 || !scenario.toolResult) break;
+      // The answer still to come: a loop that runs out of rounds ends without one
+      transcript.text = '';
+      messages.push({ role: 'assistant', text: reply.text, calls: reply.calls });
+      messages.push({ role: 'tool', results: reply.calls.map((call) => ({ id: call.id, content: JSON.stringify(scenario.toolResult(call)) })) });
+    }
+  } catch (error) {
+    return { ...report, result: 'ERROR', rounds: transcript.rounds.length, toolCalls: transcript.calls.length, latencyMs: Date.now() - started, error: error.message };
+  }
+  problems.push(...scenario.check(transcript));
+  return {
+    ...report,
+    result: problems.length > 0 ? 'FAIL' : 'PASS',
+    rounds: transcript.rounds.length,
+    toolCalls: transcript.calls.length,
+    latencyMs: Date.now() - started,
+  };
+}
+
+/**
+ * Scenarios by id
+ * @param {Array} [ids] - Scenario ids (all when empty)
+ * @returns {Array} Scenarios from TOOL_SCENARIOS
+ * @throws {Error} For an unknown id
+ */
+function selectScenarios(ids = []) {
+  if (ids.length === 0) return TOOL_SCENARIOS;
+  return ids.map((id) => {
+    const scenario = TOOL_SCENARIOS.find((candidate) => candidate.id === id);
+    if (!scenario) throw new Error(`Unknown scenario "${id}". Expected one of: ${TOOL_SCENARIOS.map((candidate) => candidate.id).join(', ')}`);
+    return scenario;
+  });
+}
+
+/**
+ * Run the conformance scenarios against one model, one after another
+ * @param {Object} config - OpenClaw config
+ * @param {string} providerName - Provider name
+ * @param {string} modelId - Model id within the provider
+ * @param {Object} [options] - { scenarios, stream, maxTokens, onProgress } — scenarios: ids to
+ *   run (all by default); onProgress(scenario, done, total) is called before each scenario
+ * @returns {Promise<Object>} { model, results, passed, total } — results: { id, title, result
+ *   (PASS, FAIL, ERROR or SKIP), rounds, toolCalls, latencyMs, problems, error }
+ */
+async function runToolConformance(config, providerName, modelId, options = {}) {
+  const provider = config.models?.providers?.[providerName];
+  if (!provider) throw new Error(`Provider "${providerName}" not found`);
+  const model = Array.isArray(provider.models) ? provider.models.find((candidate) => candidate?.id === modelId) : null;
+  if (!model) throw new Error(`Model "${modelId}" not found in provider "${providerName}"`);
+  if (!provider.baseUrl) throw new Error(`Provider "${providerName}" has no baseUrl`);
+
+  const scenarios = selectScenarios(options.scenarios);
+  const ref = `${providerName}/${modelId}`;
+  const target = { apiSchema: provider.api || 'anthropic-messages', baseUrl: provider.baseUrl, apiKey: resolveApiKey(provider.apiKey), modelId };
+  const settings = { maxTokens: options.maxTokens || DEFAULT_MAX_TOKENS, stream: Boolean(options.stream) };
+  if (!Array.isArray(model.input) || !model.input.includes('text')) {
+    const results = scenarios.map((scenario) => ({ id: scenario.id, title: scenario.title, result: 'SKIP', rounds: 0, toolCalls: 0, latencyMs: null, problems: [], error: "no 'text' input type" }));
+    return { model: ref, results, passed: 0, total: results.length };
+  }
+  const results = [];
+  for (const [index, scenario] of scenarios.entries()) {
+    options.onProgress?.(scenario, index, scenarios.length);
+    results.push(await runScenario(target, scenario, settings));
+  }
+  return { model: ref, results, passed: results.filter((result) => result.result === 'PASS').length, total: results.length };
+}
+
+module.exports = {
+  TOOLS,
+  TOOL_SCENARIOS,
+  selectScenarios,
+  runToolConformance,
+};
@@ -10,11 +10,15 @@ const ora = require('ora').default;
 const boxen = require('boxen').default;
 const Table = require('cli-table3');
 
-const { ConfigManager, ProviderManager, ModelManager, AgentManager, ApiTester, constants } = require('../core');
+const { ConfigRepository, ConfigManager, ProviderManager, ModelManager, AgentManager, ApiTester, constants } = require('../core');
 
 class TUIController {
-  constructor() {
-    this.configManager = new ConfigManager();
+  /**
+   * @param {Object} [options] - { repository } — config repository to share (defaults to one for the active config)
+   */
+  constructor(options = {}) {
+    this.repository = options.repository || new ConfigRepository();
+    this.configManager = new ConfigManager(this.repository);
     this.providerManager = new ProviderManager(this.configManager);
     this.modelManager = new ModelManager(this.configManager);
     this.agentManager = new AgentManager(this.configManager, this.modelManager);
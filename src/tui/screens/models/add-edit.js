@@ -37,6 +37,13 @@ class ModelsAddEditScreen {
       value: p.name
     }));
 
+    // Defaults for the remaining questions come from the model catalog once the id is known
+    const metadata = (answers) => {
+      const match = this.tuiController.modelManager.catalog.lookup(answers.id);
+      return match ? match.metadata : {};
+    };
+    const costDefault = (field) => (answers) => String((metadata(answers).cost || {})[field] ?? 0);
+
     const questions = [
       {
         type: 'list',
@@ -86,12 +93,15 @@ class ModelsAddEditScreen {
         type: 'checkbox',
         name: 'input',
         message: 'Input types:',
-        choices: [
-          { name: 'Text', value: constants.INPUT_TYPES.TEXT, checked: true },
-          { name: 'Image', value: constants.INPUT_TYPES.IMAGE },
-          { name: 'Audio', value: constants.INPUT_TYPES.AUDIO },
-          { name: 'Video', value: constants.INPUT_TYPES.VIDEO }
-        ],
+        choices: (answers) => {
+          const input = metadata(answers).input || [constants.INPUT_TYPES.TEXT];
+          return [
+            { name: 'Text', value: constants.INPUT_TYPES.TEXT, checked: input.includes(constants.INPUT_TYPES.TEXT) },
+            { name: 'Image', value: constants.INPUT_TYPES.IMAGE, checked: input.includes(constants.INPUT_TYPES.IMAGE) },
+            { name: 'Audio', value: constants.INPUT_TYPES.AUDIO, checked: input.includes(constants.INPUT_TYPES.AUDIO) },
+            { name: 'Video', value: constants.INPUT_TYPES.VIDEO, checked: input.includes(constants.INPUT_TYPES.VIDEO) }
+          ];
+        },
         validate: (input) => {
           if (input.length === 0) {
             return 'At least one input type is required';
@@ -103,13 +113,13 @@ class ModelsAddEditScreen {
         type: 'confirm',
         name: 'reasoning',
         message: 'Does this model have reasoning capability?',
-        default: false
+        default: (answers) => !!metadata(answers).reasoning
       },
       {
         type: 'input',
         name: 'inputCost',
         message: 'Input cost per 1M tokens (default: 0):',
-        default: '0',
+        default: costDefault('input'),
         validate: (input) => {
           if (input === '' || input === '0') return true;
           const num = parseFloat(input);
@@ -123,7 +133,7 @@ class ModelsAddEditScreen {
         type: 'input',
         name: 'outputCost',
         message: 'Output cost per 1M tokens (default: 0):',
-        default: '0',
+        default: costDefault('output'),
         validate: (input) => {
           if (input === '' || input === '0') return true;
           const num = parseFloat(input);
@@ -137,7 +147,7 @@ class ModelsAddEditScreen {
         type: 'input',
         name: 'cacheRead',
         message: 'Cache read cost per 1M tokens (default: 0):',
-        default: '0',
+        default: costDefault('cacheRead'),
         validate: (input) => {
           if (input === '' || input === '0') return true;
           const num = parseFloat(input);
@@ -151,7 +161,7 @@ class ModelsAddEditScreen {
         type: 'input',
         name: 'cacheWrite',
         message: 'Cache write cost per 1M tokens (default: 0):',
-        default: '0',
+        default: costDefault('cacheWrite'),
         validate: (input) => {
           if (input === '' || input === '0') return true;
           const num = parseFloat(input);
@@ -165,7 +175,7 @@ class ModelsAddEditScreen {
         type: 'input',
         name: 'contextWindow',
         message: 'Context window size (default: 200000):',
-        default: '200000',
+        default: (answers) => String(metadata(answers).contextWindow || 200000),
         validate: (input) => {
           if (input === '' || input === '200000') return true;
           const num = parseInt(input);
@@ -179,7 +189,7 @@ class ModelsAddEditScreen {
         type: 'input',
         name: 'maxTokens',
         message: 'Max output tokens (default: 8192):',
-        default: '8192',
+        default: (answers) => String(metadata(answers).maxTokens || 8192),
         validate: (input) => {
           if (input === '' || input === '8192') return true;
           const num = parseInt(input);
@@ -1,6 +1,7 @@
 const inquirer = require('inquirer').default;
 const chalk = require('chalk').default;
 const { constants } = require('../../../core');
+const { looksLikeSecretRef } = require('../../../core/secret-ref');
 
 class ProvidersAddEditScreen {
   constructor(tuiController) {
@@ -79,7 +80,7 @@ class ProvidersAddEditScreen {
       {
         type: 'password',
         name: 'apiKey',
-        message: 'API Key (optional, press Enter to skip):',
+        message: 'API Key or ${env:VAR} / ${file:path} reference (optional, press Enter to skip):',
         mask: '*'
       },
       {
@@ -147,7 +148,7 @@ class ProvidersAddEditScreen {
       {
         type: 'password',
         name: 'apiKey',
-        message: 'API Key (press Enter to keep current, type "clear" to remove):',
+        message: 'API Key or ${env:VAR} / ${file:path} reference (press Enter to keep current, type "clear" to remove):',
         mask: '*',
         default: providerDetails.apiKey ? '********' : ''
       },
@@ -180,10 +181,26 @@ class ProvidersAddEditScreen {
     await this.updateProvider(providerName, answers);
   }
 
+  /**
+   * Ask for the secret store passphrase when a plaintext key is about to go into the store
+   * @param {string} apiKey - Entered API key
+   */
+  async unlockSecretStoreFor(apiKey) {
+    const store = this.tuiController.providerManager.secretStore;
+    if (!apiKey || looksLikeSecretRef(apiKey) || !store.exists() || store.unlockFromEnvironment()) {
+      return;
+    }
+    const { passphrase } = await inquirer.prompt([
+      { type: 'password', name: 'passphrase', message: `Passphrase for ${store.storePath}:`, mask: '*' }
+    ]);
+    store.unlock(passphrase);
+  }
+
   async saveProvider(data) {
     const spinner = this.tuiController.showSpinner('Saving provider...');
 
     try {
+      await this.unlockSecretStoreFor(data.apiKey);
       this.tuiController.providerManager.addProvider(data);
       spinner.succeed(`Provider "${data.name}" added successfully`);
     } catch (error) {
@@ -198,6 +215,7 @@ class ProvidersAddEditScreen {
     const spinner = this.tuiController.showSpinner('Updating provider...');
 
     try {
+      await this.unlockSecretStoreFor(data.apiKey);
       this.tuiController.providerManager.updateProvider(providerName, data);
       spinner.succeed(`Provider "${providerName}" updated successfully`);
     } catch (error) {
@@ -64,7 +64,7 @@ class ProvidersListScreen {
         provider.api,
         provider.auth,
         provider.modelCount.toString(),
-        provider.hasApiKey ? chalk.green('✓') : chalk.red('✗')
+        this.formatApiKeyStatus(provider.apiKeyStatus)
       ]);
     });
 
@@ -72,6 +72,17 @@ class ProvidersListScreen {
     console.log();
   }
 
+  /**
+   * Short API key cell: ✓/✗ plus the reference type (env/file) for ${...} references
+   * @param {Object} status - describeApiKey() result
+   * @returns {string} Colored cell text
+   */
+  formatApiKeyStatus(status) {
+    if (status.kind === 'empty') return chalk.red('✗');
+    if (status.kind === 'plain') return chalk.green('✓');
+    return status.resolves ? chalk.green(`✓ ${status.kind}`) : chalk.yellow(`✗ ${status.kind}`);
+  }
+
   async handleAction(action) {
     switch (action) {
       case 'add':
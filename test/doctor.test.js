@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { diagnoseConfig, fixConfig } = require('../src/cli/doctor');
+
+function configWith(defaults) {
+  return {
+    models: {
+      providers: {
+        oa: { baseUrl: 'https://api.example.com/v1', api: 'openai-completions', models: [{ id: 'm1' }, { id: 'm2' }, { id: 'm3' }] },
+      },
+    },
+    agents: { defaults },
+  };
+}
+
+test('--fix keeps a valid primary and fallbacks missing from agents.defaults.models', () => {
+  const config = configWith({ models: { 'oa/m1': {} }, model: { primary: 'oa/m2', fallbacks: ['oa/m1', 'oa/m3'] } });
+
+  const changes = fixConfig(config);
+
+  assert.equal(config.agents.defaults.model.primary, 'oa/m2');
+  assert.deepEqual(config.agents.defaults.model.fallbacks, ['oa/m1', 'oa/m3']);
+  assert.deepEqual(Object.keys(config.agents.defaults.models).sort(), ['oa/m1', 'oa/m2', 'oa/m3']);
+  assert.deepEqual(changes, ['added "oa/m2" to agents.defaults.models', 'added "oa/m3" to agents.defaults.models']);
+  assert.deepEqual(diagnoseConfig(config), []);
+});
+
+test('--fix still drops references that match no configured model', () => {
+  const config = configWith({ models: { 'oa/m1': {} }, model: { primary: 'oa/gone', fallbacks: ['oa/m1', 'oa/missing'] } });
+
+  fixConfig(config);
+
+  assert.equal(config.agents.defaults.model.primary, undefined);
+  assert.deepEqual(config.agents.defaults.model.fallbacks, ['oa/m1']);
+  assert.deepEqual(Object.keys(config.agents.defaults.models), ['oa/m1']);
+});